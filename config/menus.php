@@ -27,6 +27,141 @@ return [
         'log_channel' => env('NOVA_MENUS_LOG_CHANNEL', 'single'),
     ],
 
+    /*
+    |--------------------------------------------------------------------------
+    | Draft Mode
+    |--------------------------------------------------------------------------
+    |
+    | When enabled, structure changes made in the menu editor are collected in
+    | a draft copy of the tree and only reach the public API once an editor
+    | publishes them. Off by default, so every change applies to the live
+    | menu at once as before.
+    |
+    */
+    'drafts' => [
+        'enabled' => env('NOVA_MENUS_DRAFTS_ENABLED', false),
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Revision History
+    |--------------------------------------------------------------------------
+    |
+    | Every change to a menu's tree records a snapshot so editors can compare
+    | past versions and restore one. Only the most recent revisions per menu
+    | are kept; older ones are pruned when a new revision is recorded.
+    |
+    */
+    'revisions' => [
+        'enabled' => env('NOVA_MENUS_REVISIONS_ENABLED', true),
+        'keep' => env('NOVA_MENUS_REVISIONS_KEEP', 50),
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Public API Cache
+    |--------------------------------------------------------------------------
+    |
+    | The public menu API caches each menu's filtered tree and answers with
+    | ETag and Last-Modified headers. Entries are dropped when a menu item
+    | or a linked resource changes, and expire at the next display_at or
+    | hide_at in the menu so scheduled items appear on time.
+    |
+    */
+    'cache' => [
+        'enabled' => env('NOVA_MENUS_CACHE_ENABLED', true),
+        'store' => env('NOVA_MENUS_CACHE_STORE'),
+        'ttl' => env('NOVA_MENUS_CACHE_TTL', 3600),
+        'prefix' => 'menus',
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Time Travel
+    |--------------------------------------------------------------------------
+    |
+    | Authenticated users may pass ?at=<ISO 8601> to the public menu API to
+    | see menus as they are scheduled to look at that moment. The user is
+    | looked up on the given guard (the default guard when null, e.g.
+    | "sanctum" for token auth) and must pass the Gate ability when one is set.
+    |
+    */
+    'time_travel' => [
+        'guard' => env('NOVA_MENUS_TIME_TRAVEL_GUARD'),
+        'ability' => env('NOVA_MENUS_TIME_TRAVEL_ABILITY'),
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | GraphQL
+    |--------------------------------------------------------------------------
+    |
+    | When enabled and nuwave/lighthouse is installed, the app's GraphQL
+    | schema gains menu(slug) and menus(slugs) queries returning the same
+    | items as the public menu API. Queries selecting more levels of
+    | children than a menu's max_depth allows are rejected.
+    |
+    */
+    'graphql' => [
+        'enabled' => env('NOVA_MENUS_GRAPHQL_ENABLED', false),
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Resource Slug Sync
+    |--------------------------------------------------------------------------
+    |
+    | Menu items keep a copy of the slug of the record they link to. When a
+    | configured resource changes its slug_field, the copy on every linked
+    | item is updated. Run "php artisan menus:sync-slugs" to fix slugs that
+    | changed while this was disabled or outside Eloquent.
+    |
+    */
+    'slug_sync' => [
+        'enabled' => env('NOVA_MENUS_SLUG_SYNC_ENABLED', true),
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Link Checker
+    |--------------------------------------------------------------------------
+    |
+    | "php artisan menus:check-links" and the editor's Health panel report
+    | links to missing records and paths without a route. With --http, the
+    | command also requests internal links from this base URL (the app URL
+    | when null) and reports error statuses.
+    |
+    */
+    'link_check' => [
+        'base_url' => env('NOVA_MENUS_LINK_CHECK_BASE_URL'),
+        'timeout' => env('NOVA_MENUS_LINK_CHECK_TIMEOUT', 5),
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Resource Discovery
+    |--------------------------------------------------------------------------
+    |
+    | When enabled, every Nova resource whose model has one of the slug
+    | columns below becomes linkable without a "resources" entry. The type
+    | is the resource class name, the label its singular label and the route
+    | pattern uses its URI key. Entries in "resources" override discovered
+    | ones key by key; set a type to false there, or list it (or its Nova
+    | resource class) in "exclude", to hide it. Results are cached for
+    | "cache_ttl" seconds, unless none of the "paths" exist and Nova had
+    | not registered its resources yet; "php artisan menus:resource-types
+    | --refresh" lists the types and discovers them again.
+    |
+    */
+    'discovery' => [
+        'enabled' => env('NOVA_MENUS_DISCOVER_RESOURCES', false),
+        'paths' => [app_path('Nova')],
+        'slug_columns' => ['slug', 'handle', 'path', 'uri'],
+        'route_pattern' => '/{resource}/{slug}',
+        'exclude' => [],
+        'cache_ttl' => env('NOVA_MENUS_DISCOVERY_CACHE_TTL', 3600),
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | Resource Configuration
@@ -36,6 +171,17 @@ return [
     | Each resource type specifies the model class, display field, URL slug
     | field, and frontend route pattern for URL generation.
     |
+    | The resource picker searches the name field plus any "search_fields",
+    | sorted by "order_by" (a column or column => direction map). "scope"
+    | limits the records offered: a local scope name, an invokable class or
+    | a closure (closures prevent config caching). "secondary_label_field"
+    | is shown next to each result, e.g. a SKU, and "label" names the type
+    | in the editor.
+    |
+    | Types whose model class is missing or whose entry lacks a required
+    | key are hidden from the editor; "php artisan menus:resource-types"
+    | reports them.
+    |
     */
     'resources' => [
         'Product' => [
@@ -43,6 +189,10 @@ return [
             'name_field' => 'name',
             'slug_field' => 'slug',
             'route_pattern' => '/products/{slug}',
+            // 'search_fields' => ['sku'],
+            // 'secondary_label_field' => 'sku',
+            // 'order_by' => ['name' => 'asc'],
+            // 'scope' => 'published',
         ],
         'Category' => [
             'model' => 'Skylark\NovaCart\Models\Category',
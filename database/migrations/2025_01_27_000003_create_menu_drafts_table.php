@@ -0,0 +1,35 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::create('menu_drafts', function (Blueprint $table) {
+            $table->id();
+
+            // Root menu item the draft belongs to (one draft per menu)
+            $table->unsignedBigInteger('menu_id')->unique();
+
+            // Unpublished tree in the same shape as the rebuild endpoint payload
+            $table->json('structure');
+
+            // Fingerprint of the live tree when the draft was started, to detect changes made since
+            $table->string('base_version', 40)->nullable();
+
+            $table->unsignedBigInteger('user_id')->nullable();
+
+            $table->timestamps();
+
+            $table->foreign('menu_id')->references('id')->on('menu_items')->cascadeOnDelete();
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::dropIfExists('menu_drafts');
+    }
+};
@@ -0,0 +1,38 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::create('menu_revisions', function (Blueprint $table) {
+            $table->id();
+
+            // Root menu item the revision belongs to
+            $table->unsignedBigInteger('menu_id');
+
+            // Controller action that produced the revision (rebuild, store_item, ...)
+            $table->string('action', 50);
+
+            // Menu tree as it was right after the action
+            $table->json('structure');
+
+            // Who made the change; the name is kept in case the user is removed later
+            $table->unsignedBigInteger('user_id')->nullable();
+            $table->string('user_name')->nullable();
+
+            $table->timestamps();
+
+            $table->index(['menu_id', 'created_at']);
+            $table->foreign('menu_id')->references('id')->on('menu_items')->cascadeOnDelete();
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::dropIfExists('menu_revisions');
+    }
+};
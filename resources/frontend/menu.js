@@ -0,0 +1,203 @@
+/**
+ * Framework-agnostic helpers shared by the <NovaMenu> components: fetching
+ * a menu from the public API, finding the active item for a URL and the
+ * keyboard behaviour of the disclosure navigation.
+ */
+
+/**
+ * Fetch one menu from the public menu API.
+ *
+ * Resolves with `{ slug, name, items }`, where items is the nested
+ * `children` tree of MenuItemResource objects.
+ */
+export async function fetchMenu(slug, { endpoint = '/api/menus', fetch = globalThis.fetch, signal } = {}) {
+  const response = await fetch(`${endpoint.replace(/\/$/, '')}/${encodeURIComponent(slug)}`, {
+    headers: { Accept: 'application/json' },
+    signal
+  });
+
+  if (!response.ok) {
+    throw new Error(response.status === 404 ? `Menu '${slug}' not found` : `Failed to load menu '${slug}' (HTTP ${response.status})`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Reduce a URL to what identifies a page: the path without a trailing
+ * slash, keeping the origin only for other hosts. Returns null for links
+ * that do not point at a page, e.g. "#" or "mailto:".
+ */
+export function normalizeUrl(url, base = globalThis.location?.href || 'http://localhost/') {
+  if (!url || url.startsWith('#')) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url, base);
+  } catch {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return null;
+  }
+
+  const path = parsed.pathname.replace(/\/+$/, '') || '/';
+
+  return parsed.origin === new URL(base).origin ? path : parsed.origin + path;
+}
+
+/**
+ * IDs of the item matching the current URL and its ancestors, from the
+ * top level down. An exact match wins; otherwise the item whose URL is the
+ * longest path prefix of the current URL ("/blog" for "/blog/hello").
+ */
+export function activeTrail(items, currentUrl = globalThis.location?.href) {
+  let base;
+  try {
+    base = new URL(currentUrl, globalThis.location?.href || 'http://localhost/').href;
+  } catch {
+    return [];
+  }
+
+  // Relative item URLs belong to the host of the current URL
+  const current = normalizeUrl(base, base);
+
+  if (!current) {
+    return [];
+  }
+
+  let best = { trail: [], length: -1, exact: false };
+
+  const visit = (list, ancestors) => {
+    for (const item of list || []) {
+      const trail = [...ancestors, item.id];
+      const url = normalizeUrl(item.url, base);
+
+      if (url) {
+        const exact = url === current;
+        const prefix = url !== '/' && current.startsWith(`${url}/`);
+
+        if ((exact && !best.exact) || (exact === best.exact && (exact || prefix) && url.length > best.length)) {
+          best = { trail, length: url.length, exact };
+        }
+      }
+
+      visit(item.children, trail);
+    }
+  };
+
+  visit(items, []);
+
+  return best.trail;
+}
+
+/**
+ * URL schemes items may link to, as in the HTML format of the API; any
+ * other scheme, like javascript:, links to "#" instead.
+ */
+export const URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+/**
+ * Whether a URL is relative or uses one of the allowed schemes.
+ */
+export function isSafeUrl(url) {
+  // Browsers ignore whitespace and control characters, so "java\tscript:" is a scheme too
+  const scheme = String(url).replace(/[\x00-\x20]+/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+
+  return !scheme || URL_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Attributes for an item's link: href, target, plus rel for new windows.
+ */
+export function linkAttributes(item) {
+  const target = item.target || '_self';
+  const href = item.url && isSafeUrl(item.url) ? item.url : '#';
+
+  return target === '_blank'
+    ? { href, target, rel: 'noopener noreferrer' }
+    : { href, target };
+}
+
+/**
+ * Focus the link of a sibling of the given list item: the next (1),
+ * previous (-1), 'first' or 'last' one.
+ */
+export function focusSibling(listItem, which) {
+  const siblings = Array.from(listItem.parentElement.children);
+  const index = siblings.indexOf(listItem);
+  const target = which === 'first'
+    ? siblings[0]
+    : which === 'last'
+      ? siblings[siblings.length - 1]
+      : siblings[(index + which + siblings.length) % siblings.length];
+
+  target?.querySelector(':scope > [data-menu-focus]')?.focus();
+}
+
+/**
+ * Handle a keydown inside the menu, following the disclosure navigation
+ * pattern: arrow keys move between siblings (left/right on a horizontal
+ * top level), ArrowDown on a closed top-level item opens its submenu,
+ * Home/End jump to the first/last sibling and Escape closes the submenu
+ * containing focus, returning focus to its toggle.
+ *
+ * The component supplies its open state through `isOpen(id)`, `open(id)`
+ * and `close(id)`, and `afterRender(callback)` to run once an opened
+ * submenu is in the DOM. Returns true when the key was handled.
+ */
+export function handleMenuKeydown(event, { orientation = 'horizontal', isOpen, open, close, afterRender }) {
+  const listItem = event.target.closest('[data-menu-item]');
+
+  if (!listItem) {
+    return false;
+  }
+
+  const id = listItem.dataset.menuItem;
+  const topLevel = listItem.dataset.level === '0';
+  const horizontal = topLevel && orientation === 'horizontal';
+  const hasChildren = listItem.dataset.hasChildren === 'true';
+  const parentItem = listItem.parentElement.closest('[data-menu-item]');
+
+  switch (event.key) {
+    case horizontal ? 'ArrowRight' : 'ArrowDown':
+      focusSibling(listItem, 1);
+      break;
+    case horizontal ? 'ArrowLeft' : 'ArrowUp':
+      focusSibling(listItem, -1);
+      break;
+    case 'ArrowDown':
+      // Only reached on a horizontal top level
+      if (!hasChildren) {
+        return false;
+      }
+      open(id);
+      afterRender(() => listItem.querySelector(':scope > ul > li > [data-menu-focus]')?.focus());
+      break;
+    case 'Home':
+      focusSibling(listItem, 'first');
+      break;
+    case 'End':
+      focusSibling(listItem, 'last');
+      break;
+    case 'Escape':
+      if (hasChildren && isOpen(id)) {
+        close(id);
+      } else if (parentItem) {
+        close(parentItem.dataset.menuItem);
+        parentItem.querySelector(':scope > [data-menu-toggle]')?.focus();
+      } else {
+        return false;
+      }
+      break;
+    default:
+      return false;
+  }
+
+  event.preventDefault();
+
+  return true;
+}
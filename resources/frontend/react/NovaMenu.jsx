@@ -0,0 +1,200 @@
+import { useCallback, useEffect, useId, useMemo, useRef, useState } from 'react';
+import { activeTrail, fetchMenu, handleMenuKeydown, linkAttributes } from '../menu.js';
+
+/**
+ * Default content of a menu link: the icon, output as a CSS class, and the name.
+ */
+function defaultRenderItem({ item }) {
+  return (
+    <>
+      {item.icon && <i className={`nova-menu-icon ${item.icon}`} aria-hidden="true" />}
+      <span className="nova-menu-label">{item.name}</span>
+    </>
+  );
+}
+
+/**
+ * One item of a <NovaMenu>, rendering its children recursively.
+ */
+function NovaMenuItem({ item, level, menuId, trail, openIds, onToggle, renderItem }) {
+  const hasChildren = Array.isArray(item.children) && item.children.length > 0;
+  const active = trail[trail.length - 1] === item.id;
+  const inActiveTrail = trail.includes(item.id);
+  const open = openIds.includes(String(item.id));
+  const submenuId = `${menuId}-submenu-${item.id}`;
+
+  const className = [
+    'nova-menu-item',
+    `nova-menu-level-${level}`,
+    item.css_class,
+    hasChildren && 'has-children',
+    open && 'is-open',
+    active && 'is-active',
+    inActiveTrail && !active && 'is-active-trail'
+  ].filter(Boolean).join(' ');
+
+  return (
+    <li
+      className={className}
+      data-menu-item={item.id}
+      data-level={level}
+      data-has-children={hasChildren ? 'true' : 'false'}
+    >
+      <a
+        {...linkAttributes(item)}
+        className="nova-menu-link"
+        aria-current={active ? 'page' : undefined}
+        data-menu-focus=""
+      >
+        {renderItem({ item, level, active, inActiveTrail, open, hasChildren })}
+      </a>
+
+      {hasChildren && (
+        <>
+          <button
+            type="button"
+            className="nova-menu-toggle"
+            aria-expanded={open ? 'true' : 'false'}
+            aria-controls={submenuId}
+            aria-label={`${item.name} submenu`}
+            data-menu-toggle=""
+            onClick={() => onToggle(item.id)}
+          />
+
+          <ul id={submenuId} className="nova-menu-submenu" hidden={!open}>
+            {item.children.map(child => (
+              <NovaMenuItem
+                key={child.id}
+                item={child}
+                level={level + 1}
+                menuId={menuId}
+                trail={trail}
+                openIds={openIds}
+                onToggle={onToggle}
+                renderItem={renderItem}
+              />
+            ))}
+          </ul>
+        </>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Drop-in navigation for a menu of the public API (`GET /api/menus/{slug}`).
+ *
+ * Submenus open as disclosures with a toggle button next to each parent
+ * link. `renderItem` replaces the content of each link and receives
+ * `{ item, level, active, inActiveTrail, open, hasChildren }`;
+ * `renderLoading` and `renderError(error)` replace the placeholders.
+ */
+export default function NovaMenu({
+  slug,
+  endpoint = '/api/menus',
+  initialMenu = null,
+  currentUrl = null,
+  orientation = 'horizontal',
+  label = null,
+  renderItem = defaultRenderItem,
+  renderLoading = () => <span className="nova-menu-loading">Loading menu...</span>,
+  renderError = error => <span className="nova-menu-error">{error.message}</span>,
+  onLoaded,
+  onError
+}) {
+  const [menu, setMenu] = useState(initialMenu);
+  const [error, setError] = useState(null);
+  const [openIds, setOpenIds] = useState([]);
+  const navRef = useRef(null);
+  const menuId = `nova-menu-${useId().replace(/[^a-zA-Z0-9_-]/g, '')}`;
+
+  useEffect(() => {
+    if (initialMenu && initialMenu.slug === slug) {
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setMenu(null);
+    setError(null);
+
+    fetchMenu(slug, { endpoint, signal: controller.signal })
+      .then(loaded => {
+        setMenu(loaded);
+        setOpenIds([]);
+        onLoaded?.(loaded);
+      })
+      .catch(failure => {
+        if (failure.name !== 'AbortError') {
+          setError(failure);
+          onError?.(failure);
+        }
+      });
+
+    return () => controller.abort();
+  }, [slug, endpoint]);
+
+  const trail = useMemo(
+    () => (menu ? activeTrail(menu.items, currentUrl || window.location.href) : []),
+    [menu, currentUrl]
+  );
+
+  const isOpen = useCallback(id => openIds.includes(String(id)), [openIds]);
+  const open = useCallback(id => setOpenIds(ids => (ids.includes(String(id)) ? ids : [...ids, String(id)])), []);
+  const close = useCallback(id => setOpenIds(ids => ids.filter(openId => openId !== String(id))), []);
+  const toggle = useCallback(id => (isOpen(id) ? close(id) : open(id)), [isOpen, open, close]);
+
+  const onKeyDown = event => {
+    handleMenuKeydown(event.nativeEvent, {
+      orientation,
+      isOpen,
+      open,
+      close,
+      // State updates from the handler are rendered before the timeout runs
+      afterRender: callback => setTimeout(callback)
+    });
+  };
+
+  // Close every submenu once focus moves to something outside the menu
+  const onBlur = event => {
+    if (event.relatedTarget && !navRef.current.contains(event.relatedTarget)) {
+      setOpenIds([]);
+    }
+  };
+
+  let content = null;
+  if (error) {
+    content = renderError(error);
+  } else if (!menu) {
+    content = renderLoading();
+  } else {
+    content = (
+      <ul className="nova-menu-list">
+        {menu.items.map(item => (
+          <NovaMenuItem
+            key={item.id}
+            item={item}
+            level={0}
+            menuId={menuId}
+            trail={trail}
+            openIds={openIds}
+            onToggle={toggle}
+            renderItem={renderItem}
+          />
+        ))}
+      </ul>
+    );
+  }
+
+  return (
+    <nav
+      ref={navRef}
+      id={menuId}
+      className={`nova-menu nova-menu-${slug} nova-menu-${orientation}`}
+      aria-label={label || menu?.name || slug}
+      onKeyDown={onKeyDown}
+      onBlur={onBlur}
+    >
+      {content}
+    </nav>
+  );
+}
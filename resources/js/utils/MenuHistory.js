@@ -0,0 +1,113 @@
+/**
+ * Undo/redo stack for the menu editor.
+ *
+ * Each entry stores the menu tree before and after an operation, so undoing
+ * or redoing is always "make the server match this snapshot". Items that are
+ * deleted and later recreated get new IDs; those are tracked in an alias map
+ * so older snapshots still resolve to the live records.
+ */
+export default class MenuHistory {
+  constructor(limit = 50) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.aliases = new Map();
+  }
+
+  /**
+   * Record a completed operation and discard anything that could be redone.
+   */
+  record(label, before, after) {
+    this.undoStack.push({ label, before, after });
+
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+
+    this.redoStack = [];
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Move the latest entry onto the redo stack and return it.
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+
+    if (entry) {
+      this.redoStack.push(entry);
+    }
+
+    return entry || null;
+  }
+
+  /**
+   * Move the latest undone entry back onto the undo stack and return it.
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+
+    if (entry) {
+      this.undoStack.push(entry);
+    }
+
+    return entry || null;
+  }
+
+  /**
+   * Put an entry back where it came from after a failed undo/redo.
+   */
+  restore(entry, direction) {
+    if (direction === 'undo') {
+      this.redoStack.pop();
+      this.undoStack.push(entry);
+    } else {
+      this.undoStack.pop();
+      this.redoStack.push(entry);
+    }
+  }
+
+  /**
+   * Remember that a record was recreated under a new ID.
+   */
+  alias(oldId, newId) {
+    if (oldId !== newId) {
+      this.aliases.set(oldId, newId);
+    }
+  }
+
+  /**
+   * Resolve an ID from any snapshot to the ID of the live record.
+   */
+  resolveId(id) {
+    const seen = new Set();
+
+    while (this.aliases.has(id) && !seen.has(id)) {
+      seen.add(id);
+      id = this.aliases.get(id);
+    }
+
+    return id;
+  }
+
+  nextUndoLabel() {
+    return this.undoStack.length ? this.undoStack[this.undoStack.length - 1].label : null;
+  }
+
+  nextRedoLabel() {
+    return this.redoStack.length ? this.redoStack[this.redoStack.length - 1].label : null;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.aliases.clear();
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Screen reader announcements through a single, visually hidden live region
+ * shared by every tree on the page.
+ */
+
+let region = null;
+
+function liveRegion() {
+  if (!region || !document.body.contains(region)) {
+    region = document.createElement('div');
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+    region.className = 'menus-live-region';
+    Object.assign(region.style, {
+      position: 'absolute',
+      width: '1px',
+      height: '1px',
+      margin: '-1px',
+      padding: '0',
+      overflow: 'hidden',
+      clip: 'rect(0, 0, 0, 0)',
+      whiteSpace: 'nowrap',
+      border: '0'
+    });
+    document.body.appendChild(region);
+  }
+
+  return region;
+}
+
+/**
+ * Read a message out to screen reader users without moving focus.
+ */
+export function announce(message) {
+  liveRegion().textContent = message;
+}
@@ -0,0 +1,300 @@
+/**
+ * Helpers for working with plain menu item trees, i.e. the cleaned
+ * structure sent to `menus/{id}/items/rebuild`.
+ */
+
+/**
+ * Stable key for an item: its ID, or the client key of an unsaved draft item.
+ */
+export function nodeKey(item) {
+  return item.id || item.draft_key || null;
+}
+
+/**
+ * Reduce editor items to the database fields the rebuild and draft
+ * endpoints accept, recursively.
+ */
+export function cleanItems(items) {
+  return (items || []).map(item => {
+    const cleaned = {
+      id: item.id,
+      name: item.name,
+      custom_url: item.custom_url || null,
+      resource_type: item.resource_type || null,
+      resource_id: item.resource_id || null,
+      resource_slug: item.resource_slug || null,
+      display_at: item.display_at || null,
+      hide_at: item.hide_at || null,
+      icon: item.icon || null,
+      target: item.target || '_self',
+      css_class: item.css_class || null,
+      is_active: item.is_active !== false
+    };
+
+    // Unsaved items are created by the server; draft items carry their client key instead
+    if (!cleaned.id) {
+      delete cleaned.id;
+      if (item.draft_key) {
+        cleaned.draft_key = item.draft_key;
+      }
+    }
+
+    if (item.children && item.children.length > 0) {
+      cleaned.children = cleanItems(item.children);
+    }
+
+    return cleaned;
+  });
+}
+
+/**
+ * Deep clone a tree, dropping items that have not been persisted yet
+ * (neither saved nor part of a draft).
+ */
+export function cloneTree(items) {
+  return (items || [])
+    .filter(item => nodeKey(item))
+    .map(item => {
+      const { children, ...fields } = item;
+
+      return {
+        ...fields,
+        children: cloneTree(children)
+      };
+    });
+}
+
+/**
+ * Depth-first walk over a tree. The callback receives the item, its
+ * parent (or null for top-level items) and its index among siblings.
+ */
+export function walkTree(items, callback, parent = null) {
+  (items || []).forEach((item, index) => {
+    callback(item, parent, index);
+    walkTree(item.children, callback, item);
+  });
+}
+
+/**
+ * Distinct resources linked from a tree, most recently created items first
+ * (unsaved draft items count as newest), as
+ * { resource_type, resource_id, resource_name, resource_slug }.
+ */
+export function linkedResources(items) {
+  const linked = new Map();
+
+  walkTree(items, item => {
+    const name = item.linked_resource?.name || item.resource_name;
+
+    if (!item.resource_type || !item.resource_id || !name) {
+      return;
+    }
+
+    const key = `${item.resource_type}:${item.resource_id}`;
+    const createdOrder = item.id || Infinity;
+
+    if (!linked.has(key) || linked.get(key).createdOrder < createdOrder) {
+      linked.set(key, {
+        createdOrder,
+        resource: {
+          resource_type: item.resource_type,
+          resource_id: item.resource_id,
+          resource_name: name,
+          resource_slug: item.linked_resource?.slug || item.resource_slug || null
+        }
+      });
+    }
+  });
+
+  return [...linked.values()]
+    .sort((a, b) => b.createdOrder - a.createdOrder)
+    .map(entry => entry.resource);
+}
+
+/**
+ * Number of levels in an item's subtree, counting the item itself.
+ */
+export function treeHeight(item) {
+  return 1 + Math.max(0, ...(item.children || []).map(treeHeight));
+}
+
+/**
+ * Level of an item in the tree by ID or draft key (top-level items are at
+ * level 1), or null when it is not in the tree.
+ */
+export function depthInTree(items, key, depth = 1) {
+  for (const item of items || []) {
+    if (nodeKey(item) === key) {
+      return depth;
+    }
+
+    const found = depthInTree(item.children, key, depth + 1);
+
+    if (found !== null) {
+      return found;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find an item by ID anywhere in the tree.
+ */
+export function findNode(items, id) {
+  let found = null;
+
+  walkTree(items, item => {
+    if (!found && item.id === id) {
+      found = item;
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Collect every item ID in the tree.
+ */
+export function collectIds(items) {
+  const ids = new Set();
+
+  walkTree(items, item => {
+    if (item.id) {
+      ids.add(item.id);
+    }
+  });
+
+  return ids;
+}
+
+/**
+ * Return a copy of the tree with the given item removed (with its subtree).
+ */
+export function removeNode(items, id) {
+  return (items || [])
+    .filter(item => item.id !== id)
+    .map(item => ({ ...item, children: removeNode(item.children, id) }));
+}
+
+/**
+ * Return a copy of the tree with the given item's own fields replaced,
+ * keeping its position and children.
+ */
+export function replaceNode(items, node) {
+  return (items || []).map(item => {
+    if (item.id === node.id) {
+      const { children, ...fields } = node;
+
+      return { ...item, ...fields, children: item.children };
+    }
+
+    return { ...item, children: replaceNode(item.children, node) };
+  });
+}
+
+/**
+ * Return a copy of the tree with every item ID passed through the mapper.
+ */
+export function mapIds(items, mapper) {
+  return (items || []).map(item => ({
+    ...item,
+    id: item.id ? mapper(item.id) : item.id,
+    children: mapIds(item.children, mapper)
+  }));
+}
+
+const COMPARED_FIELDS = [
+  'custom_url',
+  'resource_type',
+  'resource_id',
+  'resource_slug',
+  'display_at',
+  'hide_at',
+  'icon',
+  'target',
+  'css_class',
+  'is_active'
+];
+
+function indexTree(items) {
+  const index = new Map();
+
+  walkTree(items, (item, parent) => {
+    const key = nodeKey(item);
+
+    if (key) {
+      index.set(key, {
+        item,
+        parentKey: parent ? nodeKey(parent) : null,
+        siblings: (parent ? parent.children : items).map(nodeKey)
+      });
+    }
+  });
+
+  return index;
+}
+
+function normalizeValue(value) {
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Compare two trees and describe what changed from `from` to `to`:
+ * added, removed, moved (new parent or new order among the same siblings),
+ * renamed and otherwise edited items.
+ */
+export function diffTrees(from, to) {
+  const before = indexTree(from);
+  const after = indexTree(to);
+  const diff = { added: [], removed: [], moved: [], renamed: [], edited: [] };
+
+  after.forEach((entry, key) => {
+    if (!before.has(key)) {
+      diff.added.push({ key, name: entry.item.name });
+    }
+  });
+
+  before.forEach((entry, key) => {
+    if (!after.has(key)) {
+      diff.removed.push({ key, name: entry.item.name });
+      return;
+    }
+
+    const next = after.get(key);
+
+    if (entry.parentKey !== next.parentKey) {
+      diff.moved.push({ key, name: next.item.name });
+    } else {
+      // Only compare order among siblings present on both sides, so an
+      // insertion or removal does not flag every following sibling as moved
+      const shared = entry.siblings.filter(sibling => next.siblings.includes(sibling));
+      const nextShared = next.siblings.filter(sibling => entry.siblings.includes(sibling));
+
+      if (shared.indexOf(key) !== nextShared.indexOf(key)) {
+        diff.moved.push({ key, name: next.item.name });
+      }
+    }
+
+    if (entry.item.name !== next.item.name) {
+      diff.renamed.push({ key, from: entry.item.name, to: next.item.name });
+    }
+
+    const fields = COMPARED_FIELDS.filter(
+      field => normalizeValue(entry.item[field]) !== normalizeValue(next.item[field])
+    );
+
+    if (fields.length > 0) {
+      diff.edited.push({ key, name: next.item.name, fields });
+    }
+  });
+
+  return diff;
+}
+
+/**
+ * Whether a diff produced by diffTrees() contains any change.
+ */
+export function hasChanges(diff) {
+  return Object.values(diff).some(changes => changes.length > 0);
+}
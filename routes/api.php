@@ -17,12 +17,37 @@ use Skylark\Menus\Http\Controllers\MenuController;
 // Menu CRUD routes
 Route::apiResource('menus', MenuController::class);
 
+// Export and import whole menus as JSON or YAML
+Route::get('menus/{id}/export', [MenuController::class, 'export']);
+Route::post('menus/import/preview', [MenuController::class, 'previewImport']);
+Route::post('menus/import', [MenuController::class, 'import']);
+
+// Deep-copy a menu under a new name and slug
+Route::post('menus/{id}/duplicate', [MenuController::class, 'duplicate']);
+
 // Get menu items for a specific menu
 Route::get('menus/{id}/items', [MenuController::class, 'items']);
 
+// Preview a menu as the public API serves it, optionally as of another moment (?at=)
+Route::get('menus/{id}/preview', [MenuController::class, 'preview']);
+
+// Report broken links in a menu, optionally checking HTTP statuses (?http=1)
+Route::get('menus/{id}/health', [MenuController::class, 'health']);
+
 // Rebuild menu structure using Laravel Nestedset
 Route::put('menus/{id}/items/rebuild', [MenuController::class, 'rebuild']);
 
+// Draft mode: collect structure changes and publish them in one step
+Route::get('menus/{id}/draft', [MenuController::class, 'draft']);
+Route::put('menus/{id}/draft', [MenuController::class, 'saveDraft']);
+Route::post('menus/{id}/draft/publish', [MenuController::class, 'publishDraft']);
+Route::delete('menus/{id}/draft', [MenuController::class, 'discardDraft']);
+
+// Revision history: snapshots recorded after every tree change
+Route::get('menus/{id}/revisions', [MenuController::class, 'revisions']);
+Route::get('menus/{id}/revisions/{revisionId}', [MenuController::class, 'showRevision']);
+Route::post('menus/{id}/revisions/{revisionId}/restore', [MenuController::class, 'restoreRevision']);
+
 // Menu item reordering for drag-and-drop
 Route::put('menus/{id}/items/reorder', [MenuController::class, 'reorder']);
 
@@ -31,6 +56,15 @@ Route::post('menu-items', [MenuController::class, 'storeItem']);
 Route::put('menu-items/{id}', [MenuController::class, 'updateItem']);
 Route::delete('menu-items/{id}', [MenuController::class, 'destroyItem']);
 
+// Bulk actions on several items of a menu, applied in one transaction
+Route::post('menu-items/batch', [MenuController::class, 'batchItems']);
+
+// Copy an item subtree under a parent in any menu
+Route::post('menu-items/{id}/copy', [MenuController::class, 'copyItem']);
+
+// Move an item subtree under a parent in any menu (split view drag-and-drop)
+Route::post('menu-items/{id}/move', [MenuController::class, 'moveItem']);
+
 // Resource selection API endpoints
 Route::get('resource-types', [MenuController::class, 'resourceTypes']);
 Route::get('resources/{resource_type}/search', [MenuController::class, 'searchResources']);
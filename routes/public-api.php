@@ -17,5 +17,14 @@ use Skylark\Menus\Http\Controllers\MenuApiController;
 Route::get('menus/{slug}', [MenuApiController::class, 'getMenu'])
     ->where('slug', '[a-zA-Z0-9\-_]+');
 
+// Item matching a URL with its ancestors
+Route::get('menus/{slug}/trail', [MenuApiController::class, 'getTrail'])
+    ->where('slug', '[a-zA-Z0-9\-_]+');
+
+// One item with its visible subtree
+Route::get('menus/{slug}/items/{id}', [MenuApiController::class, 'getItem'])
+    ->where('slug', '[a-zA-Z0-9\-_]+')
+    ->whereNumber('id');
+
 // Multi-menu endpoint
 Route::get('menus', [MenuApiController::class, 'getMenus']);
@@ -0,0 +1,92 @@
+<?php
+
+namespace Skylark\Menus\Console\Commands;
+
+use Illuminate\Console\Command;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\MenuLinkCheckService;
+
+class CheckMenuLinksCommand extends Command
+{
+    protected $signature = 'menus:check-links
+                           {menu? : Slug or ID of a menu to check instead of every menu}
+                           {--http : Also request every internal link and report error statuses}
+                           {--base-url= : Base URL for HTTP checks instead of the configured one}
+                           {--format=table : Output format (table or json)}';
+
+    protected $description = 'Report menu links to missing records, unknown resource types, unmatched routes or failing URLs';
+
+    public function handle(MenuLinkCheckService $checker): int
+    {
+        $format = $this->option('format');
+
+        if (! in_array($format, ['table', 'json'], true)) {
+            $this->error("Unsupported format '{$format}'. Use table or json.");
+
+            return self::FAILURE;
+        }
+
+        $menu = null;
+
+        if ($identifier = $this->argument('menu')) {
+            $menu = MenuItem::roots()
+                ->where(function ($query) use ($identifier) {
+                    $query->where('slug', $identifier);
+
+                    if (ctype_digit((string) $identifier)) {
+                        $query->orWhere('id', (int) $identifier);
+                    }
+                })
+                ->first();
+
+            if (! $menu) {
+                $this->error("Menu '{$identifier}' not found.");
+
+                return self::FAILURE;
+            }
+        }
+
+        $result = $checker->check($menu, [
+            'http' => (bool) $this->option('http'),
+            'base_url' => $this->option('base-url'),
+        ]);
+
+        if ($format === 'json') {
+            $this->output->writeln(json_encode($result, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+        } else {
+            $this->displayTable($result);
+        }
+
+        // A non-zero exit code lets scheduled or CI runs alert on rotten links
+        return empty($result['problems']) ? self::SUCCESS : self::FAILURE;
+    }
+
+    /**
+     * Print the problems found, or a summary when there are none.
+     */
+    protected function displayTable(array $result): void
+    {
+        $summary = "{$result['items_checked']} item(s) in {$result['menus_checked']} menu(s) checked";
+
+        if (empty($result['problems'])) {
+            $this->info("{$summary}, no problems found.");
+
+            return;
+        }
+
+        $labels = MenuLinkCheckService::labels();
+
+        $this->table(
+            ['Menu', 'Item', 'Problem', 'URL', 'Details'],
+            array_map(fn ($problem) => [
+                $problem['menu'],
+                "{$problem['item']} (#{$problem['item_id']})",
+                $labels[$problem['problem']] ?? $problem['problem'],
+                $problem['url'] ?? '-',
+                $problem['message'],
+            ], $result['problems'])
+        );
+
+        $this->warn("{$summary}, ".count($result['problems']).' problem(s) found.');
+    }
+}
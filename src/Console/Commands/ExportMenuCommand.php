@@ -0,0 +1,60 @@
+<?php
+
+namespace Skylark\Menus\Console\Commands;
+
+use Illuminate\Console\Command;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\MenuTransferService;
+
+class ExportMenuCommand extends Command
+{
+    protected $signature = 'menus:export
+                           {menu : Slug or ID of the menu to export}
+                           {--format= : Output format (json or yaml); guessed from --output when omitted}
+                           {--output= : Write the export to this file instead of the console}';
+
+    protected $description = 'Export a menu and its nested items as JSON or YAML';
+
+    public function handle(MenuTransferService $transfer): int
+    {
+        $identifier = $this->argument('menu');
+
+        $rootMenu = MenuItem::roots()
+            ->where(function ($query) use ($identifier) {
+                $query->where('slug', $identifier);
+
+                if (ctype_digit((string) $identifier)) {
+                    $query->orWhere('id', (int) $identifier);
+                }
+            })
+            ->first();
+
+        if (! $rootMenu) {
+            $this->error("Menu '{$identifier}' not found.");
+
+            return self::FAILURE;
+        }
+
+        $output = $this->option('output');
+        $format = $this->option('format') ?: ($output ? $transfer->formatFromFilename($output) : null) ?: 'json';
+
+        try {
+            $content = $transfer->encode($transfer->export($rootMenu), $format);
+        } catch (\InvalidArgumentException $e) {
+            $this->error($e->getMessage());
+
+            return self::FAILURE;
+        }
+
+        if (! $output) {
+            $this->output->write($content);
+
+            return self::SUCCESS;
+        }
+
+        file_put_contents($output, $content);
+        $this->info("Menu '{$rootMenu->name}' exported to: {$output}");
+
+        return self::SUCCESS;
+    }
+}
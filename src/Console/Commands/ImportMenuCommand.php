@@ -0,0 +1,102 @@
+<?php
+
+namespace Skylark\Menus\Console\Commands;
+
+use Illuminate\Console\Command;
+use Illuminate\Validation\ValidationException;
+use Skylark\Menus\Services\MenuTransferService;
+
+class ImportMenuCommand extends Command
+{
+    protected $signature = 'menus:import
+                           {file : Path to a JSON or YAML menu export}
+                           {--format= : Input format (json or yaml); guessed from the file when omitted}
+                           {--name= : Name for the imported menu instead of the exported one}
+                           {--slug= : Slug for the imported menu instead of the exported one}
+                           {--replace : Replace the items of an existing menu with the same slug}
+                           {--dry-run : Show what would be imported without writing anything}';
+
+    protected $description = 'Import a menu from a JSON or YAML export, re-resolving resource links by slug';
+
+    public function handle(MenuTransferService $transfer): int
+    {
+        $file = $this->argument('file');
+
+        if (! is_readable($file)) {
+            $this->error("File '{$file}' does not exist or is not readable.");
+
+            return self::FAILURE;
+        }
+
+        $options = [
+            'name' => $this->option('name'),
+            'slug' => $this->option('slug'),
+            'replace' => (bool) $this->option('replace'),
+        ];
+
+        try {
+            $data = $transfer->decode(
+                file_get_contents($file),
+                $this->option('format') ?: $transfer->formatFromFilename($file)
+            );
+
+            $preview = $transfer->preview($data, $options);
+            $this->displayPreview($preview);
+
+            if ($this->option('dry-run')) {
+                $this->info('Dry run: nothing was imported.');
+
+                return self::SUCCESS;
+            }
+
+            $result = $transfer->import($data, $options);
+        } catch (ValidationException $e) {
+            $this->error('The export is invalid:');
+
+            foreach ($e->errors() as $field => $messages) {
+                $this->line("  {$field}: ".implode(' ', $messages));
+            }
+
+            return self::FAILURE;
+        } catch (\InvalidArgumentException $e) {
+            $this->error($e->getMessage());
+
+            return self::FAILURE;
+        }
+
+        $this->info(sprintf(
+            "Menu '%s' %s with %d item(s).",
+            $result['menu']->name,
+            $result['replaced'] ? 'replaced' : 'created',
+            $result['items_count']
+        ));
+
+        return self::SUCCESS;
+    }
+
+    /**
+     * Print the menu that will be imported and any links that could not be resolved.
+     */
+    protected function displayPreview(array $preview): void
+    {
+        $this->line("Menu: {$preview['menu']['name']} ({$preview['menu']['slug']})");
+        $this->line("Items: {$preview['items_count']}");
+
+        if ($preview['existing_menu_id']) {
+            $this->warn("A menu with the slug '{$preview['menu']['slug']}' already exists (ID {$preview['existing_menu_id']}).");
+        }
+
+        if (! empty($preview['warnings'])) {
+            $this->warn(count($preview['warnings']).' resource link(s) could not be resolved:');
+            $this->table(
+                ['Item', 'Type', 'Slug', 'Problem'],
+                array_map(fn ($warning) => [
+                    $warning['item'],
+                    $warning['resource_type'],
+                    $warning['resource_slug'] ?? '-',
+                    $warning['message'],
+                ], $preview['warnings'])
+            );
+        }
+    }
+}
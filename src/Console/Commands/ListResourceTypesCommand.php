@@ -0,0 +1,61 @@
+<?php
+
+namespace Skylark\Menus\Console\Commands;
+
+use Illuminate\Console\Command;
+use Skylark\Menus\Services\ResourceDiscoveryService;
+use Skylark\Menus\Services\ResourceLinkService;
+
+class ListResourceTypesCommand extends Command
+{
+    protected $signature = 'menus:resource-types
+                           {--refresh : Discover Nova resources again instead of using cached results}';
+
+    protected $description = 'List the resource types menu items can link to and report misconfigured ones';
+
+    public function handle(ResourceLinkService $resources, ResourceDiscoveryService $discovery): int
+    {
+        $discoveryEnabled = config('menus.discovery.enabled', false);
+
+        if ($discoveryEnabled && $this->option('refresh')) {
+            $discovery->refresh();
+        }
+
+        $discovered = $discoveryEnabled ? $discovery->discover() : [];
+        $configured = config('menus.resources', []) ?? [];
+        $invalid = $resources->getInvalidResourceTypes();
+        $types = $resources->getResourceConfiguration();
+
+        if (empty($types)) {
+            $this->warn('No resource types are configured or discovered.');
+
+            return self::SUCCESS;
+        }
+
+        $this->table(
+            ['Type', 'Label', 'Model', 'Name field', 'Slug field', 'Route', 'Source', 'Status'],
+            collect($types)->map(fn ($config, $type) => [
+                $type,
+                $resources->getResourceLabel($type),
+                $config['model'] ?? '-',
+                $config['name_field'] ?? '-',
+                $config['slug_field'] ?? '-',
+                $config['route_pattern'] ?? '-',
+                match (true) {
+                    isset($discovered[$type], $configured[$type]) => 'discovered, overridden',
+                    isset($discovered[$type]) => 'discovered',
+                    default => 'config',
+                },
+                $invalid[$type] ?? 'OK',
+            ])->values()->all()
+        );
+
+        if ($invalid) {
+            $this->error(count($invalid).' resource type(s) are misconfigured and hidden from the resource picker.');
+
+            return self::FAILURE;
+        }
+
+        return self::SUCCESS;
+    }
+}
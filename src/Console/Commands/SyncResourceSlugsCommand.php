@@ -0,0 +1,55 @@
+<?php
+
+namespace Skylark\Menus\Console\Commands;
+
+use Illuminate\Console\Command;
+use Skylark\Menus\Services\ResourceLinkService;
+use Skylark\Menus\Services\ResourceSlugSyncService;
+
+class SyncResourceSlugsCommand extends Command
+{
+    protected $signature = 'menus:sync-slugs
+                           {--type= : Only sync menu items linking to this resource type}
+                           {--dry-run : Report drifted slugs without updating them}';
+
+    protected $description = 'Update the stored slug of menu items whose linked resource changed its slug';
+
+    public function handle(ResourceSlugSyncService $sync, ResourceLinkService $resources): int
+    {
+        $type = $this->option('type');
+
+        if ($type && ! in_array($type, $resources->getResourceTypes(), true)) {
+            $this->error("Resource type '{$type}' is not configured.");
+
+            return self::FAILURE;
+        }
+
+        $drift = $this->option('dry-run') ? $sync->drift($type) : $sync->syncAll($type);
+
+        if ($drift->isEmpty()) {
+            $this->info('All menu item slugs match their linked resources.');
+
+            return self::SUCCESS;
+        }
+
+        $this->table(
+            ['Item', 'Name', 'Type', 'Resource', 'Stored slug', 'Current slug'],
+            $drift->map(fn ($entry) => [
+                $entry['item_id'],
+                $entry['name'],
+                $entry['resource_type'],
+                $entry['resource_id'],
+                $entry['old_slug'] ?? '-',
+                $entry['new_slug'],
+            ])->all()
+        );
+
+        if ($this->option('dry-run')) {
+            $this->warn("Dry run: {$drift->count()} menu item(s) would be updated.");
+        } else {
+            $this->info("Updated {$drift->count()} menu item(s).");
+        }
+
+        return self::SUCCESS;
+    }
+}
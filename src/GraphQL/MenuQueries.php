@@ -0,0 +1,143 @@
+<?php
+
+namespace Skylark\Menus\GraphQL;
+
+use GraphQL\Error\Error;
+use GraphQL\Language\AST\FieldNode;
+use GraphQL\Language\AST\FragmentSpreadNode;
+use GraphQL\Language\AST\InlineFragmentNode;
+use GraphQL\Language\AST\SelectionSetNode;
+use GraphQL\Type\Definition\ResolveInfo;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\MenuCacheService;
+
+class MenuQueries
+{
+    public function __construct(
+        protected MenuCacheService $cache
+    ) {}
+
+    /**
+     * Resolve menu(slug)
+     *
+     * @throws Error
+     */
+    public function menu(mixed $root, array $args, mixed $context, ResolveInfo $info): ?array
+    {
+        $menu = MenuItem::where('slug', $args['slug'])
+            ->where('is_root', true)
+            ->first();
+
+        if (! $menu) {
+            return null;
+        }
+
+        $this->guardDepth($info, $this->maxDepth($menu));
+
+        return $this->menuData($menu);
+    }
+
+    /**
+     * Resolve menus(slugs)
+     *
+     * @throws Error
+     */
+    public function menus(mixed $root, array $args, mixed $context, ResolveInfo $info): array
+    {
+        $menus = MenuItem::whereIn('slug', $args['slugs'])
+            ->where('is_root', true)
+            ->get()
+            ->keyBy('slug');
+
+        if ($menus->isEmpty()) {
+            return [];
+        }
+
+        // A deeper query could still be answered in full for the deepest menu
+        $this->guardDepth($info, $menus->max(fn (MenuItem $menu) => $this->maxDepth($menu)));
+
+        return collect($args['slugs'])
+            ->unique()
+            ->filter(fn (string $slug) => $menus->has($slug))
+            ->map(fn (string $slug) => $this->menuData($menus->get($slug)))
+            ->values()
+            ->all();
+    }
+
+    /**
+     * The public items of a menu in the shape of the Menu type; the cache
+     * already leaves out hidden subtrees and links to missing resources
+     */
+    protected function menuData(MenuItem $menu): array
+    {
+        return [
+            'slug' => $menu->slug,
+            'name' => $menu->name,
+            'maxDepth' => $this->maxDepth($menu),
+            'items' => $this->itemData($this->cache->items($menu)['items']),
+        ];
+    }
+
+    protected function itemData(array $items): array
+    {
+        return array_map(fn (array $item) => [
+            'id' => $item['id'],
+            'name' => $item['name'],
+            'url' => $item['url'],
+            'target' => $item['target'],
+            'cssClass' => $item['css_class'],
+            'icon' => $item['icon'],
+            'children' => $this->itemData($item['children'] ?? []),
+        ], $items);
+    }
+
+    /**
+     * Reject queries selecting more levels of items than the menu may have,
+     * so clients cannot make the server walk arbitrarily deep selections
+     *
+     * @throws Error
+     */
+    protected function guardDepth(ResolveInfo $info, int $maxDepth): void
+    {
+        $levels = 0;
+
+        foreach ($info->fieldNodes as $node) {
+            $levels = max($levels, $this->levels($node->selectionSet, 'items', $info->fragments));
+        }
+
+        if ($levels > $maxDepth) {
+            throw new Error(
+                "The query selects {$levels} levels of menu items, but the menu has at most {$maxDepth}",
+                $info->fieldNodes
+            );
+        }
+    }
+
+    /**
+     * Levels of nested item selections below a selection set, starting with the given field
+     */
+    protected function levels(?SelectionSetNode $selectionSet, string $field, array $fragments): int
+    {
+        $levels = 0;
+
+        foreach ($selectionSet->selections ?? [] as $selection) {
+            $levels = max($levels, match (true) {
+                $selection instanceof FieldNode => $selection->name->value === $field
+                    ? 1 + $this->levels($selection->selectionSet, 'children', $fragments)
+                    : 0,
+                $selection instanceof InlineFragmentNode => $this->levels($selection->selectionSet, $field, $fragments),
+                $selection instanceof FragmentSpreadNode => isset($fragments[$selection->name->value])
+                    ? $this->levels($fragments[$selection->name->value]->selectionSet, $field, $fragments)
+                    : 0,
+                default => 0,
+            });
+        }
+
+        return $levels;
+    }
+
+    protected function maxDepth(MenuItem $menu): int
+    {
+        return $menu->max_depth ?? 6;
+    }
+}
@@ -2,12 +2,22 @@
 
 namespace Skylark\Menus\Http\Controllers;
 
+use Carbon\CarbonInterface;
+use Illuminate\Http\Exceptions\HttpResponseException;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
 use Illuminate\Routing\Controller;
+use Illuminate\Support\Facades\Gate;
+use Illuminate\Support\Carbon;
+use Illuminate\Support\Facades\Validator;
 use Skylark\Menus\Models\MenuItem;
 use Skylark\Menus\Resources\MenuItemResource;
+use Skylark\Menus\Services\MenuCacheService;
+use Skylark\Menus\Services\MenuFormatService;
+use Skylark\Menus\Services\MenuTrailService;
+use Skylark\Menus\Services\PublicMenuService;
 use Skylark\Menus\Services\ResourceLinkService;
+use Symfony\Component\HttpFoundation\Response;
 
 class MenuApiController extends Controller
 {
@@ -19,10 +29,15 @@ class MenuApiController extends Controller
     }
 
     /**
-     * Get a single menu by slug with hierarchical structure
+     * Get a single menu by slug with hierarchical structure, or in another ?format=
      */
-    public function getMenu(string $slug): JsonResponse
+    public function getMenu(string $slug): Response
     {
+        $request = request();
+        $at = $this->evaluationTime($request);
+        $depth = $this->depth($request);
+        $format = $this->format($request);
+
         $menu = MenuItem::where('slug', $slug)
             ->where('is_root', true)
             ->first();
@@ -34,30 +49,75 @@ class MenuApiController extends Controller
             ], 404);
         }
 
-        // Get all descendants (without pre-filtering by visibility)
-        $allItems = MenuItem::where('_lft', '>', $menu->_lft)
-            ->where('_rgt', '<', $menu->_rgt)
-            ->orderBy('_lft')
-            ->get();
+        // Children of hidden parents are hidden as well
+        $payload = $this->menuPayload($request, $menu, $at);
+        $items = $this->truncate($payload['items'], $depth);
+        $formatter = app(MenuFormatService::class);
+
+        $response = match ($format) {
+            MenuFormatService::HTML => response($formatter->html($slug, $menu->name, $items), 200, [
+                'Content-Type' => 'text/html; charset=UTF-8',
+            ]),
+            MenuFormatService::JSON_LD => response()->json($formatter->jsonLd($menu->name, $items), 200, [
+                'Content-Type' => 'application/ld+json',
+            ]),
+            default => response()->json([
+                'slug' => $slug,
+                'name' => $menu->name,
+                'items' => $format === MenuFormatService::FLAT ? $formatter->flat($items) : $items,
+                'timestamp' => $at->toISOString(),
+            ]),
+        };
 
-        // Filter hierarchically - children of hidden parents should also be hidden
-        $validItems = $this->filterHierarchically($allItems);
+        $etag = $this->variantEtag($payload['etag'], $depth, $this->formatVariant($format));
+        $response->setVary('Accept');
 
-        // Build hierarchical structure using nested set toTree method
-        $tree = $validItems->toTree();
+        return $this->withValidators($request, $response, $etag, $payload['last_modified']);
+    }
 
-        return response()->json([
+    /**
+     * Get one public item of a menu with its visible subtree, e.g. to lazy-load a flyout
+     */
+    public function getItem(Request $request, string $slug, int $id): JsonResponse
+    {
+        $at = $this->evaluationTime($request);
+        $depth = $this->depth($request);
+
+        $menu = MenuItem::where('slug', $slug)
+            ->where('is_root', true)
+            ->first();
+
+        if (! $menu) {
+            return response()->json([
+                'error' => 'Menu not found',
+                'message' => "Menu with slug '{$slug}' does not exist",
+            ], 404);
+        }
+
+        // The public items already leave out everything under a hidden ancestor
+        $payload = $this->menuPayload($request, $menu, $at);
+        $item = $this->findItem($payload['items'], $id);
+
+        if (! $item) {
+            return response()->json([
+                'error' => 'Menu item not found',
+                'message' => "Menu '{$slug}' has no visible item with ID {$id}",
+            ], 404);
+        }
+
+        $response = response()->json([
             'slug' => $slug,
-            'name' => $menu->name,
-            'items' => MenuItemResource::collection($tree),
-            'timestamp' => now()->toISOString(),
+            'item' => $this->truncate([$item], $depth === null ? null : $depth + 1)[0],
+            'timestamp' => $at->toISOString(),
         ]);
+
+        return $this->withValidators($request, $response, $this->variantEtag($payload['etag'], $depth, $id), $payload['last_modified']);
     }
 
     /**
-     * Get multiple menus by comma-separated slugs
+     * Get multiple menus by comma-separated slugs, optionally in another ?format=
      */
-    public function getMenus(Request $request): JsonResponse
+    public function getMenus(Request $request): Response
     {
         $menuSlugs = $request->get('menus', '');
 
@@ -68,6 +128,10 @@ class MenuApiController extends Controller
             ], 400);
         }
 
+        $at = $this->evaluationTime($request);
+        $depth = $this->depth($request);
+        $format = $this->format($request);
+        $formatter = app(MenuFormatService::class);
         $slugs = array_map('trim', explode(',', $menuSlugs));
         $menus = MenuItem::whereIn('slug', $slugs)
             ->where('is_root', true)
@@ -75,6 +139,8 @@ class MenuApiController extends Controller
             ->keyBy('slug');
 
         $result = [];
+        $etags = [];
+        $lastModified = 0;
 
         foreach ($slugs as $slug) {
             if (! $menus->has($slug)) {
@@ -87,108 +153,277 @@ class MenuApiController extends Controller
             }
 
             $menu = $menus->get($slug);
+            $payload = $this->menuPayload($request, $menu, $at);
+
+            $items = $this->truncate($payload['items'], $depth);
+
+            $result[$slug] = match ($format) {
+                MenuFormatService::HTML => $formatter->html($slug, $menu->name, $items),
+                MenuFormatService::JSON_LD => $formatter->jsonLd($menu->name, $items, false),
+                default => [
+                    'name' => $menu->name,
+                    'items' => $format === MenuFormatService::FLAT ? $formatter->flat($items) : $items,
+                ],
+            };
+            $etags[] = $payload['etag'];
+            $lastModified = max($lastModified, $payload['last_modified']);
+        }
+
+        // Missing menus are left out of HTML and JSON-LD, which have no place for errors
+        $found = fn () => array_filter($result, fn ($menu, $slug) => $menus->has($slug), ARRAY_FILTER_USE_BOTH);
+
+        $response = match ($format) {
+            MenuFormatService::HTML => response(implode("\n", $found()), 200, [
+                'Content-Type' => 'text/html; charset=UTF-8',
+            ]),
+            MenuFormatService::JSON_LD => response()->json([
+                '@context' => 'https://schema.org',
+                '@graph' => array_values($found()),
+            ], 200, ['Content-Type' => 'application/ld+json']),
+            default => response()->json([
+                'menus' => $result,
+                'timestamp' => $at->toISOString(),
+            ]),
+        };
+
+        // Missing menus are part of the response too
+        $etag = $this->variantEtag(sha1(json_encode([array_keys($result), $etags])), $depth, $this->formatVariant($format));
+        $response->setVary('Accept');
+
+        return $this->withValidators($request, $response, $etag, $lastModified ?: now()->getTimestamp());
+    }
+
+    /**
+     * Get the item of a menu matching a URL with its ancestors, e.g. for breadcrumbs
+     */
+    public function getTrail(Request $request, string $slug): JsonResponse
+    {
+        $url = $request->query('url');
 
-            // Get all descendants (without pre-filtering by visibility)
-            $allItems = MenuItem::where('_lft', '>', $menu->_lft)
-                ->where('_rgt', '<', $menu->_rgt)
-                ->orderBy('_lft')
-                ->get();
+        if (! is_string($url) || $url === '') {
+            return response()->json([
+                'error' => 'No URL specified',
+                'message' => 'Please provide the URL to match via ?url=/path',
+            ], 400);
+        }
 
-            // Filter hierarchically - children of hidden parents should also be hidden
-            $validItems = $this->filterHierarchically($allItems);
+        $matches = $request->filled('match')
+            ? array_map('trim', explode(',', (string) $request->query('match')))
+            : MenuTrailService::MATCHES;
 
-            $tree = $validItems->toTree();
+        if (array_diff($matches, MenuTrailService::MATCHES)) {
+            return response()->json([
+                'error' => 'Invalid match',
+                'message' => 'The match parameter accepts a comma-separated list of: '.implode(', ', MenuTrailService::MATCHES),
+            ], 400);
+        }
 
-            $result[$slug] = [
-                'name' => $menu->name,
-                'items' => MenuItemResource::collection($tree),
-            ];
+        $at = $this->evaluationTime($request);
+
+        $menu = MenuItem::where('slug', $slug)
+            ->where('is_root', true)
+            ->first();
+
+        if (! $menu) {
+            return response()->json([
+                'error' => 'Menu not found',
+                'message' => "Menu with slug '{$slug}' does not exist",
+            ], 404);
+        }
+
+        $result = app(MenuTrailService::class)->find($menu, $url, $at, $matches);
+
+        if (! $result) {
+            return response()->json([
+                'error' => 'No matching item',
+                'message' => "No item of menu '{$slug}' matches '{$url}'",
+            ], 404);
         }
 
+        // Flat items, so children are left out
+        $trail = MenuItemResource::collection($result['ancestors']->push($result['item']))->resolve($request);
+
         return response()->json([
-            'menus' => $result,
-            'timestamp' => now()->toISOString(),
+            'slug' => $slug,
+            'url' => $url,
+            'match' => $result['match'],
+            'item' => end($trail),
+            'trail' => $trail,
+            'timestamp' => $at->toISOString(),
         ]);
     }
 
     /**
-     * Filter menu items hierarchically - children of hidden parents are also hidden
+     * Public items of a menu: from the cache for now, built fresh for another moment
      */
-    protected function filterHierarchically($items): \Illuminate\Support\Collection
+    protected function menuPayload(Request $request, MenuItem $menu, CarbonInterface $at): array
+    {
+        $cache = app(MenuCacheService::class);
+
+        return $request->filled('at') ? $cache->build($menu, $at) : $cache->items($menu);
+    }
+
+    /**
+     * Cut an item tree below the given number of levels; every item then
+     * reports whether it has children, so clients know what to load later
+     */
+    protected function truncate(array $items, ?int $depth): array
     {
-        // Create a set to track which items should be hidden
-        $hiddenItems = collect();
+        if ($depth === null) {
+            return $items;
+        }
+
+        return array_map(function (array $item) use ($depth) {
+            $children = $item['children'] ?? [];
 
-        // First pass: identify items that should be hidden based on their own visibility
+            return array_merge($item, [
+                'children' => $depth > 1 ? $this->truncate($children, $depth - 1) : [],
+                'has_children' => ! empty($children),
+            ]);
+        }, $items);
+    }
+
+    /**
+     * Find an item anywhere in an item tree
+     */
+    protected function findItem(array $items, int $id): ?array
+    {
         foreach ($items as $item) {
-            if (! $this->isItemVisible($item)) {
-                $hiddenItems->push($item->id);
+            if ($item['id'] === $id) {
+                return $item;
             }
 
-            // Check resource validity separately with better error handling
-            if ($item->resource_type && $item->resource_id) {
-                try {
-                    if (! $item->hasValidResource()) {
-                        $hiddenItems->push($item->id);
-                    }
-                } catch (\Exception $e) {
-                    // Log the error but don't hide the item - fall back to custom_url if available
-                    \Log::warning('Resource validation failed in public API', [
-                        'item_id' => $item->id,
-                        'resource_type' => $item->resource_type,
-                        'resource_id' => $item->resource_id,
-                        'error' => $e->getMessage(),
-                    ]);
-
-                    // Only hide if there's no fallback URL
-                    if (! $item->custom_url) {
-                        $hiddenItems->push($item->id);
-                    }
-                }
+            if ($found = $this->findItem($item['children'] ?? [], $id)) {
+                return $found;
             }
         }
 
-        // Second pass: hide all descendants of hidden items using nested set logic
-        foreach ($items as $item) {
-            if ($hiddenItems->contains($item->id)) {
-                // This item is hidden, so hide all its descendants
-                foreach ($items as $potentialChild) {
-                    if ($potentialChild->_lft > $item->_lft &&
-                        $potentialChild->_rgt < $item->_rgt) {
-                        $hiddenItems->push($potentialChild->id);
-                    }
-                }
-            }
+        return null;
+    }
+
+    /**
+     * The ETag of a partial response: the full tree's ETag unless parts were left out
+     */
+    protected function variantEtag(string $etag, mixed ...$variant): string
+    {
+        $variant = array_filter($variant, fn ($value) => $value !== null);
+
+        return $variant ? sha1(json_encode([$etag, ...$variant])) : $etag;
+    }
+
+    /**
+     * The output format from ?format= or the Accept header
+     *
+     * @throws HttpResponseException
+     */
+    protected function format(Request $request): string
+    {
+        $format = app(MenuFormatService::class)->negotiate($request);
+
+        if ($format === null) {
+            throw new HttpResponseException(response()->json([
+                'error' => 'Invalid format',
+                'message' => 'The format parameter accepts one of: '.implode(', ', MenuFormatService::FORMATS),
+            ], 422));
         }
 
-        // Return only items that are not in the hidden set
-        return $items->filter(function ($item) use ($hiddenItems) {
-            return ! $hiddenItems->contains($item->id);
-        });
+        return $format;
     }
 
     /**
-     * Check if an item is visible based on temporal constraints
+     * The format as part of an ETag; the default format keeps the ETag of the full tree
      */
-    protected function isItemVisible($item): bool
+    protected function formatVariant(string $format): ?string
+    {
+        return $format === MenuFormatService::JSON ? null : $format;
+    }
+
+    /**
+     * The number of levels to return from the ?depth= parameter, or null for all of them
+     *
+     * @throws HttpResponseException
+     */
+    protected function depth(Request $request): ?int
+    {
+        if (! $request->filled('depth')) {
+            return null;
+        }
+
+        if (Validator::make($request->only('depth'), ['depth' => 'integer|min:1'])->fails()) {
+            throw new HttpResponseException(response()->json([
+                'error' => 'Invalid depth',
+                'message' => 'The depth parameter must be a whole number of at least 1',
+            ], 422));
+        }
+
+        return (int) $request->input('depth');
+    }
+
+    /**
+     * Add ETag and Last-Modified headers, answering 304 when the client's copy is current
+     */
+    protected function withValidators(Request $request, Response $response, string $etag, int $lastModified): Response
     {
-        $now = now();
+        // Weak, as the timestamp in the body changes on every request
+        $response->setEtag($etag, true);
+        $response->setLastModified(Carbon::createFromTimestamp($lastModified));
+        $response->isNotModified($request);
 
-        // Check if item is active
-        if (! $item->is_active) {
-            return false;
+        return $response;
+    }
+
+    /**
+     * The moment visibility is evaluated at: now, or the ?at= timestamp for authenticated users
+     *
+     * @throws HttpResponseException
+     */
+    protected function evaluationTime(Request $request): CarbonInterface
+    {
+        if (! $request->filled('at')) {
+            return now();
         }
 
-        // Check display_at constraint
-        if ($item->display_at && $now->lt($item->display_at)) {
-            return false;
+        $user = auth()->guard(config('menus.time_travel.guard'))->user();
+
+        if (! $user) {
+            throw new HttpResponseException(response()->json([
+                'error' => 'Unauthenticated',
+                'message' => 'The at parameter is only available to authenticated users',
+            ], 401));
         }
 
-        // Check hide_at constraint
-        if ($item->hide_at && $now->gte($item->hide_at)) {
-            return false;
+        $ability = config('menus.time_travel.ability');
+
+        if ($ability && Gate::forUser($user)->denies($ability)) {
+            throw new HttpResponseException(response()->json([
+                'error' => 'Forbidden',
+                'message' => 'You are not allowed to view menus at another time',
+            ], 403));
         }
 
-        return true;
+        if (Validator::make($request->only('at'), ['at' => 'date'])->fails()) {
+            throw new HttpResponseException(response()->json([
+                'error' => 'Invalid timestamp',
+                'message' => 'The at parameter must be an ISO 8601 date and time, e.g. 2025-12-24T18:00:00Z',
+            ], 422));
+        }
+
+        return $request->date('at');
+    }
+
+    /**
+     * Filter menu items hierarchically - children of hidden parents are also hidden
+     */
+    protected function filterHierarchically($items): \Illuminate\Support\Collection
+    {
+        return app(PublicMenuService::class)->filterHierarchically($items);
+    }
+
+    /**
+     * Check if an item is visible based on temporal constraints
+     */
+    protected function isItemVisible($item): bool
+    {
+        return app(PublicMenuService::class)->isItemVisible($item);
     }
 }
@@ -5,10 +5,25 @@ namespace Skylark\Menus\Http\Controllers;
 use Illuminate\Database\Eloquent\ModelNotFoundException;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
+use Illuminate\Http\Response;
+use Illuminate\Support\Arr;
 use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Str;
 use Illuminate\Validation\ValidationException;
+use Skylark\Menus\Models\MenuDraft;
 use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Models\MenuRevision;
+use Skylark\Menus\Resources\MenuItemResource;
+use Skylark\Menus\Services\MenuBatchService;
+use Skylark\Menus\Services\MenuCacheService;
+use Skylark\Menus\Services\MenuCopyService;
+use Skylark\Menus\Services\MenuDepthService;
+use Skylark\Menus\Services\MenuLinkCheckService;
+use Skylark\Menus\Services\MenuMoveService;
+use Skylark\Menus\Services\MenuRevisionService;
+use Skylark\Menus\Services\MenuTransferService;
+use Skylark\Menus\Services\PublicMenuService;
 use Skylark\Menus\Services\ResourceLinkService;
 
 class MenuController
@@ -114,6 +129,9 @@ class MenuController
         try {
             $menu = MenuItem::where('id', $id)->where('is_root', true)->withDepth()->firstOrFail();
 
+            $menu->drafts_enabled = (bool) config('menus.drafts.enabled', false);
+            $menu->has_draft = $menu->draft()->exists();
+
             return response()->json([
                 'success' => true,
                 'data' => $menu,
@@ -148,47 +166,562 @@ class MenuController
                 'max_depth' => 'sometimes|integer|min:1|max:10',
             ]);
 
-            $menu->update($validated);
+            $menu->update($validated);
+
+            return response()->json([
+                'success' => true,
+                'data' => $menu->fresh(),
+                'message' => 'Menu updated successfully',
+            ]);
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Menu not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $e->errors(),
+            ], 422);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to update menu',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Remove the specified menu (root node and all descendants).
+     */
+    public function destroy(int $id): JsonResponse
+    {
+        try {
+            $menu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
+
+            // Delete the entire tree (root and all descendants)
+            $menu->delete();
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Menu deleted successfully',
+            ]);
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Menu not found',
+            ], 404);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to delete menu',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Deep-copy a menu and all of its items under a new name and slug.
+     */
+    public function duplicate(Request $request, int $id): JsonResponse
+    {
+        try {
+            $rootMenu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
+
+            $validated = $request->validate([
+                'name' => 'required|string|min:3|max:255',
+                'slug' => 'nullable|string|max:255|unique:menu_items,slug',
+            ]);
+
+            // Generate slug if not provided
+            if (empty($validated['slug'])) {
+                $validated['slug'] = Str::slug($validated['name']);
+            }
+
+            $copy = app(MenuCopyService::class)->duplicate($rootMenu, $validated);
+
+            return response()->json([
+                'success' => true,
+                'data' => $copy,
+                'message' => 'Menu duplicated successfully',
+            ], 201);
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Menu not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $e->errors(),
+            ], 422);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to duplicate menu',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Download a menu and its nested tree as a JSON or YAML file.
+     */
+    public function export(Request $request, int $id): Response|JsonResponse
+    {
+        try {
+            $rootMenu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
+
+            $validated = $request->validate([
+                'format' => 'nullable|in:json,yaml',
+            ]);
+
+            $format = $validated['format'] ?? 'json';
+            $transfer = app(MenuTransferService::class);
+
+            return response($transfer->encode($transfer->export($rootMenu), $format), 200, [
+                'Content-Type' => $format === 'yaml' ? 'application/x-yaml' : 'application/json',
+                'Content-Disposition' => 'attachment; filename="'.($rootMenu->slug ?: 'menu-'.$rootMenu->id).'.'.$format.'"',
+            ]);
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Menu not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $e->errors(),
+            ], 422);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to export menu',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Parse an uploaded menu export and describe what importing it would do.
+     */
+    public function previewImport(Request $request): JsonResponse
+    {
+        try {
+            $validated = $request->validate($this->importValidationRules());
+
+            $transfer = app(MenuTransferService::class);
+            $preview = $transfer->preview(
+                $transfer->decode($validated['content'], $validated['format'] ?? null),
+                $validated
+            );
+
+            return response()->json([
+                'success' => true,
+                'data' => $preview,
+                'message' => 'Menu import preview generated successfully',
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage(),
+            ], 400);
+        } catch (ValidationException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $e->errors(),
+            ], 422);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to read menu import',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Import a menu from an uploaded JSON or YAML export.
+     */
+    public function import(Request $request): JsonResponse
+    {
+        try {
+            $validated = $request->validate($this->importValidationRules());
+
+            $transfer = app(MenuTransferService::class);
+            $result = $transfer->import(
+                $transfer->decode($validated['content'], $validated['format'] ?? null),
+                $validated
+            );
+
+            return response()->json([
+                'success' => true,
+                'data' => $result,
+                'message' => 'Menu imported successfully',
+            ], $result['replaced'] ? 200 : 201);
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage(),
+            ], 400);
+        } catch (ValidationException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $e->errors(),
+            ], 422);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to import menu',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Get menu items for a specific menu as a hierarchical tree structure.
+     */
+    public function items(int $id): JsonResponse
+    {
+        try {
+            $rootMenu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
+
+            $menuItems = $this->loadMenuTree($rootMenu);
+
+            return response()->json([
+                'success' => true,
+                'data' => $menuItems,
+                'message' => 'Menu items retrieved successfully',
+            ]);
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Menu not found',
+            ], 404);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to retrieve menu items',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Preview a menu as the public API serves it, optionally as of another moment.
+     */
+    public function preview(Request $request, int $id): JsonResponse
+    {
+        try {
+            $request->validate([
+                'at' => 'nullable|date',
+            ]);
+
+            $rootMenu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
+            $at = $request->date('at') ?? now();
+
+            return response()->json([
+                'success' => true,
+                'data' => [
+                    'items' => MenuItemResource::collection(
+                        app(PublicMenuService::class)->visibleTree($rootMenu, $at)
+                    ),
+                    'at' => $at->toISOString(),
+                ],
+                'message' => 'Menu preview retrieved successfully',
+            ]);
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Menu not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $e->errors(),
+            ], 422);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to preview menu',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Report broken links in a menu. HTTP status checks are left to
+     * menus:check-links, as requesting every link would hold this request.
+     */
+    public function health(int $id): JsonResponse
+    {
+        try {
+            $rootMenu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
+            $result = app(MenuLinkCheckService::class)->check($rootMenu);
+
+            return response()->json([
+                'success' => true,
+                'data' => [
+                    'items_checked' => $result['items_checked'],
+                    'problems' => $result['problems'],
+                    'labels' => MenuLinkCheckService::labels(),
+                    'checked_at' => now()->toISOString(),
+                ],
+                'message' => 'Menu links checked successfully',
+            ]);
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Menu not found',
+            ], 404);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to check menu links',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Rebuild menu structure using rebuildSubtree. With "delete" set, items
+     * missing from the structure are deleted in the same transaction, so the
+     * editor can replay a whole undo step at once.
+     */
+    public function rebuild(Request $request, int $id): JsonResponse
+    {
+        try {
+            $rootMenu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
+
+            $validated = $request->validate($this->structureValidationRules() + [
+                'delete' => 'sometimes|boolean',
+            ]);
+
+            $menuStructure = $validated['menu_structure'];
+
+            app(MenuDepthService::class)->validateStructure($rootMenu, $menuStructure);
+
+            // Use Laravel Nestedset's rebuildSubtree to rebuild only this menu's items
+            // This will constrain the rebuild to the descendants of this root menu
+            app(MenuCacheService::class)->batch(fn () => DB::transaction(
+                fn () => MenuItem::rebuildSubtree($rootMenu, $menuStructure, $request->boolean('delete'))
+            ));
+
+            $this->recordRevision($rootMenu, 'rebuild');
+
+            // Reload the menu items to return fresh data
+            $updatedMenuItems = $rootMenu->descendants()
+                ->withDepth()
+                ->defaultOrder()
+                ->get()
+                ->toTree();
+
+            return response()->json([
+                'success' => true,
+                'data' => $updatedMenuItems,
+                'message' => 'Menu structure rebuilt successfully',
+            ]);
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Menu not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $e->errors(),
+            ], 422);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to rebuild menu structure',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Get the unpublished draft of a menu alongside its live tree.
+     */
+    public function draft(int $id): JsonResponse
+    {
+        try {
+            $rootMenu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
+
+            $draft = $rootMenu->draft;
+            $liveItems = $this->loadMenuTree($rootMenu);
+
+            return response()->json([
+                'success' => true,
+                'data' => [
+                    'has_draft' => (bool) $draft,
+                    'items' => $draft ? $this->withLinkedResources($draft->structure) : $liveItems,
+                    'live' => $liveItems,
+                    'updated_at' => $draft?->updated_at,
+                ],
+                'message' => 'Menu draft retrieved successfully',
+            ]);
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Menu not found',
+            ], 404);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to retrieve menu draft',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Save the editor's working tree as the menu's draft without touching the live tree.
+     */
+    public function saveDraft(Request $request, int $id): JsonResponse
+    {
+        try {
+            $rootMenu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
+
+            // A draft may remove every item, so an empty structure is allowed here
+            $validationRules = $this->structureValidationRules();
+            $validationRules['menu_structure'] = 'present|array';
+
+            $validated = $request->validate($validationRules);
+
+            app(MenuDepthService::class)->validateStructure($rootMenu, $validated['menu_structure']);
+
+            $draft = MenuDraft::updateOrCreate(
+                ['menu_id' => $rootMenu->id],
+                [
+                    'structure' => $this->normalizeStructure($validated['menu_structure']),
+                    'user_id' => auth()->id(),
+                ]
+            );
+
+            return response()->json([
+                'success' => true,
+                'data' => [
+                    'has_draft' => true,
+                    'updated_at' => $draft->updated_at,
+                ],
+                'message' => 'Menu draft saved successfully',
+            ]);
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Menu not found',
+            ], 404);
+        } catch (ValidationException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $e->errors(),
+            ], 422);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to save menu draft',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Publish a menu's draft by swapping it into the live tree in one transaction.
+     */
+    public function publishDraft(int $id): JsonResponse
+    {
+        try {
+            $rootMenu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
+            $draft = $rootMenu->draft()->firstOrFail();
+
+            if ($draft->isStale()) {
+                return response()->json([
+                    'success' => false,
+                    'message' => 'The live menu has changed since this draft was started. Discard the draft and make the changes again.',
+                ], 409);
+            }
+
+            app(MenuCacheService::class)->batch(fn () => DB::transaction(function () use ($rootMenu, $draft) {
+                // Items missing from the draft were removed by the editor, so delete them
+                MenuItem::rebuildSubtree($rootMenu, $this->withoutDraftKeys($draft->structure), true);
+
+                $draft->delete();
+            }));
+
+            $this->recordRevision($rootMenu, 'publish');
+
+            return response()->json([
+                'success' => true,
+                'data' => $this->loadMenuTree($rootMenu->fresh()),
+                'message' => 'Menu draft published successfully',
+            ]);
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Menu or draft not found',
+            ], 404);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to publish menu draft',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Discard a menu's draft, keeping the live tree as is.
+     */
+    public function discardDraft(int $id): JsonResponse
+    {
+        try {
+            $rootMenu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
+
+            $rootMenu->draft()->delete();
 
             return response()->json([
                 'success' => true,
-                'data' => $menu->fresh(),
-                'message' => 'Menu updated successfully',
+                'message' => 'Menu draft discarded successfully',
             ]);
         } catch (ModelNotFoundException $e) {
             return response()->json([
                 'success' => false,
                 'message' => 'Menu not found',
             ], 404);
-        } catch (ValidationException $e) {
-            return response()->json([
-                'success' => false,
-                'message' => 'Validation failed',
-                'errors' => $e->errors(),
-            ], 422);
         } catch (\Exception $e) {
             return response()->json([
                 'success' => false,
-                'message' => 'Failed to update menu',
+                'message' => 'Failed to discard menu draft',
                 'error' => $e->getMessage(),
             ], 500);
         }
     }
 
     /**
-     * Remove the specified menu (root node and all descendants).
+     * List the recorded revisions of a menu, newest first (without their trees).
      */
-    public function destroy(int $id): JsonResponse
+    public function revisions(int $id): JsonResponse
     {
         try {
-            $menu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
+            $rootMenu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
 
-            // Delete the entire tree (root and all descendants)
-            $menu->delete();
+            $revisions = $rootMenu->revisions()
+                ->get(['id', 'menu_id', 'action', 'user_id', 'user_name', 'created_at']);
 
             return response()->json([
                 'success' => true,
-                'message' => 'Menu deleted successfully',
+                'data' => $revisions,
+                'message' => 'Menu revisions retrieved successfully',
             ]);
         } catch (ModelNotFoundException $e) {
             return response()->json([
@@ -198,110 +731,66 @@ class MenuController
         } catch (\Exception $e) {
             return response()->json([
                 'success' => false,
-                'message' => 'Failed to delete menu',
+                'message' => 'Failed to retrieve menu revisions',
                 'error' => $e->getMessage(),
             ], 500);
         }
     }
 
     /**
-     * Get menu items for a specific menu as a hierarchical tree structure.
+     * Display a single revision of a menu including its tree snapshot.
      */
-    public function items(int $id): JsonResponse
+    public function showRevision(int $id, int $revisionId): JsonResponse
     {
         try {
-            $rootMenu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
-
-            // Get descendants of the root node as a tree structure
-            $menuItems = $rootMenu->descendants()
-                ->withDepth()     // Calculate depth dynamically from nested set
-                ->defaultOrder()  // Use nested set's default ordering
-                ->get()
-                ->map(function ($item) {
-                    // Add resource name for admin interface
-                    if ($item->resource_type && $item->resource_id) {
-                        $resourceData = $item->getResourceData();
-                        $item->resource_name = $resourceData['name'] ?? null;
-                    }
-
-                    return $item;
-                })
-                ->toTree();       // Convert to hierarchical tree structure
+            $revision = MenuRevision::where('menu_id', $id)->findOrFail($revisionId);
 
             return response()->json([
                 'success' => true,
-                'data' => $menuItems,
-                'message' => 'Menu items retrieved successfully',
+                'data' => $revision,
+                'message' => 'Menu revision retrieved successfully',
             ]);
         } catch (ModelNotFoundException $e) {
             return response()->json([
                 'success' => false,
-                'message' => 'Menu not found',
+                'message' => 'Menu revision not found',
             ], 404);
         } catch (\Exception $e) {
             return response()->json([
                 'success' => false,
-                'message' => 'Failed to retrieve menu items',
+                'message' => 'Failed to retrieve menu revision',
                 'error' => $e->getMessage(),
             ], 500);
         }
     }
 
     /**
-     * Rebuild menu structure using rebuildFromArray with $delete=true
+     * Restore the live tree of a menu to a past revision.
      */
-    public function rebuild(Request $request, int $id): JsonResponse
+    public function restoreRevision(int $id, int $revisionId): JsonResponse
     {
         try {
             $rootMenu = MenuItem::where('id', $id)->where('is_root', true)->firstOrFail();
+            $revision = MenuRevision::where('menu_id', $rootMenu->id)->findOrFail($revisionId);
 
-            $validated = $request->validate([
-                'menu_structure' => 'required|array',
-                'menu_structure.*.id' => 'sometimes|integer|exists:menu_items,id',
-                'menu_structure.*.name' => 'required|string|max:255',
-                'menu_structure.*.custom_url' => 'nullable|string|max:500',
-                'menu_structure.*.resource_type' => 'nullable|string|max:100',
-                'menu_structure.*.resource_id' => 'nullable|integer',
-                'menu_structure.*.resource_slug' => 'nullable|string|max:255',
-                'menu_structure.*.display_at' => 'nullable|date',
-                'menu_structure.*.hide_at' => 'nullable|date',
-                'menu_structure.*.is_active' => 'boolean',
-                'menu_structure.*.children' => 'sometimes|array',
-            ]);
-
-            $menuStructure = $validated['menu_structure'];
-
-            // Use Laravel Nestedset's rebuildSubtree to rebuild only this menu's items
-            // This will constrain the rebuild to the descendants of this root menu
-            MenuItem::rebuildSubtree($rootMenu, $menuStructure);
+            app(MenuRevisionService::class)->restore($revision);
 
-            // Reload the menu items to return fresh data
-            $updatedMenuItems = $rootMenu->descendants()
-                ->withDepth()
-                ->defaultOrder()
-                ->get()
-                ->toTree();
+            $this->recordRevision($rootMenu, 'restore');
 
             return response()->json([
                 'success' => true,
-                'data' => $updatedMenuItems,
-                'message' => 'Menu structure rebuilt successfully',
+                'data' => $this->loadMenuTree($rootMenu->fresh()),
+                'message' => 'Menu revision restored successfully',
             ]);
         } catch (ModelNotFoundException $e) {
             return response()->json([
                 'success' => false,
-                'message' => 'Menu not found',
+                'message' => 'Menu or revision not found',
             ], 404);
-        } catch (ValidationException $e) {
-            return response()->json([
-                'success' => false,
-                'message' => 'Validation failed',
-                'errors' => $e->errors(),
-            ], 422);
         } catch (\Exception $e) {
             return response()->json([
                 'success' => false,
-                'message' => 'Failed to rebuild menu structure',
+                'message' => 'Failed to restore menu revision',
                 'error' => $e->getMessage(),
             ], 500);
         }
@@ -325,7 +814,7 @@ class MenuController
                 'items.*.parent_id' => 'nullable|exists:menu_items,id',
             ]);
 
-            DB::transaction(function () use ($validated, $id, $menu) {
+            app(MenuCacheService::class)->batch(fn () => DB::transaction(function () use ($validated, $id, $menu) {
                 foreach ($validated['items'] as $itemData) {
                     $menuItem = MenuItem::findOrFail($itemData['id']);
 
@@ -335,22 +824,6 @@ class MenuController
                         throw new \InvalidArgumentException("Menu item {$itemData['id']} does not belong to menu {$id}");
                     }
 
-                    // Check max depth validation if parent is changing
-                    if ($itemData['parent_id'] !== $menuItem->parent_id) {
-                        $parentDepth = 0;
-                        if ($itemData['parent_id']) {
-                            $parentWithDepth = MenuItem::withDepth()
-                                ->where('id', $itemData['parent_id'])
-                                ->first();
-                            $parentDepth = $parentWithDepth ? $parentWithDepth->depth + 1 : 0;
-                        }
-
-                        $maxDepth = $menu->max_depth ?? 6; // Default max depth if not set
-                        if ($parentDepth >= $maxDepth) {
-                            throw new \InvalidArgumentException("Moving item would exceed maximum depth limit of {$maxDepth}");
-                        }
-                    }
-
                     // Update parent relationship first (for nested set operations)
                     if ($itemData['parent_id'] !== $menuItem->parent_id) {
                         if ($itemData['parent_id']) {
@@ -370,7 +843,13 @@ class MenuController
 
                 // Rebuild nested set values to ensure consistency
                 MenuItem::rebuildTree($menu->descendants()->get()->toArray());
-            });
+
+                // Checked on the final tree, as moved subtrees carry their children along;
+                // throwing here rolls the whole reorder back
+                app(MenuDepthService::class)->validateMenu($menu);
+            }));
+
+            $this->recordRevision($menu, 'reorder');
 
             return response()->json([
                 'success' => true,
@@ -428,6 +907,9 @@ class MenuController
                 $validated['parent_id'] = $rootMenu->id;
             }
 
+            $parent = MenuItem::findOrFail($validated['parent_id']);
+            app(MenuDepthService::class)->validatePlacement($rootMenu, $parent, $validated['name']);
+
             // Set default position if not provided
             if (! isset($validated['position'])) {
                 $lastItem = MenuItem::where('parent_id', $validated['parent_id'])
@@ -442,10 +924,9 @@ class MenuController
             $menuItem = MenuItem::create($validated);
 
             // Use nested set operations to properly attach to parent
-            if ($validated['parent_id']) {
-                $parent = MenuItem::findOrFail($validated['parent_id']);
-                $menuItem->appendToNode($parent)->save();
-            }
+            $menuItem->appendToNode($parent)->save();
+
+            $this->recordRevision($rootMenu, 'store_item');
 
             return response()->json([
                 'success' => true,
@@ -500,6 +981,10 @@ class MenuController
 
             $menuItem->update($validated);
 
+            if ($rootMenu = $menuItem->getMenuRoot()) {
+                $this->recordRevision($rootMenu, 'update_item');
+            }
+
             return response()->json([
                 'success' => true,
                 'data' => $menuItem->fresh(['children']),
@@ -525,6 +1010,70 @@ class MenuController
         }
     }
 
+    /**
+     * Apply one bulk action to several items of a menu in a single transaction.
+     */
+    public function batchItems(Request $request): JsonResponse
+    {
+        try {
+            $validated = $request->validate([
+                'menu_id' => 'required|integer|exists:menu_items,id',
+                'ids' => 'required|array|min:1',
+                'ids.*' => 'integer|distinct|exists:menu_items,id',
+                'action' => 'required|in:'.implode(',', array_keys(MenuBatchService::ACTIONS)),
+                'display_at' => 'sometimes|nullable|date',
+                'hide_at' => 'sometimes|nullable|date|after:display_at',
+                'parent_id' => 'required_if:action,move|integer|exists:menu_items,id',
+                'target' => 'sometimes|nullable|in:_self,_blank',
+                'css_class' => 'sometimes|nullable|string|max:255',
+            ]);
+
+            $rootMenu = MenuItem::where('id', $validated['menu_id'])
+                ->where('is_root', true)
+                ->firstOrFail();
+
+            $count = app(MenuBatchService::class)->apply(
+                $rootMenu,
+                $validated['ids'],
+                $validated['action'],
+                Arr::except($validated, ['menu_id', 'ids', 'action'])
+            );
+
+            $this->recordRevision($rootMenu, 'batch_'.$validated['action']);
+
+            return response()->json([
+                'success' => true,
+                'data' => [
+                    'action' => $validated['action'],
+                    'count' => $count,
+                ],
+                'message' => "{$count} menu ".Str::plural('item', $count).' updated successfully',
+            ]);
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Menu or menu item not found',
+            ], 404);
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage(),
+            ], 400);
+        } catch (ValidationException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $e->errors(),
+            ], 422);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to update menu items',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
     /**
      * Remove the specified menu item.
      */
@@ -532,10 +1081,15 @@ class MenuController
     {
         try {
             $menuItem = MenuItem::findOrFail($id);
+            $rootMenu = $menuItem->getMenuRoot();
 
             // Delete all child items recursively
             $this->deleteMenuItemRecursively($menuItem);
 
+            if ($rootMenu && ! $rootMenu->is($menuItem)) {
+                $this->recordRevision($rootMenu, 'destroy_item');
+            }
+
             return response()->json([
                 'success' => true,
                 'message' => 'Menu item deleted successfully',
@@ -554,6 +1108,99 @@ class MenuController
         }
     }
 
+    /**
+     * Copy a menu item and its descendants under a parent in the same or another menu.
+     */
+    public function copyItem(Request $request, int $id): JsonResponse
+    {
+        try {
+            $menuItem = MenuItem::findOrFail($id);
+
+            $validated = $request->validate([
+                'parent_id' => 'required|integer|exists:menu_items,id',
+            ]);
+
+            $parent = MenuItem::findOrFail($validated['parent_id']);
+            $result = app(MenuCopyService::class)->copySubtree($menuItem, $parent);
+
+            return response()->json([
+                'success' => true,
+                'data' => $result,
+                'message' => $result['drafted']
+                    ? 'Menu item copied to the target menu\'s draft'
+                    : 'Menu item copied successfully',
+            ], 201);
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Menu item not found',
+            ], 404);
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage(),
+            ], 400);
+        } catch (ValidationException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $e->errors(),
+            ], 422);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to copy menu item',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
+    /**
+     * Move a menu item and its descendants under a parent, possibly in another menu.
+     */
+    public function moveItem(Request $request, int $id): JsonResponse
+    {
+        try {
+            $menuItem = MenuItem::findOrFail($id);
+
+            $validated = $request->validate([
+                'parent_id' => 'required|integer|exists:menu_items,id',
+                'position' => 'sometimes|integer|min:0',
+            ]);
+
+            $parent = MenuItem::findOrFail($validated['parent_id']);
+            $result = app(MenuMoveService::class)->move($menuItem, $parent, $validated['position'] ?? PHP_INT_MAX);
+
+            return response()->json([
+                'success' => true,
+                'data' => $result,
+                'message' => 'Menu item moved successfully',
+            ]);
+        } catch (ModelNotFoundException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Menu item not found',
+            ], 404);
+        } catch (\InvalidArgumentException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage(),
+            ], 400);
+        } catch (ValidationException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Validation failed',
+                'errors' => $e->errors(),
+            ], 422);
+        } catch (\Exception $e) {
+            return response()->json([
+                'success' => false,
+                'message' => 'Failed to move menu item',
+                'error' => $e->getMessage(),
+            ], 500);
+        }
+    }
+
     /**
      * Get available resource types for menu item linking.
      */
@@ -564,13 +1211,15 @@ class MenuController
             $resourceTypes = $resourceService->getResourceTypes();
 
             // Format for dropdown (value => label)
-            $formattedTypes = collect($resourceTypes)->mapWithKeys(function ($type) {
-                return [$type => $type];
+            $formattedTypes = collect($resourceTypes)->mapWithKeys(function ($type) use ($resourceService) {
+                return [$type => $resourceService->getResourceLabel($type)];
             });
 
             return response()->json([
                 'success' => true,
                 'data' => $formattedTypes,
+                // Broken types are left out of the dropdown and reported instead
+                'invalid' => (object) $resourceService->getInvalidResourceTypes(),
             ]);
         } catch (\Exception $e) {
             return response()->json([
@@ -590,18 +1239,30 @@ class MenuController
             $validated = $request->validate([
                 'q' => 'nullable|string|max:255',
                 'limit' => 'nullable|integer|min:1|max:100',
+                'offset' => 'nullable|integer|min:0',
             ]);
 
+            $limit = (int) ($validated['limit'] ?? 50);
+            $offset = (int) ($validated['offset'] ?? 0);
+
+            // One extra row tells whether another page follows
             $resourceService = app(ResourceLinkService::class);
             $resources = $resourceService->searchResources(
                 $resourceType,
                 $validated['q'] ?? '',
-                $validated['limit'] ?? 50
+                $limit + 1,
+                $offset
             );
+            $hasMore = $resources->count() > $limit;
 
             return response()->json([
                 'success' => true,
-                'data' => $resources,
+                'data' => $resources->take($limit)->values(),
+                'meta' => [
+                    'offset' => $offset,
+                    'limit' => $limit,
+                    'next_offset' => $hasMore ? $offset + $limit : null,
+                ],
             ]);
         } catch (\InvalidArgumentException $e) {
             return response()->json([
@@ -623,6 +1284,165 @@ class MenuController
         }
     }
 
+    /**
+     * Load a menu's descendants as a tree, with linked resources for the admin interface.
+     */
+    private function loadMenuTree(MenuItem $rootMenu)
+    {
+        $items = $rootMenu->descendants()
+            ->withDepth()     // Calculate depth dynamically from nested set
+            ->defaultOrder()  // Use nested set's default ordering
+            ->get();
+
+        // One query per resource type instead of one per linked item
+        MenuItem::loadResources($items);
+
+        return $items
+            ->map(function ($item) {
+                // Add resource name, current slug, URL and status for admin interface
+                if ($item->resource_type && $item->resource_id) {
+                    $item->linked_resource = $item->linkedResourceSummary();
+                    $item->resource_name = $item->linked_resource['name'];
+                }
+
+                return $item;
+            })
+            ->toTree();       // Convert to hierarchical tree structure
+    }
+
+    /**
+     * Add linked resources to a stored draft tree, looked up in bulk like the live tree.
+     */
+    private function withLinkedResources(array $items): array
+    {
+        $links = $this->collectLinks($items);
+        MenuItem::loadResources($links);
+
+        return $this->annotateLinks($items, $links);
+    }
+
+    /**
+     * Stand-in items for every distinct resource link in a submitted tree, keyed by type and ID.
+     */
+    private function collectLinks(array $items, array $links = []): array
+    {
+        foreach ($items as $item) {
+            if (! empty($item['resource_type']) && ! empty($item['resource_id'])) {
+                $links["{$item['resource_type']}:{$item['resource_id']}"] ??= new MenuItem(
+                    Arr::only($item, ['resource_type', 'resource_id'])
+                );
+            }
+
+            $links = $this->collectLinks($item['children'] ?? [], $links);
+        }
+
+        return $links;
+    }
+
+    /**
+     * Give every linked node in a submitted tree the summary of its looked-up resource.
+     */
+    private function annotateLinks(array $items, array $links): array
+    {
+        return array_map(function ($item) use ($links) {
+            $link = $links[($item['resource_type'] ?? '').':'.($item['resource_id'] ?? '')] ?? null;
+
+            if ($link) {
+                $item['linked_resource'] = $link->linkedResourceSummary();
+                $item['resource_name'] = $item['linked_resource']['name'];
+            } else {
+                unset($item['linked_resource']);
+            }
+
+            $item['children'] = $this->annotateLinks($item['children'] ?? [], $links);
+
+            return $item;
+        }, $items);
+    }
+
+    /**
+     * Validation rules for a submitted menu tree (rebuild and draft payloads).
+     */
+    private function structureValidationRules(): array
+    {
+        return [
+            'menu_structure' => 'required|array',
+            'menu_structure.*.id' => 'sometimes|integer|exists:menu_items,id',
+            'menu_structure.*.draft_key' => 'nullable|string|max:64',
+            'menu_structure.*.name' => 'required|string|max:255',
+            'menu_structure.*.custom_url' => 'nullable|string|max:500',
+            'menu_structure.*.resource_type' => 'nullable|string|max:100',
+            'menu_structure.*.resource_id' => 'nullable|integer',
+            'menu_structure.*.resource_slug' => 'nullable|string|max:255',
+            'menu_structure.*.display_at' => 'nullable|date',
+            'menu_structure.*.hide_at' => 'nullable|date',
+            'menu_structure.*.icon' => 'nullable|string|max:100',
+            'menu_structure.*.target' => 'nullable|in:_self,_blank',
+            'menu_structure.*.css_class' => 'nullable|string|max:255',
+            'menu_structure.*.is_active' => 'boolean',
+            'menu_structure.*.children' => 'sometimes|array',
+        ];
+    }
+
+    /**
+     * Validation rules for an uploaded menu export (preview and import).
+     */
+    private function importValidationRules(): array
+    {
+        return [
+            'content' => 'required|string|max:2000000',
+            'format' => 'nullable|in:json,yaml',
+            'name' => 'nullable|string|max:255',
+            'slug' => 'nullable|string|max:255',
+            'replace' => 'boolean',
+        ];
+    }
+
+    /**
+     * Give every node in a submitted tree a children array so drafts load like live trees.
+     */
+    private function normalizeStructure(array $items): array
+    {
+        return array_map(function ($item) {
+            $item['children'] = $this->normalizeStructure($item['children'] ?? []);
+
+            return $item;
+        }, array_values($items));
+    }
+
+    /**
+     * Strip the client-side keys given to unsaved draft items before writing the tree.
+     */
+    private function withoutDraftKeys(array $items): array
+    {
+        return array_map(function ($item) {
+            unset($item['draft_key']);
+            $item['children'] = $this->withoutDraftKeys($item['children'] ?? []);
+
+            return $item;
+        }, $items);
+    }
+
+    /**
+     * Record a revision of a menu after a change; failures are logged so they never block the edit.
+     */
+    private function recordRevision(MenuItem $rootMenu, string $action): void
+    {
+        if (! config('menus.revisions.enabled', true)) {
+            return;
+        }
+
+        try {
+            app(MenuRevisionService::class)->record($rootMenu, $action);
+        } catch (\Exception $e) {
+            Log::warning('Failed to record menu revision', [
+                'menu_id' => $rootMenu->id,
+                'action' => $action,
+                'error' => $e->getMessage(),
+            ]);
+        }
+    }
+
     /**
      * Recursively delete menu item and its children.
      */
@@ -2,9 +2,20 @@
 
 namespace Skylark\Menus;
 
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Facades\Event;
 use Illuminate\Support\ServiceProvider;
 use Laravel\Nova\Nova;
+use Nuwave\Lighthouse\Events\BuildSchemaString;
+use Skylark\Menus\Console\Commands\CheckMenuLinksCommand;
+use Skylark\Menus\Console\Commands\ExportMenuCommand;
+use Skylark\Menus\Console\Commands\ImportMenuCommand;
+use Skylark\Menus\Console\Commands\ListResourceTypesCommand;
+use Skylark\Menus\Console\Commands\SyncResourceSlugsCommand;
+use Skylark\Menus\Services\MenuCacheService;
+use Skylark\Menus\Services\ResourceDiscoveryService;
 use Skylark\Menus\Services\ResourceLinkService;
+use Skylark\Menus\Services\ResourceSlugSyncService;
 
 class MenusServiceProvider extends ServiceProvider
 {
@@ -24,12 +35,35 @@ class MenusServiceProvider extends ServiceProvider
             ], 'migrations');
         }
 
+        if ($this->app->runningInConsole()) {
+            $this->commands([
+                ExportMenuCommand::class,
+                ImportMenuCommand::class,
+                SyncResourceSlugsCommand::class,
+                CheckMenuLinksCommand::class,
+                ListResourceTypesCommand::class,
+            ]);
+        }
+
         // Register model factories for Laravel 12
         if (method_exists($this->app, 'make') && class_exists('Illuminate\\Database\\Eloquent\\Factories\\Factory')) {
             // Laravel 12+ factory registration approach
             // Factories are auto-discovered, no explicit loading needed
         }
 
+        // Menu items link to records of the resource models, so keep cached menus and stored slugs current
+        if (config('menus.cache.enabled', true) || config('menus.slug_sync.enabled', true)) {
+            Event::listen(
+                ['eloquent.saved: *', 'eloquent.deleted: *', 'eloquent.restored: *'],
+                fn (string $event, array $payload) => $this->resourceModelChanged($event, $payload[0])
+            );
+        }
+
+        // Add the menu queries to the app's Lighthouse schema
+        if (config('menus.graphql.enabled', false) && class_exists(BuildSchemaString::class)) {
+            Event::listen(BuildSchemaString::class, fn () => file_get_contents(__DIR__.'/GraphQL/schema.graphql'));
+        }
+
         // Only register the Nova tool if it's enabled
         if (config('menus.enabled', true)) {
             Nova::tools([
@@ -38,6 +72,25 @@ class MenusServiceProvider extends ServiceProvider
         }
     }
 
+    /**
+     * Sync the stored slug of the menu items linking to a saved record, then
+     * flush cached menus if any item links to a changed record.
+     */
+    protected function resourceModelChanged(string $event, Model $model): void
+    {
+        $types = $this->app->make(ResourceLinkService::class)->getResourceConfigurationForModel($model);
+
+        foreach ($types as $type => $config) {
+            if (config('menus.slug_sync.enabled', true) && str_starts_with($event, 'eloquent.saved') && ! empty($config['slug_field'])) {
+                $this->app->make(ResourceSlugSyncService::class)->syncModel($type, $model, $config['slug_field']);
+            }
+
+            if (config('menus.cache.enabled', true)) {
+                $this->app->make(MenuCacheService::class)->flushForResource($type, $model);
+            }
+        }
+    }
+
     public function register(): void
     {
         // Merge package configuration
@@ -45,5 +98,9 @@ class MenusServiceProvider extends ServiceProvider
 
         // Register services
         $this->app->singleton(ResourceLinkService::class);
+        $this->app->singleton(ResourceDiscoveryService::class);
+
+        // Holds the batch() state that defers flushes during tree rebuilds
+        $this->app->singleton(MenuCacheService::class);
     }
 }
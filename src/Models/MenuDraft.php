@@ -0,0 +1,49 @@
+<?php
+
+namespace Skylark\Menus\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Skylark\Menus\Services\MenuRevisionService;
+
+class MenuDraft extends Model
+{
+    protected $fillable = [
+        'menu_id',
+        'structure',
+        'user_id',
+        'base_version',
+    ];
+
+    protected $casts = [
+        'menu_id' => 'integer',
+        'structure' => 'array',
+        'user_id' => 'integer',
+    ];
+
+    protected static function booted(): void
+    {
+        // Remember the live tree the draft started from, so publishing can tell when it changed since
+        static::creating(function (MenuDraft $draft) {
+            $draft->base_version ??= app(MenuRevisionService::class)->version($draft->menu);
+        });
+    }
+
+    /**
+     * The root menu item this draft belongs to.
+     */
+    public function menu(): BelongsTo
+    {
+        return $this->belongsTo(MenuItem::class, 'menu_id');
+    }
+
+    /**
+     * Whether the live tree changed after the draft was started, so publishing
+     * would overwrite those changes or refer to items deleted since.
+     */
+    public function isStale(): bool
+    {
+        return $this->base_version !== null
+            && $this->base_version !== app(MenuRevisionService::class)->version($this->menu);
+    }
+}
@@ -7,6 +7,7 @@ use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Support\Facades\Log;
 use Kalnoy\Nestedset\NodeTrait;
+use Skylark\Menus\Services\MenuCacheService;
 use Skylark\Menus\Services\ResourceLinkService;
 
 class MenuItem extends Model
@@ -51,11 +52,41 @@ class MenuItem extends Model
         'hide_at' => 'datetime',
     ];
 
+    /**
+     * The linked resource as looked up by loadResources(), to save a query per item.
+     */
+    protected ?array $loadedResource = null;
+
+    protected bool $resourceLoaded = false;
+
+    protected static function booted(): void
+    {
+        // Any item change may alter what the public API serves
+        static::saved(fn () => app(MenuCacheService::class)->flush());
+        static::deleted(fn () => app(MenuCacheService::class)->flush());
+    }
+
     public function children()
     {
         return $this->hasMany(MenuItem::class, 'parent_id');
     }
 
+    /**
+     * Unpublished draft of this menu's tree (root nodes only).
+     */
+    public function draft()
+    {
+        return $this->hasOne(MenuDraft::class, 'menu_id');
+    }
+
+    /**
+     * Recorded snapshots of this menu's tree, newest first (root nodes only).
+     */
+    public function revisions()
+    {
+        return $this->hasMany(MenuRevision::class, 'menu_id')->latest('id');
+    }
+
     /**
      * Scope to get root nodes (menus)
      */
@@ -156,18 +187,21 @@ class MenuItem extends Model
             return $this->custom_url;
         }
 
+        // A loaded resource has the record's current slug, which may differ from the stored one
+        $slug = $this->loadedResource['slug'] ?? $this->resource_slug;
+
         // Use resource configuration for URL generation
-        if ($this->resource_type && $this->resource_slug) {
+        if ($this->resource_type && $slug) {
             try {
                 $resourceService = app(ResourceLinkService::class);
 
-                return $resourceService->generateUrl($this->resource_type, $this->resource_slug);
+                return $resourceService->generateUrl($this->resource_type, $slug);
             } catch (\Exception $e) {
                 // Log error and fall back to custom_url if available
                 Log::warning('Failed to generate resource URL for menu item', [
                     'menu_item_id' => $this->id,
                     'resource_type' => $this->resource_type,
-                    'resource_slug' => $this->resource_slug,
+                    'resource_slug' => $slug,
                     'error' => $e->getMessage(),
                 ]);
             }
@@ -190,6 +224,10 @@ class MenuItem extends Model
             return true; // No resource linked, so it's valid in that context
         }
 
+        if ($this->resourceLoaded) {
+            return $this->loadedResource && ! ($this->loadedResource['is_deleted'] ?? false);
+        }
+
         try {
             $resourceService = app(ResourceLinkService::class);
             $resource = $resourceService->getResource($this->resource_type, $this->resource_id);
@@ -223,6 +261,47 @@ class MenuItem extends Model
         });
     }
 
+    /**
+     * Look up the resources linked from many items at once, with one query per
+     * resource type, so hasValidResource(), getResourceData() and the url
+     * attribute of each item no longer query on their own.
+     */
+    public static function loadResources(iterable $items): void
+    {
+        $linked = collect($items)->filter(fn ($item) => $item->resource_type && $item->resource_id);
+
+        if ($linked->isEmpty()) {
+            return;
+        }
+
+        try {
+            $resources = app(ResourceLinkService::class)->getResourcesForItems($linked);
+        } catch (\Exception $e) {
+            // Items fall back to looking up their own resource
+            Log::warning('Failed to load linked resources for menu items', ['error' => $e->getMessage()]);
+
+            return;
+        }
+
+        foreach ($linked as $item) {
+            // Types that could not be looked up are left to the per-item lookup
+            if (array_key_exists($item->resource_type, $resources)) {
+                $item->setLoadedResource($resources[$item->resource_type][$item->resource_id] ?? null);
+            }
+        }
+    }
+
+    /**
+     * Use resource data looked up elsewhere; null means the record does not exist.
+     */
+    public function setLoadedResource(?array $resource): static
+    {
+        $this->loadedResource = $resource;
+        $this->resourceLoaded = true;
+
+        return $this;
+    }
+
     /**
      * Get the resource data if it exists.
      */
@@ -232,6 +311,10 @@ class MenuItem extends Model
             return null;
         }
 
+        if ($this->resourceLoaded) {
+            return $this->loadedResource;
+        }
+
         try {
             $resourceService = app(ResourceLinkService::class);
 
@@ -241,6 +324,36 @@ class MenuItem extends Model
         }
     }
 
+    /**
+     * The linked record as the editor shows it: its name, current slug and URL,
+     * and whether it has been soft-deleted or no longer exists.
+     */
+    public function linkedResourceSummary(): ?array
+    {
+        if (! $this->resource_type || ! $this->resource_id) {
+            return null;
+        }
+
+        $resource = $this->getResourceData();
+        $url = null;
+
+        if (! empty($resource['slug'])) {
+            try {
+                $url = app(ResourceLinkService::class)->generateUrl($this->resource_type, $resource['slug']);
+            } catch (\Exception $e) {
+                // Unconfigured types have no URL pattern
+            }
+        }
+
+        return [
+            'name' => $resource['name'] ?? null,
+            'slug' => $resource['slug'] ?? null,
+            'url' => $url,
+            'is_deleted' => (bool) ($resource['is_deleted'] ?? false),
+            'is_missing' => $resource === null,
+        ];
+    }
+
     /**
      * Get validation rules for MenuItem model
      */
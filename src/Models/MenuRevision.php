@@ -0,0 +1,31 @@
+<?php
+
+namespace Skylark\Menus\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class MenuRevision extends Model
+{
+    protected $fillable = [
+        'menu_id',
+        'action',
+        'structure',
+        'user_id',
+        'user_name',
+    ];
+
+    protected $casts = [
+        'menu_id' => 'integer',
+        'structure' => 'array',
+        'user_id' => 'integer',
+    ];
+
+    /**
+     * The root menu item this revision belongs to.
+     */
+    public function menu(): BelongsTo
+    {
+        return $this->belongsTo(MenuItem::class, 'menu_id');
+    }
+}
@@ -3,7 +3,6 @@
 namespace Skylark\Menus\Resources;
 
 use Illuminate\Http\Resources\Json\JsonResource;
-use Skylark\Menus\Services\ResourceLinkService;
 
 class MenuItemResource extends JsonResource
 {
@@ -28,25 +27,7 @@ class MenuItemResource extends JsonResource
      */
     protected function generateUrl(): ?string
     {
-        if ($this->custom_url) {
-            return $this->custom_url;
-        }
-
-        if ($this->resource_type && $this->resource_slug) {
-            try {
-                $resourceService = app(ResourceLinkService::class);
-
-                return $resourceService->generateUrl($this->resource_type, $this->resource_slug);
-            } catch (\Exception $e) {
-                \Log::warning('Failed to generate resource URL for menu item in API resource', [
-                    'menu_item_id' => $this->id,
-                    'resource_type' => $this->resource_type,
-                    'resource_slug' => $this->resource_slug,
-                    'error' => $e->getMessage(),
-                ]);
-            }
-        }
-
-        return null;
+        // The model's url attribute uses the current slug of resources loaded in bulk
+        return $this->resource->url;
     }
 }
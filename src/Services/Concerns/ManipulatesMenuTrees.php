@@ -0,0 +1,98 @@
+<?php
+
+namespace Skylark\Menus\Services\Concerns;
+
+use Illuminate\Support\Str;
+
+/**
+ * Helpers for menu trees held as plain arrays (drafts, snapshots and exports).
+ */
+trait ManipulatesMenuTrees
+{
+    /**
+     * Depth of an item within a tree (top-level items are at depth 1).
+     */
+    protected function depthInTree(array $items, int $id, int $depth = 1): ?int
+    {
+        foreach ($items as $item) {
+            if (($item['id'] ?? null) == $id) {
+                return $depth;
+            }
+
+            $found = $this->depthInTree($item['children'] ?? [], $id, $depth + 1);
+
+            if ($found !== null) {
+                return $found;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Return a copy of a tree with the node inserted among the children of the
+     * given parent (or at the top level when no parent is given). Without a
+     * position the node is appended.
+     */
+    protected function insertIntoTree(array $items, ?int $parentId, array $node, ?int $position = null): array
+    {
+        if ($parentId === null) {
+            array_splice($items, $position ?? count($items), 0, [$node]);
+
+            return $items;
+        }
+
+        return array_map(function ($item) use ($parentId, $node, $position) {
+            $children = $item['children'] ?? [];
+
+            $item['children'] = ($item['id'] ?? null) == $parentId
+                ? $this->insertIntoTree($children, null, $node, $position)
+                : $this->insertIntoTree($children, $parentId, $node, $position);
+
+            return $item;
+        }, $items);
+    }
+
+    /**
+     * Return a copy of a tree without the given item, handing the removed node back.
+     */
+    protected function removeFromTree(array $items, int $id, ?array &$removed = null): array
+    {
+        $kept = [];
+
+        foreach ($items as $item) {
+            if (($item['id'] ?? null) == $id) {
+                $removed = $item;
+
+                continue;
+            }
+
+            $item['children'] = $this->removeFromTree($item['children'] ?? [], $id, $removed);
+            $kept[] = $item;
+        }
+
+        return $kept;
+    }
+
+    /**
+     * Return a copy of a node and its descendants without IDs, so they are created anew on publish.
+     */
+    protected function withoutIds(array $node): array
+    {
+        unset($node['id']);
+        $node['children'] = array_map(fn ($child) => $this->withoutIds($child), $node['children'] ?? []);
+
+        return $node;
+    }
+
+    /**
+     * Give every node the client-side key draft items use until they are published.
+     */
+    protected function withDraftKeys(array $node): array
+    {
+        $node['draft_key'] = 'draft-'.Str::lower(Str::random(12));
+        $node['children'] = array_map(fn ($child) => $this->withDraftKeys($child), $node['children'] ?? []);
+
+        return $node;
+    }
+}
@@ -0,0 +1,136 @@
+<?php
+
+namespace Skylark\Menus\Services;
+
+use Illuminate\Support\Collection;
+use Illuminate\Support\Facades\DB;
+use InvalidArgumentException;
+use Skylark\Menus\Models\MenuItem;
+
+class MenuBatchService
+{
+    /**
+     * Bulk actions and the item fields each one may change.
+     */
+    public const ACTIONS = [
+        'delete' => [],
+        'activate' => [],
+        'hide' => [],
+        'schedule' => ['display_at', 'hide_at'],
+        'move' => ['parent_id'],
+        'appearance' => ['target', 'css_class'],
+    ];
+
+    public function __construct(
+        protected MenuDepthService $depthService
+    ) {}
+
+    /**
+     * Apply one bulk action to several items of a menu in a single transaction.
+     *
+     * Any failure, including a move that would break the menu's max depth,
+     * rolls back every change made so far.
+     *
+     * @throws InvalidArgumentException
+     * @throws \Illuminate\Validation\ValidationException
+     */
+    public function apply(MenuItem $rootMenu, array $ids, string $action, array $attributes = []): int
+    {
+        if (! array_key_exists($action, self::ACTIONS)) {
+            throw new InvalidArgumentException("Unknown bulk action \"{$action}\".");
+        }
+
+        $items = $this->itemsOfMenu($rootMenu, $ids);
+
+        return app(MenuCacheService::class)->batch(fn () => DB::transaction(function () use ($rootMenu, $items, $action, $attributes) {
+            switch ($action) {
+                case 'delete':
+                    $this->topmost($items)->each(fn ($item) => $this->deleteWithDescendants($item));
+                    break;
+
+                case 'activate':
+                case 'hide':
+                    $items->each(fn ($item) => $item->update(['is_active' => $action === 'activate']));
+                    break;
+
+                case 'move':
+                    $this->moveUnder($rootMenu, $items, MenuItem::findOrFail($attributes['parent_id']));
+                    break;
+
+                default:
+                    // Only the fields sent with the request change, e.g. a target without a CSS class
+                    $fields = array_intersect_key($attributes, array_flip(self::ACTIONS[$action]));
+                    $items->each(fn ($item) => $item->update($fields));
+            }
+
+            return $items->count();
+        }));
+    }
+
+    /**
+     * Load the selected items in tree order, making sure they all belong to the menu.
+     *
+     * @throws InvalidArgumentException
+     */
+    protected function itemsOfMenu(MenuItem $rootMenu, array $ids): Collection
+    {
+        $items = MenuItem::whereIn('id', $ids)->defaultOrder()->get();
+
+        foreach ($items as $item) {
+            if ($item->is_root || ! $item->isDescendantOf($rootMenu)) {
+                throw new InvalidArgumentException("Menu item {$item->id} does not belong to menu {$rootMenu->id}");
+            }
+        }
+
+        return $items;
+    }
+
+    /**
+     * Drop items whose ancestor is also selected, as they follow that ancestor anyway.
+     */
+    protected function topmost(Collection $items): Collection
+    {
+        return $items->reject(
+            fn ($item) => $items->contains(fn ($other) => ! $other->is($item) && $item->isDescendantOf($other))
+        )->values();
+    }
+
+    /**
+     * Append the selected subtrees to a parent of the same menu, keeping their order.
+     *
+     * @throws InvalidArgumentException
+     * @throws \Illuminate\Validation\ValidationException
+     */
+    protected function moveUnder(MenuItem $rootMenu, Collection $items, MenuItem $parent): void
+    {
+        if (! $parent->is($rootMenu) && ! $parent->isDescendantOf($rootMenu)) {
+            throw new InvalidArgumentException("Menu item {$parent->id} does not belong to menu {$rootMenu->id}");
+        }
+
+        foreach ($this->topmost($items) as $item) {
+            // Each move shifts the nested set bounds of the items loaded earlier
+            $item->refresh();
+            $parent->refresh();
+
+            if ($parent->is($item) || $parent->isDescendantOf($item)) {
+                throw new InvalidArgumentException("\"{$item->name}\" cannot be moved into itself or one of its descendants.");
+            }
+
+            $item->appendToNode($parent)->save();
+        }
+
+        $this->depthService->validateMenu($rootMenu, 'parent_id');
+    }
+
+    /**
+     * Delete an item and its children, deepest first, like a single item delete.
+     */
+    protected function deleteWithDescendants(MenuItem $item): void
+    {
+        foreach ($item->children as $child) {
+            $this->deleteWithDescendants($child);
+        }
+
+        $item->delete();
+    }
+}
@@ -0,0 +1,159 @@
+<?php
+
+namespace Skylark\Menus\Services;
+
+use Carbon\CarbonInterface;
+use Illuminate\Contracts\Cache\Repository;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Carbon;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Str;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Resources\MenuItemResource;
+
+class MenuCacheService
+{
+    /**
+     * Nesting level of batch() calls; flushes wait until the outermost one ends.
+     */
+    protected int $batching = 0;
+
+    protected bool $flushPending = false;
+
+    public function __construct(
+        protected PublicMenuService $publicMenus
+    ) {}
+
+    /**
+     * The public items of a menu with their ETag and Last-Modified time, cached
+     * until an item or linked resource changes or the next schedule boundary passes.
+     *
+     * @return array{items: array, etag: string, last_modified: int}
+     */
+    public function items(MenuItem $menu): array
+    {
+        if (! config('menus.cache.enabled', true)) {
+            return $this->build($menu);
+        }
+
+        $key = $this->prefix().":items:{$menu->id}:".$this->version();
+
+        if (is_array($cached = $this->store()->get($key))) {
+            return $cached;
+        }
+
+        $payload = $this->build($menu);
+        $this->store()->put($key, $payload, $this->ttl($menu));
+
+        return $payload;
+    }
+
+    /**
+     * Build the public items of a menu without the cache, optionally as of another moment.
+     *
+     * @return array{items: array, etag: string, last_modified: int}
+     */
+    public function build(MenuItem $menu, ?CarbonInterface $at = null): array
+    {
+        $items = json_decode(
+            MenuItemResource::collection($this->publicMenus->visibleTree($menu, $at))->toJson(),
+            true
+        );
+
+        return [
+            'items' => $items,
+            'etag' => sha1(json_encode([$menu->slug, $menu->name, $items])),
+            'last_modified' => now()->getTimestamp(),
+        ];
+    }
+
+    /**
+     * Invalidate every cached menu. Cached entries are keyed by a version, so a
+     * new version makes the old entries unreachable until they expire.
+     */
+    public function flush(): void
+    {
+        if (! config('menus.cache.enabled', true)) {
+            return;
+        }
+
+        if ($this->batching > 0) {
+            $this->flushPending = true;
+
+            return;
+        }
+
+        $this->store()->forever($this->prefix().':version', (string) Str::uuid());
+    }
+
+    /**
+     * Run a callback that saves many items, e.g. a tree rebuild, and flush
+     * once when it ends instead of once per saved item. Wrap the transaction
+     * rather than run inside it, so the flush follows the commit.
+     */
+    public function batch(callable $callback): mixed
+    {
+        $this->batching++;
+
+        try {
+            return $callback();
+        } finally {
+            if (--$this->batching === 0 && $this->flushPending) {
+                $this->flushPending = false;
+                $this->flush();
+            }
+        }
+    }
+
+    /**
+     * Flush the cache if any menu item links to the given record.
+     */
+    public function flushForResource(string $type, Model $model): void
+    {
+        $isLinked = MenuItem::where('resource_type', $type)
+            ->where('resource_id', $model->getKey())
+            ->exists();
+
+        if ($isLinked) {
+            $this->flush();
+        }
+    }
+
+    /**
+     * Seconds to keep a menu: the configured TTL, cut short by the next
+     * display_at or hide_at in the menu so scheduled items appear on time.
+     */
+    protected function ttl(MenuItem $menu): int
+    {
+        $now = now();
+        $ttl = (int) config('menus.cache.ttl', 3600);
+
+        foreach (['display_at', 'hide_at'] as $column) {
+            $boundary = MenuItem::where('_lft', '>', $menu->_lft)
+                ->where('_rgt', '<', $menu->_rgt)
+                ->where($column, '>', $now)
+                ->min($column);
+
+            if ($boundary) {
+                $ttl = min($ttl, Carbon::parse($boundary)->getTimestamp() - $now->getTimestamp());
+            }
+        }
+
+        return max(1, $ttl);
+    }
+
+    protected function version(): string
+    {
+        return (string) $this->store()->get($this->prefix().':version', 'initial');
+    }
+
+    protected function prefix(): string
+    {
+        return config('menus.cache.prefix', 'menus');
+    }
+
+    protected function store(): Repository
+    {
+        return Cache::store(config('menus.cache.store'));
+    }
+}
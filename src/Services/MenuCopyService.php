@@ -0,0 +1,142 @@
+<?php
+
+namespace Skylark\Menus\Services;
+
+use Illuminate\Support\Facades\Config;
+use Illuminate\Support\Facades\DB;
+use InvalidArgumentException;
+use Skylark\Menus\Models\MenuDraft;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\Concerns\ManipulatesMenuTrees;
+
+class MenuCopyService
+{
+    use ManipulatesMenuTrees;
+
+    public function __construct(
+        protected MenuTransferService $transfer,
+        protected MenuRevisionService $revisionService,
+        protected MenuDepthService $depthService
+    ) {}
+
+    /**
+     * Deep-copy a menu root and all of its descendants under a new name and slug.
+     */
+    public function duplicate(MenuItem $rootMenu, array $attributes): MenuItem
+    {
+        $items = $this->transfer->export($rootMenu)['items'];
+
+        $copy = app(MenuCacheService::class)->batch(fn () => DB::transaction(function () use ($rootMenu, $attributes, $items) {
+            $copy = MenuItem::createMenu([
+                'name' => $attributes['name'],
+                'slug' => $attributes['slug'],
+                'max_depth' => $rootMenu->max_depth,
+                'is_active' => $rootMenu->is_active,
+            ]);
+
+            // Exported items carry no IDs, so every node is created fresh under the copy
+            MenuItem::rebuildSubtree($copy, $items);
+
+            return $copy;
+        }));
+
+        $this->recordRevision($copy, 'duplicate');
+
+        return $copy;
+    }
+
+    /**
+     * Clone an item and its descendants under a parent in any menu.
+     *
+     * With draft mode enabled the copy is added to the target menu's draft,
+     * so publishing that draft does not remove it again.
+     *
+     * @throws InvalidArgumentException
+     * @throws \Illuminate\Validation\ValidationException
+     */
+    public function copySubtree(MenuItem $item, MenuItem $parent): array
+    {
+        if ($item->is_root) {
+            throw new InvalidArgumentException('Whole menus cannot be copied as items. Duplicate the menu instead.');
+        }
+
+        $targetMenu = $parent->getMenuRoot();
+
+        if (! $targetMenu) {
+            throw new InvalidArgumentException("Menu item {$parent->id} does not belong to a menu.");
+        }
+
+        $node = $this->transfer->exportSubtree($item);
+
+        if (Config::get('menus.drafts.enabled', false)) {
+            return $this->copyIntoDraft($targetMenu, $parent, $node);
+        }
+
+        $this->depthService->validateSubtree($targetMenu, $parent->is_root ? 0 : $parent->ancestors()->count(), $node);
+
+        $copy = app(MenuCacheService::class)->batch(fn () => DB::transaction(function () use ($node, $parent) {
+            // NodeTrait::create() appends the node and its children one by one,
+            // shifting the nested set bounds of the target menu as it goes
+            return MenuItem::create($node, $parent);
+        }));
+
+        $this->recordRevision($targetMenu, 'copy_item');
+
+        return [
+            'item' => $copy,
+            'menu_id' => $targetMenu->id,
+            'drafted' => false,
+        ];
+    }
+
+    /**
+     * Add a copied node to the target menu's draft, starting one from the live tree if needed.
+     *
+     * @throws InvalidArgumentException
+     * @throws \Illuminate\Validation\ValidationException
+     */
+    protected function copyIntoDraft(MenuItem $targetMenu, MenuItem $parent, array $node): array
+    {
+        $draft = $targetMenu->draft;
+        $structure = $draft ? $draft->structure : $this->revisionService->snapshot($targetMenu);
+        $node = $this->withDraftKeys($node);
+
+        if ($parent->is($targetMenu)) {
+            $this->depthService->validateSubtree($targetMenu, 0, $node);
+            $structure[] = $node;
+        } else {
+            $depth = $this->depthInTree($structure, $parent->id);
+
+            if ($depth === null) {
+                throw new InvalidArgumentException("Menu item {$parent->id} is not part of the draft of menu {$targetMenu->id}.");
+            }
+
+            $this->depthService->validateSubtree($targetMenu, $depth, $node);
+            $structure = $this->insertIntoTree($structure, $parent->id, $node);
+        }
+
+        MenuDraft::updateOrCreate(
+            ['menu_id' => $targetMenu->id],
+            [
+                'structure' => $structure,
+                'user_id' => auth()->id(),
+            ]
+        );
+
+        return [
+            'item' => $node,
+            'menu_id' => $targetMenu->id,
+            'drafted' => true,
+        ];
+    }
+
+    /**
+     * Record a revision of the changed menu when revision history is enabled.
+     */
+    protected function recordRevision(MenuItem $rootMenu, string $action): void
+    {
+        if (Config::get('menus.revisions.enabled', true)) {
+            $this->revisionService->record($rootMenu, $action);
+        }
+    }
+}
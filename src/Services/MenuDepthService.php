@@ -0,0 +1,102 @@
+<?php
+
+namespace Skylark\Menus\Services;
+
+use Illuminate\Validation\ValidationException;
+use Skylark\Menus\Models\MenuItem;
+
+class MenuDepthService
+{
+    /**
+     * Reject a submitted tree whose items would sit deeper than the menu's max depth.
+     *
+     * @throws ValidationException
+     */
+    public function validateStructure(MenuItem $rootMenu, array $structure, string $field = 'menu_structure'): void
+    {
+        $this->failIfAny($rootMenu, $this->itemsTooDeep($structure, $this->maxDepth($rootMenu)), $field);
+    }
+
+    /**
+     * Reject a live menu tree with items deeper than its max depth, e.g. after a reorder.
+     *
+     * @throws ValidationException
+     */
+    public function validateMenu(MenuItem $rootMenu, string $field = 'items'): void
+    {
+        $names = $rootMenu->descendants()
+            ->withDepth()
+            ->defaultOrder()
+            ->get()
+            ->filter(fn ($item) => $item->depth > $this->maxDepth($rootMenu))
+            ->pluck('name')
+            ->all();
+
+        $this->failIfAny($rootMenu, $names, $field);
+    }
+
+    /**
+     * Reject placing a new item under a parent that already sits at the max depth.
+     *
+     * @throws ValidationException
+     */
+    public function validatePlacement(MenuItem $rootMenu, MenuItem $parent, string $name, string $field = 'parent_id'): void
+    {
+        $parentDepth = $parent->is_root ? 0 : $parent->ancestors()->count();
+
+        $this->validateSubtree($rootMenu, $parentDepth, ['name' => $name], $field);
+    }
+
+    /**
+     * Reject placing an item and its descendants under a parent at the given
+     * depth (0 for the menu itself), e.g. when copying or moving a subtree.
+     *
+     * @throws ValidationException
+     */
+    public function validateSubtree(MenuItem $rootMenu, int $parentDepth, array $node, string $field = 'parent_id'): void
+    {
+        $this->failIfAny($rootMenu, $this->itemsTooDeep([$node], $this->maxDepth($rootMenu), $parentDepth + 1), $field);
+    }
+
+    /**
+     * Names of the items in a tree that sit deeper than the max depth (top-level items are at depth 1).
+     */
+    public function itemsTooDeep(array $items, int $maxDepth, int $depth = 1): array
+    {
+        $names = [];
+
+        foreach ($items as $item) {
+            if ($depth > $maxDepth) {
+                $names[] = $item['name'] ?? 'Untitled Item';
+            }
+
+            $names = array_merge($names, $this->itemsTooDeep($item['children'] ?? [], $maxDepth, $depth + 1));
+        }
+
+        return $names;
+    }
+
+    protected function maxDepth(MenuItem $rootMenu): int
+    {
+        return $rootMenu->max_depth ?? 6;
+    }
+
+    /**
+     * @throws ValidationException
+     */
+    protected function failIfAny(MenuItem $rootMenu, array $names, string $field): void
+    {
+        if (empty($names)) {
+            return;
+        }
+
+        $quoted = implode(', ', array_map(fn ($name) => "\"{$name}\"", $names));
+
+        throw ValidationException::withMessages([
+            $field => [
+                "Menu \"{$rootMenu->name}\" allows at most {$this->maxDepth($rootMenu)} levels. "
+                ."These items would be nested deeper: {$quoted}.",
+            ],
+        ]);
+    }
+}
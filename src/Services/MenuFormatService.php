@@ -0,0 +1,164 @@
+<?php
+
+namespace Skylark\Menus\Services;
+
+use Illuminate\Http\Request;
+
+class MenuFormatService
+{
+    /**
+     * The nested item tree, as the public API has always returned it.
+     */
+    public const JSON = 'json';
+
+    /**
+     * Items in menu order with parent_id, depth and position instead of children.
+     */
+    public const FLAT = 'flat';
+
+    /**
+     * A <nav> with nested <ul>/<li> lists, ready to include in a page.
+     */
+    public const HTML = 'html';
+
+    /**
+     * schema.org SiteNavigationElement entries for search engines.
+     */
+    public const JSON_LD = 'jsonld';
+
+    public const FORMATS = [self::JSON, self::FLAT, self::HTML, self::JSON_LD];
+
+    /**
+     * URL schemes rendered as links; others, like javascript:, become "#".
+     */
+    public const URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+    /**
+     * The format a request asks for: ?format= when given, otherwise JSON-LD
+     * for clients preferring application/ld+json and HTML for clients that
+     * accept text/html but no JSON at all. Returns null for unknown formats.
+     */
+    public function negotiate(Request $request): ?string
+    {
+        if ($request->filled('format')) {
+            $format = strtolower((string) $request->input('format'));
+
+            return in_array($format, self::FORMATS, true) ? $format : null;
+        }
+
+        if ($request->prefers(['application/json', 'application/ld+json']) === 'application/ld+json') {
+            return self::JSON_LD;
+        }
+
+        // Browsers accept */*, so they keep getting JSON
+        if (! $request->accepts('application/json') && $request->accepts('text/html')) {
+            return self::HTML;
+        }
+
+        return self::JSON;
+    }
+
+    /**
+     * Flatten an item tree into a list in menu order. Top-level items have
+     * no parent_id and a depth of 1; position counts from 0 among siblings.
+     */
+    public function flat(array $items, ?int $parentId = null, int $depth = 1): array
+    {
+        $flat = [];
+
+        foreach (array_values($items) as $position => $item) {
+            $children = $item['children'] ?? [];
+            unset($item['children']);
+
+            $flat[] = array_merge($item, [
+                'parent_id' => $parentId,
+                'depth' => $depth,
+                'position' => $position,
+            ]);
+
+            array_push($flat, ...$this->flat($children, $item['id'], $depth + 1));
+        }
+
+        return $flat;
+    }
+
+    /**
+     * Render a menu as a navigation landmark with nested lists.
+     */
+    public function html(string $slug, string $name, array $items): string
+    {
+        return sprintf(
+            '<nav class="nova-menu nova-menu-%s" aria-label="%s">%s</nav>',
+            e($slug),
+            e($name),
+            $this->htmlList($items, 'nova-menu-list')
+        );
+    }
+
+    /**
+     * Describe a menu as a schema.org ItemList of SiteNavigationElement
+     * entries in menu order, with absolute URLs.
+     */
+    public function jsonLd(string $name, array $items, bool $withContext = true): array
+    {
+        $elements = collect($this->flat($items))
+            ->filter(fn (array $item) => ! empty($item['url']) && $this->isSafeUrl($item['url']))
+            ->values()
+            ->map(fn (array $item, int $index) => [
+                '@type' => 'SiteNavigationElement',
+                'position' => $index + 1,
+                'name' => $item['name'],
+                'url' => url($item['url']),
+            ])
+            ->all();
+
+        return array_merge($withContext ? ['@context' => 'https://schema.org'] : [], [
+            '@type' => 'ItemList',
+            'name' => $name,
+            'itemListElement' => $elements,
+        ]);
+    }
+
+    /**
+     * Render items as a list, recursing into their children.
+     */
+    protected function htmlList(array $items, string $class): string
+    {
+        $html = '';
+
+        foreach ($items as $item) {
+            $children = $item['children'] ?? [];
+            $classes = trim('nova-menu-item '.($children ? 'has-children ' : '').($item['css_class'] ?? ''));
+            $target = $item['target'] ?? '_self';
+            $url = $item['url'] ?? '#';
+
+            $html .= sprintf(
+                '<li class="%s"><a class="nova-menu-link" href="%s" target="%s"%s>%s%s</a>%s</li>',
+                e($classes),
+                e($this->isSafeUrl($url) ? $url : '#'),
+                e($target),
+                $target === '_blank' ? ' rel="noopener noreferrer"' : '',
+                empty($item['icon']) ? '' : sprintf('<i class="nova-menu-icon %s" aria-hidden="true"></i>', e($item['icon'])),
+                e($item['name']),
+                $children ? $this->htmlList($children, 'nova-menu-submenu') : ''
+            );
+        }
+
+        return sprintf('<ul class="%s">%s</ul>', $class, $html);
+    }
+
+    /**
+     * Whether a URL is relative or uses one of the allowed schemes.
+     */
+    protected function isSafeUrl(string $url): bool
+    {
+        // Browsers ignore whitespace and control characters, so "java\tscript:" is a scheme too
+        $url = preg_replace('/[\x00-\x20]+/', '', $url);
+
+        if (! preg_match('/^([a-z][a-z0-9+.-]*):/i', $url, $matches)) {
+            return true;
+        }
+
+        return in_array(strtolower($matches[1]), self::URL_SCHEMES, true);
+    }
+}
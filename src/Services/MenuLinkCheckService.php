@@ -0,0 +1,207 @@
+<?php
+
+namespace Skylark\Menus\Services;
+
+use Illuminate\Http\Client\ConnectionException;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Http;
+use Illuminate\Support\Facades\Route;
+use Skylark\Menus\Models\MenuItem;
+use Symfony\Component\HttpKernel\Exception\HttpExceptionInterface;
+
+class MenuLinkCheckService
+{
+    public const MISSING_RESOURCE = 'missing_resource';
+
+    public const DELETED_RESOURCE = 'deleted_resource';
+
+    public const UNKNOWN_RESOURCE_TYPE = 'unknown_resource_type';
+
+    public const UNMATCHED_ROUTE = 'unmatched_route';
+
+    public const HTTP_ERROR = 'http_error';
+
+    /**
+     * Linked records and HTTP statuses already looked up during this check.
+     */
+    protected array $resources = [];
+
+    protected array $statuses = [];
+
+    public function __construct(
+        protected ResourceLinkService $resourceService
+    ) {}
+
+    /**
+     * Walk the items of one menu, or every menu, and report links that rot.
+     *
+     * HTTP status checks are made only when the "http" option is set, against
+     * the "base_url" option, the configured base URL or the app URL.
+     *
+     * @param  array{http?: bool, base_url?: ?string}  $options
+     * @return array{menus_checked: int, items_checked: int, problems: array}
+     */
+    public function check(?MenuItem $menu = null, array $options = []): array
+    {
+        $this->resources = [];
+        $this->statuses = [];
+
+        $menus = $menu ? collect([$menu]) : MenuItem::roots()->where('is_root', true)->orderBy('name')->get();
+        $baseUrl = ! empty($options['http'])
+            ? rtrim($options['base_url'] ?? config('menus.link_check.base_url') ?? config('app.url'), '/')
+            : null;
+
+        $itemsChecked = 0;
+        $problems = [];
+
+        foreach ($menus as $rootMenu) {
+            $items = MenuItem::where('_lft', '>', $rootMenu->_lft)
+                ->where('_rgt', '<', $rootMenu->_rgt)
+                ->orderBy('_lft')
+                ->get();
+
+            foreach ($items as $item) {
+                $itemsChecked++;
+
+                foreach ($this->checkItem($item, $baseUrl) as [$problem, $url, $message]) {
+                    $problems[] = [
+                        'menu_id' => $rootMenu->id,
+                        'menu' => $rootMenu->name,
+                        'item_id' => $item->id,
+                        'item' => $item->name,
+                        'problem' => $problem,
+                        'url' => $url,
+                        'message' => $message,
+                    ];
+                }
+            }
+        }
+
+        return [
+            'menus_checked' => $menus->count(),
+            'items_checked' => $itemsChecked,
+            'problems' => $problems,
+        ];
+    }
+
+    /**
+     * Problems with a single item as [problem, url, message] tuples.
+     */
+    protected function checkItem(MenuItem $item, ?string $baseUrl): array
+    {
+        $problems = [];
+        $url = $item->custom_url;
+
+        if ($item->resource_type) {
+            [$problem, $resourceUrl] = $this->checkResource($item);
+            $url = $url ?: $resourceUrl;
+
+            if ($problem) {
+                $problems[] = $problem;
+            }
+        } elseif ($url && $this->isInternal($url) && ! $this->matchesRoute($url)) {
+            $problems[] = [self::UNMATCHED_ROUTE, $url, 'No registered route matches this path'];
+        }
+
+        // Only links that otherwise look fine are worth a request
+        if ($baseUrl && $url && empty($problems) && $this->isInternal($url)) {
+            if ($message = $this->checkStatus($baseUrl.$url)) {
+                $problems[] = [self::HTTP_ERROR, $url, $message];
+            }
+        }
+
+        return $problems;
+    }
+
+    /**
+     * The problem with an item's linked record, if any, and the URL it links to.
+     *
+     * @return array{0: ?array, 1: ?string}
+     */
+    protected function checkResource(MenuItem $item): array
+    {
+        $type = $item->resource_type;
+
+        if (! in_array($type, $this->resourceService->getResourceTypes(), true)) {
+            $message = $this->resourceService->getInvalidResourceTypes()[$type] ?? "Resource type '{$type}' is not configured";
+
+            return [[self::UNKNOWN_RESOURCE_TYPE, null, $message], null];
+        }
+
+        if (! $item->resource_id) {
+            return [null, null];
+        }
+
+        try {
+            $resource = $this->resources["{$type}:{$item->resource_id}"]
+                ??= $this->resourceService->getResource($type, $item->resource_id) ?? false;
+        } catch (\InvalidArgumentException $e) {
+            return [[self::UNKNOWN_RESOURCE_TYPE, null, $e->getMessage()], null];
+        }
+
+        if (! $resource) {
+            return [[self::MISSING_RESOURCE, null, "{$type} #{$item->resource_id} does not exist"], null];
+        }
+
+        $url = $resource['slug'] ? $this->resourceService->generateUrl($type, $resource['slug']) : null;
+
+        if ($resource['is_deleted']) {
+            return [[self::DELETED_RESOURCE, $url, "{$type} #{$item->resource_id} has been deleted"], $url];
+        }
+
+        return [null, $url];
+    }
+
+    /**
+     * Whether a URL is a path on this site rather than an external or special link.
+     */
+    protected function isInternal(string $url): bool
+    {
+        return str_starts_with($url, '/') && ! str_starts_with($url, '//');
+    }
+
+    /**
+     * Whether a GET route other than the fallback route matches the path.
+     */
+    protected function matchesRoute(string $url): bool
+    {
+        try {
+            $route = Route::getRoutes()->match(Request::create(parse_url($url, PHP_URL_PATH) ?: '/'));
+
+            return ! $route->isFallback;
+        } catch (HttpExceptionInterface $e) {
+            return false;
+        }
+    }
+
+    /**
+     * Request a URL and describe the failure, or null when it answers below 400.
+     */
+    protected function checkStatus(string $url): ?string
+    {
+        if (! array_key_exists($url, $this->statuses)) {
+            try {
+                $status = Http::timeout((int) config('menus.link_check.timeout', 5))->get($url)->status();
+                $this->statuses[$url] = $status >= 400 ? "HTTP {$status}" : null;
+            } catch (ConnectionException $e) {
+                $this->statuses[$url] = 'Request failed: '.$e->getMessage();
+            }
+        }
+
+        return $this->statuses[$url];
+    }
+
+    /**
+     * Human-readable labels for the problem codes.
+     */
+    public static function labels(): array
+    {
+        return [
+            self::MISSING_RESOURCE => 'Missing record',
+            self::DELETED_RESOURCE => 'Deleted record',
+            self::UNKNOWN_RESOURCE_TYPE => 'Unknown resource type',
+            self::UNMATCHED_ROUTE => 'No matching route',
+            self::HTTP_ERROR => 'HTTP error',
+        ];
+    }
+}
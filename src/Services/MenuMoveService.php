@@ -0,0 +1,160 @@
+<?php
+
+namespace Skylark\Menus\Services;
+
+use Illuminate\Support\Facades\Config;
+use Illuminate\Support\Facades\DB;
+use InvalidArgumentException;
+use Skylark\Menus\Models\MenuDraft;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\Concerns\ManipulatesMenuTrees;
+
+class MenuMoveService
+{
+    use ManipulatesMenuTrees;
+
+    public function __construct(
+        protected MenuTransferService $transfer,
+        protected MenuRevisionService $revisionService,
+        protected MenuDepthService $depthService
+    ) {}
+
+    /**
+     * Move an item and its descendants under a parent, which may belong to another menu.
+     *
+     * The live nodes are moved with nested set operations in one transaction.
+     * With draft mode enabled only the drafts of both menus change, and the
+     * move goes live when they are published, like every other draft edit.
+     *
+     * @throws InvalidArgumentException
+     * @throws \Illuminate\Validation\ValidationException
+     */
+    public function move(MenuItem $item, MenuItem $parent, int $position): array
+    {
+        if ($item->is_root) {
+            throw new InvalidArgumentException('Whole menus cannot be moved into other menus.');
+        }
+
+        if ($parent->is($item) || $parent->isDescendantOf($item)) {
+            throw new InvalidArgumentException('An item cannot be moved into itself or one of its descendants.');
+        }
+
+        $sourceMenu = $item->getMenuRoot();
+        $targetMenu = $parent->getMenuRoot();
+
+        if (! $sourceMenu || ! $targetMenu) {
+            throw new InvalidArgumentException("Menu item {$item->id} cannot be moved outside of a menu.");
+        }
+
+        if (Config::get('menus.drafts.enabled', false)) {
+            return $this->moveInDrafts($item, $parent, $position, $sourceMenu, $targetMenu);
+        }
+
+        $parentDepth = $parent->is_root ? 0 : $parent->ancestors()->count();
+        $this->depthService->validateSubtree($targetMenu, $parentDepth, $this->transfer->exportSubtree($item));
+
+        app(MenuCacheService::class)->batch(fn () => DB::transaction(function () use ($item, $parent, $position) {
+            $siblings = $parent->children()
+                ->where('id', '!=', $item->id)
+                ->defaultOrder()
+                ->get();
+
+            if ($position < $siblings->count()) {
+                $item->beforeNode($siblings[$position])->save();
+            } else {
+                $item->appendToNode($parent)->save();
+            }
+        }));
+
+        if (Config::get('menus.revisions.enabled', true)) {
+            $this->revisionService->record($targetMenu, 'move_item');
+
+            if (! $sourceMenu->is($targetMenu)) {
+                $this->revisionService->record($sourceMenu, 'move_out');
+            }
+        }
+
+        return [
+            'item' => $item->fresh(),
+            'from_menu_id' => $sourceMenu->id,
+            'menu_id' => $targetMenu->id,
+            'drafted' => false,
+        ];
+    }
+
+    /**
+     * Move an item within or between menu drafts, starting a draft from the
+     * live tree where a menu has none yet.
+     *
+     * Unpublished edits of the item travel with it. Between menus it lands in
+     * the target draft as new items, since publishing a draft only updates
+     * items of its own menu; publishing the source draft removes the original.
+     *
+     * @throws InvalidArgumentException
+     * @throws \Illuminate\Validation\ValidationException
+     */
+    protected function moveInDrafts(
+        MenuItem $item,
+        MenuItem $parent,
+        int $position,
+        MenuItem $sourceMenu,
+        MenuItem $targetMenu
+    ): array {
+        $node = null;
+        $sourceStructure = $this->removeFromTree($this->draftStructure($sourceMenu), $item->id, $node);
+
+        if (! $node) {
+            throw new InvalidArgumentException("Menu item {$item->id} is not part of the draft of menu {$sourceMenu->id}.");
+        }
+
+        $sameMenu = $sourceMenu->is($targetMenu);
+        $targetStructure = $sameMenu ? $sourceStructure : $this->draftStructure($targetMenu);
+
+        if (! $sameMenu) {
+            $node = $this->withDraftKeys($this->withoutIds($node));
+        }
+
+        $parentId = $parent->is($targetMenu) ? null : $parent->id;
+        $parentDepth = $parentId === null ? 0 : $this->depthInTree($targetStructure, $parentId);
+
+        if ($parentDepth === null) {
+            throw new InvalidArgumentException("Menu item {$parent->id} is not part of the draft of menu {$targetMenu->id}.");
+        }
+
+        $this->depthService->validateSubtree($targetMenu, $parentDepth, $node);
+
+        DB::transaction(function () use ($sameMenu, $sourceMenu, $sourceStructure, $targetMenu, $targetStructure, $parentId, $node, $position) {
+            if (! $sameMenu) {
+                $this->saveDraft($sourceMenu, $sourceStructure);
+            }
+
+            $this->saveDraft($targetMenu, $this->insertIntoTree($targetStructure, $parentId, $node, $position));
+        });
+
+        return [
+            'item' => $node,
+            'from_menu_id' => $sourceMenu->id,
+            'menu_id' => $targetMenu->id,
+            'drafted' => true,
+        ];
+    }
+
+    /**
+     * The tree of a menu's draft, or of the live menu when it has no draft.
+     */
+    protected function draftStructure(MenuItem $rootMenu): array
+    {
+        return $rootMenu->draft()->first()?->structure ?? $this->revisionService->snapshot($rootMenu);
+    }
+
+    protected function saveDraft(MenuItem $rootMenu, array $structure): void
+    {
+        MenuDraft::updateOrCreate(
+            ['menu_id' => $rootMenu->id],
+            [
+                'structure' => $structure,
+                'user_id' => auth()->id(),
+            ]
+        );
+    }
+}
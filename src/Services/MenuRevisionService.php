@@ -0,0 +1,149 @@
+<?php
+
+namespace Skylark\Menus\Services;
+
+use Illuminate\Support\Collection;
+use Illuminate\Support\Facades\Config;
+use Illuminate\Support\Facades\DB;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Models\MenuRevision;
+
+class MenuRevisionService
+{
+    /**
+     * Item fields captured in a snapshot (everything needed to rebuild the tree).
+     */
+    public const SNAPSHOT_FIELDS = [
+        'id',
+        'name',
+        'custom_url',
+        'resource_type',
+        'resource_id',
+        'resource_slug',
+        'display_at',
+        'hide_at',
+        'icon',
+        'target',
+        'css_class',
+        'is_active',
+    ];
+
+    /**
+     * Record the current tree of a menu as a new revision.
+     */
+    public function record(MenuItem $rootMenu, string $action): MenuRevision
+    {
+        $user = auth()->user();
+
+        $revision = MenuRevision::create([
+            'menu_id' => $rootMenu->id,
+            'action' => $action,
+            'structure' => $this->snapshot($rootMenu),
+            'user_id' => $user?->getAuthIdentifier(),
+            'user_name' => $user->name ?? null,
+        ]);
+
+        $this->prune($rootMenu);
+
+        return $revision;
+    }
+
+    /**
+     * Fingerprint of a menu's live tree; it changes whenever an item is added,
+     * removed, moved or edited.
+     */
+    public function version(MenuItem $rootMenu): string
+    {
+        return sha1(json_encode($this->snapshot($rootMenu)));
+    }
+
+    /**
+     * Capture a menu's descendants as a plain tree in the rebuild payload shape.
+     */
+    public function snapshot(MenuItem $rootMenu): array
+    {
+        $tree = $rootMenu->descendants()
+            ->defaultOrder()
+            ->get()
+            ->toTree();
+
+        return $this->serializeTree($tree);
+    }
+
+    /**
+     * Make a menu's live tree match a revision, recreating items deleted since.
+     * A pending draft is discarded, as publishing it would undo the restore.
+     */
+    public function restore(MenuRevision $revision): void
+    {
+        $rootMenu = $revision->menu;
+
+        app(MenuCacheService::class)->batch(fn () => DB::transaction(function () use ($rootMenu, $revision) {
+            $existingIds = $rootMenu->descendants()->pluck('id')->map(fn ($id) => (int) $id)->all();
+
+            MenuItem::rebuildSubtree(
+                $rootMenu,
+                $this->restorableStructure($revision->structure ?? [], $existingIds),
+                true
+            );
+
+            $rootMenu->draft()->delete();
+        }));
+    }
+
+    /**
+     * Delete revisions beyond the configured retention limit.
+     */
+    protected function prune(MenuItem $rootMenu): void
+    {
+        $keep = (int) Config::get('menus.revisions.keep', 50);
+
+        if ($keep < 1) {
+            return;
+        }
+
+        $keptIds = MenuRevision::where('menu_id', $rootMenu->id)
+            ->orderByDesc('id')
+            ->limit($keep)
+            ->pluck('id');
+
+        MenuRevision::where('menu_id', $rootMenu->id)
+            ->whereNotIn('id', $keptIds)
+            ->delete();
+    }
+
+    /**
+     * Convert a collection of tree nodes into snapshot arrays.
+     */
+    protected function serializeTree(Collection $items): array
+    {
+        return $items->map(function (MenuItem $item) {
+            $node = [];
+
+            foreach (self::SNAPSHOT_FIELDS as $field) {
+                $value = $item->{$field};
+                $node[$field] = $value instanceof \DateTimeInterface ? $value->format(\DateTimeInterface::ATOM) : $value;
+            }
+
+            $node['children'] = $this->serializeTree($item->children);
+
+            return $node;
+        })->values()->all();
+    }
+
+    /**
+     * Drop IDs of items that no longer exist so they are recreated on rebuild.
+     */
+    protected function restorableStructure(array $items, array $existingIds): array
+    {
+        return array_map(function ($item) use ($existingIds) {
+            if (isset($item['id']) && ! in_array((int) $item['id'], $existingIds, true)) {
+                unset($item['id']);
+            }
+
+            $item['children'] = $this->restorableStructure($item['children'] ?? [], $existingIds);
+
+            return $item;
+        }, $items);
+    }
+}
@@ -0,0 +1,160 @@
+<?php
+
+namespace Skylark\Menus\Services;
+
+use Carbon\CarbonInterface;
+use Illuminate\Support\Collection;
+use Skylark\Menus\Models\MenuItem;
+
+class MenuTrailService
+{
+    /**
+     * The item's URL is the requested one.
+     */
+    public const EXACT = 'exact';
+
+    /**
+     * The requested URL is a resource route of the record the item links to.
+     */
+    public const RESOURCE = 'resource';
+
+    /**
+     * The item's URL is the longest path prefix of the requested one.
+     */
+    public const PREFIX = 'prefix';
+
+    public const MATCHES = [self::EXACT, self::RESOURCE, self::PREFIX];
+
+    public function __construct(
+        protected PublicMenuService $publicMenus,
+        protected ResourceLinkService $resourceService
+    ) {}
+
+    /**
+     * Find the public item of a menu matching a URL, with its ancestors.
+     *
+     * The given kinds of match are tried in order and the first one found
+     * wins; within a kind, the first item in menu order wins, except that a
+     * longer prefix beats a shorter one.
+     *
+     * @return array{item: MenuItem, ancestors: Collection, match: string}|null
+     */
+    public function find(MenuItem $menu, string $url, ?CarbonInterface $at = null, array $matches = self::MATCHES): ?array
+    {
+        $path = $this->normalizeUrl($url);
+
+        if ($path === null) {
+            return null;
+        }
+
+        $items = $this->publicMenus->visibleItems($menu, $at);
+
+        foreach ($matches as $match) {
+            $item = match ($match) {
+                self::EXACT => $items->first(fn (MenuItem $item) => $this->normalizeUrl($item->url) === $path),
+                self::RESOURCE => $this->matchResource($items, $path),
+                self::PREFIX => $this->matchPrefix($items, $path),
+            };
+
+            if ($item) {
+                return [
+                    'item' => $item,
+                    'ancestors' => $this->ancestors($items, $item),
+                    'match' => $match,
+                ];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Reduce a URL to the path it points at, keeping the host only for
+     * other sites. Returns null for links that are not pages, e.g. "#".
+     */
+    public function normalizeUrl(?string $url): ?string
+    {
+        if ($url === null || $url === '' || str_starts_with($url, '#')) {
+            return null;
+        }
+
+        $parts = parse_url($url);
+
+        if ($parts === false || (isset($parts['scheme']) && ! in_array(strtolower($parts['scheme']), ['http', 'https'], true))) {
+            return null;
+        }
+
+        $path = '/'.trim(rawurldecode($parts['path'] ?? ''), '/');
+        $host = isset($parts['host']) ? strtolower($parts['host']) : null;
+
+        return $host && ! in_array($host, $this->localHosts(), true) ? $host.$path : $path;
+    }
+
+    /**
+     * The item linking to the record a resource route points at, matched by
+     * the stored slug or, when that is outdated, by the record's key.
+     */
+    protected function matchResource(Collection $items, string $path): ?MenuItem
+    {
+        foreach ($this->resourceService->matchUrl($path) as $type => $slug) {
+            $linked = $items->where('resource_type', $type);
+
+            if ($item = $linked->firstWhere('resource_slug', $slug)) {
+                return $item;
+            }
+
+            if ($linked->isEmpty() || ! ($resource = $this->resourceService->findResourceBySlug($type, $slug))) {
+                continue;
+            }
+
+            if ($item = $linked->first(fn (MenuItem $item) => $item->resource_id == $resource['id'])) {
+                return $item;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * The item whose URL is the longest path prefix of the given path; the
+     * home page "/" is never a prefix.
+     */
+    protected function matchPrefix(Collection $items, string $path): ?MenuItem
+    {
+        $best = null;
+        $bestLength = 0;
+
+        foreach ($items as $item) {
+            $itemPath = $this->normalizeUrl($item->url);
+
+            if ($itemPath && $itemPath !== '/' && str_starts_with($path, $itemPath.'/') && strlen($itemPath) > $bestLength) {
+                $best = $item;
+                $bestLength = strlen($itemPath);
+            }
+        }
+
+        return $best;
+    }
+
+    /**
+     * Ancestors of an item within the menu, from the top level down.
+     */
+    protected function ancestors(Collection $items, MenuItem $item): Collection
+    {
+        return $items
+            ->filter(fn (MenuItem $ancestor) => $ancestor->_lft < $item->_lft && $ancestor->_rgt > $item->_rgt)
+            ->sortBy('_lft')
+            ->values();
+    }
+
+    /**
+     * Hosts whose URLs are paths of this application.
+     */
+    protected function localHosts(): array
+    {
+        return array_values(array_filter([
+            strtolower((string) parse_url((string) config('app.url'), PHP_URL_HOST)),
+            strtolower(request()->getHost()),
+        ]));
+    }
+}
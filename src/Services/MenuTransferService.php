@@ -0,0 +1,418 @@
+<?php
+
+namespace Skylark\Menus\Services;
+
+use Illuminate\Support\Collection;
+use Illuminate\Support\Facades\Config;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Validator;
+use Illuminate\Support\Str;
+use InvalidArgumentException;
+use Skylark\Menus\Models\MenuItem;
+use Symfony\Component\Yaml\Exception\ParseException;
+use Symfony\Component\Yaml\Yaml;
+
+class MenuTransferService
+{
+    /**
+     * Identifier and version written to every export.
+     */
+    public const FORMAT = 'nova-menus';
+
+    public const VERSION = 1;
+
+    /**
+     * Supported file formats.
+     */
+    public const FORMATS = ['json', 'yaml'];
+
+    /**
+     * Item fields carried by an export (everything except IDs and nested set columns).
+     */
+    public const ITEM_FIELDS = [
+        'name',
+        'custom_url',
+        'resource_type',
+        'resource_id',
+        'resource_slug',
+        'display_at',
+        'hide_at',
+        'icon',
+        'target',
+        'css_class',
+        'is_active',
+    ];
+
+    public function __construct(
+        protected ResourceLinkService $resourceService,
+        protected MenuRevisionService $revisionService,
+        protected MenuDepthService $depthService
+    ) {}
+
+    /**
+     * Export a menu root and its nested tree as a portable array.
+     */
+    public function export(MenuItem $rootMenu): array
+    {
+        $tree = $rootMenu->descendants()
+            ->defaultOrder()
+            ->get()
+            ->toTree();
+
+        return [
+            'format' => self::FORMAT,
+            'version' => self::VERSION,
+            'exported_at' => now()->toAtomString(),
+            'menu' => [
+                'name' => $rootMenu->name,
+                'slug' => $rootMenu->slug,
+                'max_depth' => $rootMenu->max_depth,
+                'is_active' => (bool) $rootMenu->is_active,
+            ],
+            'items' => $this->exportItems($tree),
+        ];
+    }
+
+    /**
+     * Export a single item and its descendants as one node, without IDs.
+     */
+    public function exportSubtree(MenuItem $item): array
+    {
+        $item->setRelation('children', $item->descendants()->defaultOrder()->get()->toTree());
+
+        return $this->exportItems(collect([$item]))[0];
+    }
+
+    /**
+     * Serialize an export to a JSON or YAML string.
+     *
+     * @throws InvalidArgumentException
+     */
+    public function encode(array $data, string $format = 'json'): string
+    {
+        return match ($this->normalizeFormat($format)) {
+            'json' => json_encode($data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE)."\n",
+            'yaml' => Yaml::dump($data, 20, 2, Yaml::DUMP_EMPTY_ARRAY_AS_SEQUENCE),
+        };
+    }
+
+    /**
+     * Parse a JSON or YAML export. The format is detected when not given.
+     *
+     * @throws InvalidArgumentException
+     */
+    public function decode(string $content, ?string $format = null): array
+    {
+        $format = $format ? $this->normalizeFormat($format) : $this->detectFormat($content);
+
+        if ($format === 'json') {
+            $data = json_decode($content, true);
+
+            if (json_last_error() !== JSON_ERROR_NONE) {
+                throw new InvalidArgumentException('Invalid JSON: '.json_last_error_msg());
+            }
+        } else {
+            try {
+                // Unquoted dates would otherwise be parsed as Unix timestamps
+                $data = $this->stringifyDates(Yaml::parse($content, Yaml::PARSE_DATETIME));
+            } catch (ParseException $e) {
+                throw new InvalidArgumentException('Invalid YAML: '.$e->getMessage());
+            }
+        }
+
+        if (! is_array($data)) {
+            throw new InvalidArgumentException('The file does not contain a menu export.');
+        }
+
+        return $data;
+    }
+
+    /**
+     * Guess the file format from a file name's extension.
+     */
+    public function formatFromFilename(string $filename): ?string
+    {
+        $extension = strtolower(pathinfo($filename, PATHINFO_EXTENSION));
+
+        return match ($extension) {
+            'json' => 'json',
+            'yaml', 'yml' => 'yaml',
+            default => null,
+        };
+    }
+
+    /**
+     * Describe what importing the data would do, without writing anything.
+     *
+     * @throws \Illuminate\Validation\ValidationException
+     */
+    public function preview(array $data, array $options = []): array
+    {
+        $this->validate($data);
+
+        $menu = $this->menuAttributes($data, $options);
+        $warnings = [];
+        $items = $this->resolveLinks($data['items'], $warnings);
+
+        // The editor would refuse to save a tree deeper than the menu allows
+        $this->depthService->validateStructure(new MenuItem($menu), $items, 'items');
+
+        return [
+            'menu' => $menu,
+            'items' => $items,
+            'items_count' => $this->countItems($items),
+            'existing_menu_id' => MenuItem::roots()->where('slug', $menu['slug'])->value('id'),
+            'warnings' => $warnings,
+        ];
+    }
+
+    /**
+     * Import a menu, creating it or replacing the tree (and discarding any draft)
+     * of the menu with the same slug.
+     *
+     * Options: `name` and `slug` override the exported values, `replace` allows
+     * overwriting an existing menu with the same slug.
+     *
+     * @throws InvalidArgumentException
+     * @throws \Illuminate\Validation\ValidationException
+     */
+    public function import(array $data, array $options = []): array
+    {
+        $preview = $this->preview($data, $options);
+        $menu = $preview['menu'];
+
+        if ($preview['existing_menu_id'] && empty($options['replace'])) {
+            throw new InvalidArgumentException(
+                "A menu with the slug '{$menu['slug']}' already exists. Choose another slug or replace it."
+            );
+        }
+
+        $rootMenu = app(MenuCacheService::class)->batch(fn () => DB::transaction(function () use ($preview, $menu) {
+            if ($preview['existing_menu_id']) {
+                $rootMenu = MenuItem::findOrFail($preview['existing_menu_id']);
+                $rootMenu->update($menu);
+            } else {
+                $rootMenu = MenuItem::createMenu($menu);
+            }
+
+            // Imported items never carry IDs, so the whole tree is recreated
+            MenuItem::rebuildSubtree($rootMenu, $preview['items'], true);
+
+            // Publishing a draft of the replaced tree would undo the import
+            $rootMenu->draft()->delete();
+
+            return $rootMenu;
+        }));
+
+        if (Config::get('menus.revisions.enabled', true)) {
+            $this->revisionService->record($rootMenu, 'import');
+        }
+
+        return [
+            'menu' => $rootMenu->fresh(),
+            'items_count' => $preview['items_count'],
+            'replaced' => (bool) $preview['existing_menu_id'],
+            'warnings' => $preview['warnings'],
+        ];
+    }
+
+    /**
+     * Validate the shape of an export, including every nested item.
+     *
+     * @throws \Illuminate\Validation\ValidationException
+     */
+    public function validate(array $data): void
+    {
+        $rules = [
+            'format' => 'nullable|in:'.self::FORMAT,
+            'version' => 'nullable|integer|max:'.self::VERSION,
+            'menu' => 'required|array',
+            'menu.name' => 'required|string|max:255',
+            'menu.slug' => 'nullable|string|max:255',
+            'menu.max_depth' => 'nullable|integer|min:1|max:10',
+            'menu.is_active' => 'nullable|boolean',
+            'items' => 'present|array',
+        ];
+
+        $this->itemValidationRules($data['items'] ?? [], 'items', $rules);
+
+        Validator::make($data, $rules)->validate();
+    }
+
+    /**
+     * Convert tree nodes into export arrays.
+     */
+    protected function exportItems(Collection $items): array
+    {
+        return $items->map(function (MenuItem $item) {
+            $node = [];
+
+            foreach (self::ITEM_FIELDS as $field) {
+                $value = $item->{$field};
+                $node[$field] = $value instanceof \DateTimeInterface ? $value->format(\DateTimeInterface::ATOM) : $value;
+            }
+
+            $node['children'] = $this->exportItems($item->children);
+
+            return $node;
+        })->values()->all();
+    }
+
+    /**
+     * Build validation rules for each level of the item tree.
+     */
+    protected function itemValidationRules(mixed $items, string $prefix, array &$rules): void
+    {
+        if (! is_array($items)) {
+            return;
+        }
+
+        foreach (array_values($items) as $index => $item) {
+            $path = "{$prefix}.{$index}";
+
+            $rules["{$path}.name"] = 'required|string|max:255';
+            $rules["{$path}.custom_url"] = 'nullable|string|max:2048';
+            $rules["{$path}.resource_type"] = 'nullable|string|max:255';
+            $rules["{$path}.resource_id"] = 'nullable|integer|min:1';
+            $rules["{$path}.resource_slug"] = 'nullable|string|max:255';
+            $rules["{$path}.display_at"] = 'nullable|date';
+            $rules["{$path}.hide_at"] = 'nullable|date';
+            $rules["{$path}.icon"] = 'nullable|string|max:100';
+            $rules["{$path}.target"] = 'nullable|in:_self,_blank';
+            $rules["{$path}.css_class"] = 'nullable|string|max:255';
+            $rules["{$path}.is_active"] = 'nullable|boolean';
+            $rules["{$path}.children"] = 'sometimes|array';
+
+            $this->itemValidationRules($item['children'] ?? [], "{$path}.children", $rules);
+        }
+    }
+
+    /**
+     * Root attributes for the imported menu, with overrides applied.
+     */
+    protected function menuAttributes(array $data, array $options): array
+    {
+        $name = ! empty($options['name']) ? $options['name'] : $data['menu']['name'];
+        $slug = ! empty($options['slug']) ? $options['slug'] : ($data['menu']['slug'] ?? null);
+
+        return [
+            'name' => $name,
+            'slug' => $slug ?: Str::slug($name),
+            'max_depth' => $data['menu']['max_depth'] ?? 6,
+            'is_active' => $data['menu']['is_active'] ?? true,
+        ];
+    }
+
+    /**
+     * Re-resolve resource links for this environment.
+     *
+     * Links are matched by resource_slug, since IDs usually differ between
+     * environments; links without a slug fall back to the exported ID. Links
+     * that cannot be resolved keep their slug but lose their ID and are
+     * reported as warnings.
+     */
+    protected function resolveLinks(array $items, array &$warnings): array
+    {
+        return array_map(function ($item) use (&$warnings) {
+            $node = array_intersect_key($item, array_flip(self::ITEM_FIELDS));
+            $node['target'] = $node['target'] ?? '_self';
+            $node['is_active'] = $node['is_active'] ?? true;
+
+            if (! empty($node['resource_type'])) {
+                $node = $this->resolveLink($node, $warnings);
+            }
+
+            $node['children'] = $this->resolveLinks($item['children'] ?? [], $warnings);
+
+            return $node;
+        }, array_values($items));
+    }
+
+    /**
+     * Point a single item at the matching resource in this environment.
+     */
+    protected function resolveLink(array $node, array &$warnings): array
+    {
+        $type = $node['resource_type'];
+        $slug = $node['resource_slug'] ?? null;
+        $id = $node['resource_id'] ?? null;
+
+        try {
+            $resource = $slug
+                ? $this->resourceService->findResourceBySlug($type, $slug)
+                : ($id ? $this->resourceService->getResource($type, $id) : null);
+        } catch (InvalidArgumentException $e) {
+            $warnings[] = [
+                'item' => $node['name'],
+                'resource_type' => $type,
+                'resource_slug' => $slug,
+                'message' => $e->getMessage(),
+            ];
+
+            return $node;
+        }
+
+        if (! $resource) {
+            $warnings[] = [
+                'item' => $node['name'],
+                'resource_type' => $type,
+                'resource_slug' => $slug,
+                'message' => $slug
+                    ? "No {$type} with the slug '{$slug}' exists."
+                    : "No {$type} with the ID {$id} exists.",
+            ];
+            $node['resource_id'] = null;
+
+            return $node;
+        }
+
+        $node['resource_id'] = $resource['id'];
+        $node['resource_slug'] = $resource['slug'];
+
+        return $node;
+    }
+
+    /**
+     * Count the items in a tree.
+     */
+    protected function countItems(array $items): int
+    {
+        return array_reduce($items, function ($count, $item) {
+            return $count + 1 + $this->countItems($item['children'] ?? []);
+        }, 0);
+    }
+
+    /**
+     * Turn dates parsed from YAML back into the strings an export contains.
+     */
+    protected function stringifyDates(mixed $value): mixed
+    {
+        if ($value instanceof \DateTimeInterface) {
+            return $value->format(\DateTimeInterface::ATOM);
+        }
+
+        return is_array($value) ? array_map(fn ($item) => $this->stringifyDates($item), $value) : $value;
+    }
+
+    /**
+     * @throws InvalidArgumentException
+     */
+    protected function normalizeFormat(string $format): string
+    {
+        $format = strtolower($format) === 'yml' ? 'yaml' : strtolower($format);
+
+        if (! in_array($format, self::FORMATS, true)) {
+            throw new InvalidArgumentException("Unsupported format '{$format}'. Use json or yaml.");
+        }
+
+        return $format;
+    }
+
+    /**
+     * JSON exports always start with an object; anything else is treated as YAML.
+     */
+    protected function detectFormat(string $content): string
+    {
+        return str_starts_with(ltrim($content), '{') ? 'json' : 'yaml';
+    }
+}
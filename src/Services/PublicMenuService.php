@@ -0,0 +1,137 @@
+<?php
+
+namespace Skylark\Menus\Services;
+
+use Carbon\CarbonInterface;
+use Illuminate\Support\Collection;
+use Illuminate\Support\Facades\Log;
+use Skylark\Menus\Models\MenuItem;
+
+class PublicMenuService
+{
+    /**
+     * Build the tree of a menu exactly as the public API serves it.
+     *
+     * Schedules are evaluated at the given moment, or now when none is given,
+     * so editors can preview what visitors will see at a later date.
+     */
+    public function visibleTree(MenuItem $menu, ?CarbonInterface $at = null): Collection
+    {
+        return $this->visibleItems($menu, $at)->toTree();
+    }
+
+    /**
+     * The items of a menu the public API serves, as a flat list in menu order.
+     */
+    public function visibleItems(MenuItem $menu, ?CarbonInterface $at = null): Collection
+    {
+        // Get all descendants (without pre-filtering by visibility)
+        $allItems = MenuItem::where('_lft', '>', $menu->_lft)
+            ->where('_rgt', '<', $menu->_rgt)
+            ->orderBy('_lft')
+            ->get();
+
+        return $this->filterHierarchically($allItems, $at);
+    }
+
+    /**
+     * Filter menu items hierarchically - children of hidden parents are also hidden
+     */
+    public function filterHierarchically($items, ?CarbonInterface $at = null): Collection
+    {
+        $scheduledIds = $this->scheduledIds($items, $at ?? now());
+
+        // One query per resource type instead of one per linked item
+        MenuItem::loadResources($items);
+
+        // Create a set to track which items should be hidden
+        $hiddenItems = collect();
+
+        // First pass: identify items that should be hidden based on their own visibility
+        foreach ($items as $item) {
+            if (! $item->is_active || ! $scheduledIds->contains($item->id)) {
+                $hiddenItems->push($item->id);
+            }
+
+            // Check resource validity separately with better error handling
+            if ($item->resource_type && $item->resource_id) {
+                try {
+                    if (! $item->hasValidResource()) {
+                        $hiddenItems->push($item->id);
+                    }
+                } catch (\Exception $e) {
+                    // Log the error but don't hide the item - fall back to custom_url if available
+                    Log::warning('Resource validation failed in public API', [
+                        'item_id' => $item->id,
+                        'resource_type' => $item->resource_type,
+                        'resource_id' => $item->resource_id,
+                        'error' => $e->getMessage(),
+                    ]);
+
+                    // Only hide if there's no fallback URL
+                    if (! $item->custom_url) {
+                        $hiddenItems->push($item->id);
+                    }
+                }
+            }
+        }
+
+        // Second pass: hide all descendants of hidden items using nested set logic
+        foreach ($items as $item) {
+            if ($hiddenItems->contains($item->id)) {
+                // This item is hidden, so hide all its descendants
+                foreach ($items as $potentialChild) {
+                    if ($potentialChild->_lft > $item->_lft &&
+                        $potentialChild->_rgt < $item->_rgt) {
+                        $hiddenItems->push($potentialChild->id);
+                    }
+                }
+            }
+        }
+
+        // Return only items that are not in the hidden set
+        return $items->filter(function ($item) use ($hiddenItems) {
+            return ! $hiddenItems->contains($item->id);
+        });
+    }
+
+    /**
+     * Check if an item is visible based on temporal constraints
+     */
+    public function isItemVisible($item, ?CarbonInterface $at = null): bool
+    {
+        $at ??= now();
+
+        // Check if item is active
+        if (! $item->is_active) {
+            return false;
+        }
+
+        // Check display_at constraint
+        if ($item->display_at && $at->lt($item->display_at)) {
+            return false;
+        }
+
+        // Check hide_at constraint
+        if ($item->hide_at && $at->gte($item->hide_at)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * IDs of the items whose display window includes the given moment.
+     */
+    protected function scheduledIds($items, CarbonInterface $at): Collection
+    {
+        if ($items->isEmpty()) {
+            return collect();
+        }
+
+        // Evaluated by the database with the same scope used for queries elsewhere
+        return MenuItem::whereIn('id', $items->pluck('id'))
+            ->isVisibleAt($at)
+            ->pluck('id');
+    }
+}
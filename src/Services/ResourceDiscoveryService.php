@@ -0,0 +1,216 @@
+<?php
+
+namespace Skylark\Menus\Services;
+
+use Illuminate\Contracts\Cache\Repository;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Str;
+use Laravel\Nova\Nova;
+use Laravel\Nova\Resource;
+use ReflectionClass;
+use Symfony\Component\Finder\Finder;
+
+class ResourceDiscoveryService
+{
+    /**
+     * Columns tried, in order, for a display name when the Nova resource's
+     * $title is the primary key or not a column.
+     */
+    public const NAME_COLUMNS = ['name', 'title', 'label'];
+
+    /**
+     * Resource types discovered during this request.
+     */
+    protected ?array $discovered = null;
+
+    /**
+     * Whether $discovered saw every resource, see seesAllResources().
+     */
+    protected bool $complete = false;
+
+    /**
+     * Get the resource configuration discovered from Nova resources, keyed by type.
+     *
+     * Results are cached for menus.discovery.cache_ttl seconds, because every
+     * resource costs a schema query. A scan that could not see every resource
+     * is only kept until Nova has registered its resources.
+     */
+    public function discover(): array
+    {
+        if ($this->discovered !== null && ($this->complete || Nova::$resources === [])) {
+            return $this->discovered;
+        }
+
+        $ttl = (int) config('menus.discovery.cache_ttl', 3600);
+        $cached = $ttl > 0 ? $this->store()->get($this->cacheKey()) : null;
+
+        if (is_array($cached)) {
+            $this->complete = true;
+
+            return $this->discovered = $cached;
+        }
+
+        try {
+            $resources = $this->scan();
+        } catch (\Exception $e) {
+            // Never cache a failed scan, e.g. before the database is reachable
+            Log::warning('Failed to discover linkable Nova resources', ['error' => $e->getMessage()]);
+            $this->complete = $this->seesAllResources();
+
+            return $this->discovered = [];
+        }
+
+        $this->complete = $this->seesAllResources();
+
+        if ($ttl > 0 && $this->complete) {
+            $this->store()->put($this->cacheKey(), $resources, $ttl);
+        }
+
+        return $this->discovered = $resources;
+    }
+
+    /**
+     * Forget cached results and discover the resource types again.
+     */
+    public function refresh(): array
+    {
+        $this->store()->forget($this->cacheKey());
+        $this->discovered = null;
+        $this->complete = false;
+
+        return $this->discover();
+    }
+
+    /**
+     * Inspect every Nova resource and describe those that can be linked.
+     */
+    public function scan(): array
+    {
+        $exclude = config('menus.discovery.exclude', []);
+        $resources = [];
+
+        foreach ($this->novaResources() as $resourceClass) {
+            $type = class_basename($resourceClass);
+
+            if (isset($resources[$type]) || in_array($type, $exclude, true) || in_array($resourceClass, $exclude, true)) {
+                continue;
+            }
+
+            if ($config = $this->describe($resourceClass)) {
+                $resources[$type] = $config;
+            }
+        }
+
+        return $resources;
+    }
+
+    /**
+     * Build the resource configuration for one Nova resource, or null when
+     * its model has no slug-like column.
+     *
+     * @param  class-string<Resource>  $resourceClass
+     */
+    public function describe(string $resourceClass): ?array
+    {
+        $modelClass = $resourceClass::$model ?? null;
+
+        if (! $modelClass || ! is_subclass_of($modelClass, Model::class)) {
+            return null;
+        }
+
+        $model = new $modelClass;
+        $columns = $model->getConnection()->getSchemaBuilder()->getColumnListing($model->getTable());
+
+        $slugField = collect(config('menus.discovery.slug_columns', ['slug']))
+            ->first(fn ($column) => in_array($column, $columns, true));
+
+        if (! $slugField) {
+            return null;
+        }
+
+        $title = $resourceClass::$title ?? null;
+        $nameField = $title && $title !== $model->getKeyName() && in_array($title, $columns, true)
+            ? $title
+            : collect(self::NAME_COLUMNS)->first(fn ($column) => in_array($column, $columns, true), $slugField);
+
+        return [
+            'model' => $modelClass,
+            'name_field' => $nameField,
+            'slug_field' => $slugField,
+            'route_pattern' => str_replace(
+                '{resource}',
+                $resourceClass::uriKey(),
+                config('menus.discovery.route_pattern', '/{resource}/{slug}')
+            ),
+            'label' => $resourceClass::singularLabel(),
+            'nova_resource' => $resourceClass,
+        ];
+    }
+
+    /**
+     * Get the Nova resources registered with Nova or found in the discovery paths.
+     *
+     * Nova only registers resources while serving its own requests, so the
+     * paths make discovery work for the public API too.
+     */
+    protected function novaResources(): array
+    {
+        $resources = Nova::$resources;
+
+        foreach (config('menus.discovery.paths', []) as $path) {
+            if (is_dir($path)) {
+                $resources = array_merge($resources, $this->resourcesIn($path));
+            }
+        }
+
+        return array_values(array_unique(array_filter($resources, function ($class) {
+            return is_subclass_of($class, Resource::class) && ! (new ReflectionClass($class))->isAbstract();
+        })));
+    }
+
+    /**
+     * Get the class names of the PHP files in an application directory.
+     */
+    protected function resourcesIn(string $directory): array
+    {
+        $namespace = app()->getNamespace();
+        $appPath = realpath(app_path()).DIRECTORY_SEPARATOR;
+        $classes = [];
+
+        foreach ((new Finder)->in($directory)->files()->name('*.php') as $file) {
+            $class = $namespace.str_replace(
+                ['/', '.php'],
+                ['\\', ''],
+                Str::after($file->getRealPath(), $appPath)
+            );
+
+            if (class_exists($class)) {
+                $classes[] = $class;
+            }
+        }
+
+        return $classes;
+    }
+
+    /**
+     * Whether a scan now sees every resource: once Nova has registered them,
+     * or when a discovery path can be read, as in requests outside Nova.
+     */
+    protected function seesAllResources(): bool
+    {
+        return Nova::$resources !== []
+            || collect(config('menus.discovery.paths', []))->contains(fn ($path) => is_dir($path));
+    }
+
+    protected function cacheKey(): string
+    {
+        return config('menus.cache.prefix', 'menus').':discovered-resources';
+    }
+
+    protected function store(): Repository
+    {
+        return Cache::store(config('menus.cache.store'));
+    }
+}
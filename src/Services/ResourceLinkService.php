@@ -2,27 +2,99 @@
 
 namespace Skylark\Menus\Services;
 
+use Illuminate\Database\Eloquent\Builder;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Support\Collection;
 use Illuminate\Support\Facades\Config;
+use Illuminate\Support\Facades\Log;
 use InvalidArgumentException;
 
 class ResourceLinkService
 {
     /**
-     * Get all configured resource types.
+     * Resource configuration grouped by model class, see getResourceConfigurationForModel().
+     */
+    protected ?array $configurationByModel = null;
+
+    /**
+     * Get all valid resource types, configured or discovered.
      */
     public function getResourceTypes(): array
     {
-        return array_keys($this->getResourceConfiguration());
+        return array_keys(array_diff_key($this->getResourceConfiguration(), $this->getInvalidResourceTypes()));
+    }
+
+    /**
+     * Get the resource types whose configuration is broken, with the reason.
+     */
+    public function getInvalidResourceTypes(): array
+    {
+        $invalid = [];
+
+        foreach ($this->getResourceConfiguration() as $type => $config) {
+            try {
+                $this->validateResourceConfig($type, $config);
+            } catch (InvalidArgumentException $e) {
+                $invalid[$type] = $e->getMessage();
+            }
+        }
+
+        return $invalid;
+    }
+
+    /**
+     * Get the label shown for a resource type.
+     */
+    public function getResourceLabel(string $resourceType): string
+    {
+        return $this->getResourceConfiguration()[$resourceType]['label'] ?? $resourceType;
     }
 
     /**
      * Get the full resource configuration.
+     *
+     * With discovery enabled, entries discovered from Nova resources come
+     * first. A configured entry overrides the discovered one key by key,
+     * and an entry set to false removes the type.
      */
     public function getResourceConfiguration(): array
     {
-        return Config::get('menus.resources', []);
+        $configured = Config::get('menus.resources', []) ?? [];
+        $resources = Config::get('menus.discovery.enabled', false)
+            ? app(ResourceDiscoveryService::class)->discover()
+            : [];
+
+        foreach ($configured as $type => $config) {
+            if (is_array($config)) {
+                $resources[$type] = array_merge($resources[$type] ?? [], $config);
+            } else {
+                unset($resources[$type]);
+            }
+        }
+
+        return $resources;
+    }
+
+    /**
+     * Get the configuration of the resource types linking to records of the given model, keyed by type.
+     *
+     * Model events of the whole app end up here, so the types are grouped by
+     * model once, on first use rather than at boot, as discovery needs the
+     * resources Nova registers later on.
+     */
+    public function getResourceConfigurationForModel(Model $model): array
+    {
+        if ($this->configurationByModel === null) {
+            $this->configurationByModel = [];
+
+            foreach ($this->getResourceConfiguration() as $type => $config) {
+                if (isset($config['model'])) {
+                    $this->configurationByModel[$config['model']][$type] = $config;
+                }
+            }
+        }
+
+        return $this->configurationByModel[get_class($model)] ?? [];
     }
 
     /**
@@ -45,11 +117,14 @@ class ResourceLinkService
     }
 
     /**
-     * Search resources of a specific type.
+     * Search resources of a specific type across its name and extra search_fields.
+     *
+     * Results follow the configured order_by, then the key, so pages can follow
+     * each other by offset. The optional scope narrows the records offered.
      *
      * @throws InvalidArgumentException
      */
-    public function searchResources(string $resourceType, string $searchTerm = '', int $limit = 50): Collection
+    public function searchResources(string $resourceType, string $searchTerm = '', int $limit = 50, int $offset = 0): Collection
     {
         $config = $this->getResourceConfig($resourceType);
         $model = $this->getModelInstance($config['model']);
@@ -58,7 +133,11 @@ class ResourceLinkService
 
         // Add search filter if provided
         if (! empty($searchTerm)) {
-            $query->where($config['name_field'], 'LIKE', "%{$searchTerm}%");
+            $query->where(function ($query) use ($config, $searchTerm) {
+                foreach ($this->searchFields($config) as $field) {
+                    $query->orWhere($field, 'LIKE', "%{$searchTerm}%");
+                }
+            });
         }
 
         // Exclude soft-deleted records if model supports soft deletes
@@ -67,13 +146,30 @@ class ResourceLinkService
             $query->whereNull($model->getDeletedAtColumn());
         }
 
-        $results = $query->limit($limit)
-            ->get([$model->getKeyName(), $config['name_field'], $config['slug_field']])
-            ->map(function ($resource) use ($config) {
+        $this->applyScope($query, $config);
+
+        foreach ($this->orderBy($config) as $column => $direction) {
+            $query->orderBy($column, $direction);
+        }
+
+        $secondaryField = $config['secondary_label_field'] ?? null;
+        $columns = array_values(array_unique(array_filter([
+            $model->getKeyName(),
+            $config['name_field'],
+            $config['slug_field'],
+            $secondaryField,
+        ])));
+
+        $results = $query->orderBy($model->getKeyName())
+            ->offset($offset)
+            ->limit($limit)
+            ->get($columns)
+            ->map(function ($resource) use ($config, $secondaryField) {
                 return [
                     'id' => $resource->getKey(),
                     'name' => $resource->{$config['name_field']},
                     'slug' => $resource->{$config['slug_field']},
+                    'secondary_label' => $secondaryField ? $resource->{$secondaryField} : null,
                 ];
             });
 
@@ -113,6 +209,90 @@ class ResourceLinkService
         ];
     }
 
+    /**
+     * Get many resources of one type with a single query, keyed by ID.
+     *
+     * Soft-deleted records are included and flagged with is_deleted; IDs
+     * without a record are left out.
+     *
+     * @throws InvalidArgumentException
+     */
+    public function getResources(string $resourceType, array $resourceIds): array
+    {
+        $config = $this->getResourceConfig($resourceType);
+        $model = $this->getModelInstance($config['model']);
+
+        if (empty($resourceIds)) {
+            return [];
+        }
+
+        $usesSoftDeletes = in_array('Illuminate\Database\Eloquent\SoftDeletes', class_uses_recursive($model));
+        $query = $usesSoftDeletes ? $model::withTrashed() : $model::query();
+
+        return $query->whereIn($model->getKeyName(), array_values(array_unique($resourceIds)))
+            ->get()
+            ->mapWithKeys(fn ($resource) => [$resource->getKey() => [
+                'id' => $resource->getKey(),
+                'name' => $resource->{$config['name_field']},
+                'slug' => $resource->{$config['slug_field']},
+                'is_deleted' => $usesSoftDeletes ? ($resource->trashed() ?? false) : false,
+            ]])
+            ->all();
+    }
+
+    /**
+     * Get the resources linked from many menu items with one query per resource type.
+     *
+     * Returns resources keyed by type, then ID. Types that cannot be looked up,
+     * e.g. because they are no longer configured, are left out and logged.
+     */
+    public function getResourcesForItems(iterable $items): array
+    {
+        $idsByType = collect($items)
+            ->filter(fn ($item) => $item->resource_type && $item->resource_id)
+            ->groupBy('resource_type')
+            ->map(fn ($group) => $group->pluck('resource_id')->all());
+
+        $resources = [];
+
+        foreach ($idsByType as $resourceType => $resourceIds) {
+            try {
+                $resources[$resourceType] = $this->getResources($resourceType, $resourceIds);
+            } catch (\Exception $e) {
+                Log::warning('Failed to look up linked resources for menu items', [
+                    'resource_type' => $resourceType,
+                    'error' => $e->getMessage(),
+                ]);
+            }
+        }
+
+        return $resources;
+    }
+
+    /**
+     * Find a resource of a specific type by its slug, ignoring soft-deleted records.
+     *
+     * @throws InvalidArgumentException
+     */
+    public function findResourceBySlug(string $resourceType, string $slug): ?array
+    {
+        $config = $this->getResourceConfig($resourceType);
+        $model = $this->getModelInstance($config['model']);
+
+        $resource = $model::query()->where($config['slug_field'], $slug)->first();
+
+        if (! $resource) {
+            return null;
+        }
+
+        return [
+            'id' => $resource->getKey(),
+            'name' => $resource->{$config['name_field']},
+            'slug' => $resource->{$config['slug_field']},
+            'is_deleted' => false,
+        ];
+    }
+
     /**
      * Generate frontend URL for a resource.
      *
@@ -125,6 +305,80 @@ class ResourceLinkService
         return str_replace('{slug}', $resourceSlug, $config['route_pattern']);
     }
 
+    /**
+     * Get the resource types whose route pattern matches a URL path, with
+     * the slug each one reads from it, as type => slug.
+     */
+    public function matchUrl(string $path): array
+    {
+        $matches = [];
+
+        foreach ($this->getResourceTypes() as $type) {
+            $pattern = $this->getResourceConfig($type)['route_pattern'];
+            $regex = '#^'.str_replace(preg_quote('{slug}', '#'), '([^/]+)', preg_quote(rtrim($pattern, '/'), '#')).'$#';
+
+            if (preg_match($regex, rtrim($path, '/'), $match)) {
+                $matches[$type] = rawurldecode($match[1]);
+            }
+        }
+
+        return $matches;
+    }
+
+    /**
+     * Columns searched for a term: the name field plus any configured search_fields.
+     */
+    protected function searchFields(array $config): array
+    {
+        return array_values(array_unique(array_merge(
+            [$config['name_field']],
+            (array) ($config['search_fields'] ?? [])
+        )));
+    }
+
+    /**
+     * The configured order_by as column => direction pairs.
+     *
+     * Accepts a column name, a list of column names or a column => direction map.
+     */
+    protected function orderBy(array $config): array
+    {
+        $orders = [];
+
+        foreach ((array) ($config['order_by'] ?? []) as $column => $direction) {
+            if (is_int($column)) {
+                [$column, $direction] = [$direction, 'asc'];
+            }
+
+            $orders[$column] = strtolower($direction) === 'desc' ? 'desc' : 'asc';
+        }
+
+        return $orders;
+    }
+
+    /**
+     * Narrow a query with the configured scope: the name of a local scope on
+     * the model, an invokable class or a closure receiving the query.
+     */
+    protected function applyScope(Builder $query, array $config): void
+    {
+        $scope = $config['scope'] ?? null;
+
+        if (! $scope) {
+            return;
+        }
+
+        // Strings name a local scope unless they are a class, never a global function
+        if (is_string($scope) && ! class_exists($scope)) {
+            $query->{$scope}();
+
+            return;
+        }
+
+        $scope = is_string($scope) ? app($scope) : $scope;
+        $scope($query);
+    }
+
     /**
      * Validate resource configuration.
      *
@@ -149,6 +403,18 @@ class ResourceLinkService
             );
         }
 
+        if (isset($config['search_fields']) && ! is_array($config['search_fields'])) {
+            throw new InvalidArgumentException(
+                "Search fields for '{$resourceType}' must be an array of column names"
+            );
+        }
+
+        if (isset($config['scope']) && ! is_string($config['scope']) && ! is_callable($config['scope'])) {
+            throw new InvalidArgumentException(
+                "Scope for '{$resourceType}' must be a local scope name, an invokable class or a closure"
+            );
+        }
+
         // Validate route pattern contains {slug} placeholder
         if (! str_contains($config['route_pattern'], '{slug}')) {
             throw new InvalidArgumentException(
@@ -0,0 +1,108 @@
+<?php
+
+namespace Skylark\Menus\Services;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Collection;
+use Skylark\Menus\Models\MenuItem;
+
+class ResourceSlugSyncService
+{
+    public function __construct(
+        protected ResourceLinkService $resourceService
+    ) {}
+
+    /**
+     * Store the slug of a just saved record on the menu items linking to it,
+     * if its slug field changed.
+     *
+     * @return int The number of menu items updated
+     */
+    public function syncModel(string $type, Model $model, string $slugField): int
+    {
+        if (! $model->wasChanged($slugField)) {
+            return 0;
+        }
+
+        return $this->syncResource($type, $model->getKey(), $model->{$slugField});
+    }
+
+    /**
+     * Store the given slug on every menu item linking to a record.
+     *
+     * @param  mixed  $resourceId
+     * @return int The number of menu items updated
+     */
+    public function syncResource(string $type, $resourceId, ?string $slug): int
+    {
+        if ($slug === null || $slug === '') {
+            return 0;
+        }
+
+        // A query update skips model events; the record's own save already flushes the cache
+        return MenuItem::where('resource_type', $type)
+            ->where('resource_id', $resourceId)
+            ->where(fn ($query) => $query->whereNull('resource_slug')->orWhere('resource_slug', '!=', $slug))
+            ->update(['resource_slug' => $slug]);
+    }
+
+    /**
+     * Menu items whose stored slug no longer matches their linked record.
+     *
+     * Items linking to records that no longer exist, or to resource types
+     * that are not configured, are left to the link checker.
+     *
+     * @return Collection<int, array{item_id: int, name: string, resource_type: string, resource_id: int, old_slug: ?string, new_slug: string}>
+     */
+    public function drift(?string $type = null): Collection
+    {
+        $items = MenuItem::query()
+            ->whereNotNull('resource_type')
+            ->whereNotNull('resource_id')
+            ->when($type, fn ($query) => $query->where('resource_type', $type))
+            ->orderBy('id')
+            ->get(['id', 'name', 'resource_type', 'resource_id', 'resource_slug']);
+
+        $resources = $this->resourceService->getResourcesForItems($items);
+
+        return $items
+            ->map(function (MenuItem $item) use ($resources) {
+                $current = $resources[$item->resource_type][$item->resource_id]['slug'] ?? null;
+
+                if ($current === null || $current === '' || $current === $item->resource_slug) {
+                    return null;
+                }
+
+                return [
+                    'item_id' => $item->id,
+                    'name' => $item->name,
+                    'resource_type' => $item->resource_type,
+                    'resource_id' => $item->resource_id,
+                    'old_slug' => $item->resource_slug,
+                    'new_slug' => (string) $current,
+                ];
+            })
+            ->filter()
+            ->values();
+    }
+
+    /**
+     * Fix every drifted slug, optionally for one resource type only.
+     *
+     * @return Collection The drift that was fixed, as returned by drift()
+     */
+    public function syncAll(?string $type = null): Collection
+    {
+        $drift = $this->drift($type);
+
+        foreach ($drift as $entry) {
+            MenuItem::where('id', $entry['item_id'])->update(['resource_slug' => $entry['new_slug']]);
+        }
+
+        if ($drift->isNotEmpty()) {
+            app(MenuCacheService::class)->flush();
+        }
+
+        return $drift;
+    }
+}
@@ -76,6 +76,11 @@ class ToolServiceProvider extends ServiceProvider
             $this->publishes([
                 __DIR__.'/../config/menus.php' => config_path('menus.php'),
             ], 'menus-config');
+
+            // Publish the storefront <NovaMenu> components
+            $this->publishes([
+                __DIR__.'/../resources/frontend' => resource_path('js/vendor/nova-menus'),
+            ], 'menus-components');
         }
     }
 
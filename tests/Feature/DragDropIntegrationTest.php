@@ -113,11 +113,9 @@ class DragDropIntegrationTest extends TestCase
             ],
         ]);
 
-        $response->assertStatus(400)
-            ->assertJson([
-                'success' => false,
-                'message' => "Moving item would exceed maximum depth limit of {$this->menu->max_depth}",
-            ]);
+        $response->assertStatus(422)
+            ->assertJson(['success' => false])
+            ->assertJsonValidationErrors('items');
     }
 
     /** @test - 1.7-INT-006: Drop prevention for invalid depths */
@@ -143,7 +141,7 @@ class DragDropIntegrationTest extends TestCase
             ],
         ]);
 
-        $response->assertStatus(400);
+        $response->assertStatus(422);
 
         // Verify the item wasn't moved
         $root2->refresh();
@@ -65,9 +65,9 @@ class NestedSetOperationsTest extends TestCase
             ],
         ]);
 
-        $response->assertStatus(400)
+        $response->assertStatus(422)
             ->assertJsonPath('success', false)
-            ->assertJsonPath('message', "Moving item would exceed maximum depth limit of {$this->menu->max_depth}");
+            ->assertJsonPath('errors.items.0', "Menu \"{$this->menu->name}\" allows at most {$this->menu->max_depth} levels. These items would be nested deeper: \"{$extraItem->name}\".");
     }
 
     /** @test */
@@ -1,6 +1,8 @@
 <?php
 
 use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\DB;
+use Skylark\Menus\Http\Controllers\MenuApiController;
 use Skylark\Menus\Models\MenuItem;
 
 uses(RefreshDatabase::class);
@@ -318,6 +320,58 @@ describe('Large Menu Performance Tests', function () {
         echo "Scheduled Items: {$scheduledItems->count()}/50\n";
     });
 
+    test('looks up linked resources with a bounded number of queries', function () {
+        // Menu items double as the linked records, so no extra tables are needed
+        config()->set('menus.resources.MenuLink', [
+            'model' => MenuItem::class,
+            'name_field' => 'name',
+            'slug_field' => 'slug',
+            'route_pattern' => '/links/{slug}',
+        ]);
+        config()->set('menus.cache.enabled', false);
+
+        $targetMenu = MenuItem::factory()->asMenu()->create(['name' => 'Link Targets', 'slug' => 'link-targets']);
+        $targets = collect(range(1, 50))->map(fn ($i) => MenuItem::factory()->forMenu($targetMenu)->create([
+            'name' => "Product {$i}",
+            'slug' => "product-{$i}",
+        ]));
+
+        $rootMenu = MenuItem::factory()->asMenu()->create(['name' => 'Mega Menu', 'slug' => 'mega-menu']);
+
+        for ($i = 0; $i < 200; $i++) {
+            MenuItem::factory()->forMenu($rootMenu)->withResource('MenuLink', $targets[$i % 50]->id)->create([
+                'name' => "Mega Item {$i}",
+                'is_active' => true,
+                'display_at' => null,
+                'hide_at' => null,
+            ]);
+        }
+
+        // A link to a record that no longer exists is hidden
+        MenuItem::factory()->forMenu($rootMenu)->withResource('MenuLink', 999999)->create([
+            'name' => 'Missing Product',
+            'is_active' => true,
+            'display_at' => null,
+            'hide_at' => null,
+        ]);
+
+        $queryCount = 0;
+        DB::listen(function ($query) use (&$queryCount) {
+            $queryCount++;
+        });
+
+        $response = app(MenuApiController::class)->getMenu('mega-menu');
+        $items = collect(json_decode($response->getContent(), true)['items']);
+
+        // Menu, items, schedules and one lookup per resource type, however many items link
+        expect($queryCount)->toBeLessThanOrEqual(5);
+        expect($items)->toHaveCount(200);
+        expect($items->pluck('name'))->not->toContain('Missing Product');
+        expect($items->first()['url'])->toBe('/links/product-1');
+
+        echo "\nLinked Resource Lookup (201 items, 50 records): {$queryCount} queries\n";
+    });
+
     test('can handle concurrent access to large menus', function () {
         // Create root menu with many items
         $rootMenu = MenuItem::factory()->asMenu()->create([
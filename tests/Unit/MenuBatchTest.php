@@ -0,0 +1,154 @@
+<?php
+
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\Request;
+use Skylark\Menus\Http\Controllers\MenuController;
+use Skylark\Menus\Models\MenuItem;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+    $this->controller = new MenuController;
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create([
+        'name' => 'Main Menu',
+        'slug' => 'main-menu',
+        'max_depth' => 3,
+    ]);
+
+    $this->home = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'Home', 'is_active' => true]);
+    $this->shop = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'Shop', 'is_active' => true]);
+    $this->sale = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'Sale', 'is_active' => true]);
+    $this->sale->appendToNode($this->shop)->save();
+    $this->about = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'About', 'is_active' => true]);
+
+    $this->footer = MenuItem::factory()->asMenu()->create(['name' => 'Footer', 'slug' => 'footer']);
+    $this->legal = MenuItem::factory()->forMenu($this->footer)->create(['name' => 'Legal']);
+
+    $this->batch = fn (array $data) => $this->controller->batchItems(
+        new Request(['menu_id' => $this->rootMenu->id, ...$data])
+    );
+});
+
+describe('MenuController::batchItems', function () {
+    test('hides and activates several items', function () {
+        $response = ($this->batch)(['ids' => [$this->home->id, $this->sale->id], 'action' => 'hide']);
+
+        expect($response->getStatusCode())->toBe(200);
+        expect(json_decode($response->getContent(), true)['data'])->toBe(['action' => 'hide', 'count' => 2]);
+        expect($this->home->fresh()->is_active)->toBeFalse();
+        expect($this->sale->fresh()->is_active)->toBeFalse();
+        expect($this->about->fresh()->is_active)->toBeTrue();
+
+        ($this->batch)(['ids' => [$this->home->id], 'action' => 'activate']);
+
+        expect($this->home->fresh()->is_active)->toBeTrue();
+    });
+
+    test('sets a schedule window', function () {
+        ($this->batch)([
+            'ids' => [$this->home->id, $this->about->id],
+            'action' => 'schedule',
+            'display_at' => '2024-02-01 09:00:00',
+            'hide_at' => '2024-03-01 09:00:00',
+        ]);
+
+        expect($this->home->fresh()->display_at->toDateString())->toBe('2024-02-01');
+        expect($this->about->fresh()->hide_at->toDateString())->toBe('2024-03-01');
+    });
+
+    test('rejects a schedule that ends before it starts', function () {
+        $response = ($this->batch)([
+            'ids' => [$this->home->id],
+            'action' => 'schedule',
+            'display_at' => '2024-03-01 09:00:00',
+            'hide_at' => '2024-02-01 09:00:00',
+        ]);
+
+        expect($response->getStatusCode())->toBe(422);
+    });
+
+    test('changes only the appearance fields that were sent', function () {
+        $this->home->update(['css_class' => 'highlight']);
+
+        ($this->batch)(['ids' => [$this->home->id, $this->about->id], 'action' => 'appearance', 'target' => '_blank']);
+
+        expect($this->home->fresh()->target)->toBe('_blank');
+        expect($this->home->fresh()->css_class)->toBe('highlight');
+        expect($this->about->fresh()->target)->toBe('_blank');
+    });
+
+    test('deletes the selected items with their children', function () {
+        ($this->batch)(['ids' => [$this->shop->id, $this->sale->id, $this->about->id], 'action' => 'delete']);
+
+        expect($this->rootMenu->descendants()->pluck('name')->all())->toBe(['Home']);
+        expect(MenuItem::isBroken())->toBeFalse();
+    });
+
+    test('moves the selected subtrees under a parent in tree order', function () {
+        $response = ($this->batch)([
+            'ids' => [$this->about->id, $this->shop->id],
+            'action' => 'move',
+            'parent_id' => $this->home->id,
+        ]);
+
+        expect($response->getStatusCode())->toBe(200);
+        expect($this->home->fresh()->children()->defaultOrder()->pluck('name')->all())->toBe(['Shop', 'About']);
+        expect($this->shop->fresh()->children()->pluck('name')->all())->toBe(['Sale']);
+        expect(MenuItem::isBroken())->toBeFalse();
+    });
+
+    test('rolls the whole move back when one subtree would exceed the max depth', function () {
+        $response = ($this->batch)([
+            'ids' => [$this->home->id, $this->shop->id],
+            'action' => 'move',
+            'parent_id' => $this->sale->id,
+        ]);
+
+        // Home fits under Sale, but Shop cannot be moved into its own child
+        expect($response->getStatusCode())->toBe(400);
+        expect($this->home->fresh()->parent_id)->toBe($this->rootMenu->id);
+        expect(MenuItem::isBroken())->toBeFalse();
+
+        $this->about->appendToNode($this->home)->save();
+
+        $response = ($this->batch)([
+            'ids' => [$this->home->id],
+            'action' => 'move',
+            'parent_id' => $this->sale->id,
+        ]);
+
+        $data = json_decode($response->getContent(), true);
+        expect($response->getStatusCode())->toBe(422);
+        expect($data['errors']['parent_id'][0])->toContain('"About"');
+        expect($this->home->fresh()->parent_id)->toBe($this->rootMenu->id);
+    });
+
+    test('rejects items from another menu', function () {
+        $response = ($this->batch)(['ids' => [$this->home->id, $this->legal->id], 'action' => 'hide']);
+
+        expect($response->getStatusCode())->toBe(400);
+        expect($this->home->fresh()->is_active)->toBeTrue();
+    });
+
+    test('requires a parent for a move', function () {
+        $response = ($this->batch)(['ids' => [$this->home->id], 'action' => 'move']);
+
+        expect($response->getStatusCode())->toBe(422);
+        expect(json_decode($response->getContent(), true)['errors'])->toHaveKey('parent_id');
+    });
+
+    test('rejects unknown actions', function () {
+        $response = ($this->batch)(['ids' => [$this->home->id], 'action' => 'archive']);
+
+        expect($response->getStatusCode())->toBe(422);
+    });
+
+    test('records one revision for the whole batch', function () {
+        ($this->batch)(['ids' => [$this->home->id, $this->about->id], 'action' => 'hide']);
+
+        expect($this->rootMenu->revisions()->count())->toBe(1);
+        expect($this->rootMenu->revisions()->first()->action)->toBe('batch_hide');
+    });
+});
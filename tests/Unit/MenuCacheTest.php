@@ -0,0 +1,206 @@
+<?php
+
+use Illuminate\Cache\Events\KeyWritten;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Event;
+use Illuminate\Support\Facades\Schema;
+use Skylark\Menus\Http\Controllers\MenuApiController;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\MenuCacheService;
+use Skylark\Menus\Services\ResourceLinkService;
+
+uses(RefreshDatabase::class);
+
+class CachePage extends Model
+{
+    protected $table = 'cache_pages';
+
+    public $timestamps = false;
+}
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+    config(['menus.cache.enabled' => true, 'menus.cache.store' => 'array']);
+
+    $this->controller = new MenuApiController(app(ResourceLinkService::class));
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create([
+        'name' => 'Main Menu',
+        'slug' => 'main-menu',
+    ]);
+
+    $this->home = MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/')->create([
+        'name' => 'Home',
+        'is_active' => true,
+        'display_at' => null,
+        'hide_at' => null,
+    ]);
+
+    $this->get = function (array $headers = []) {
+        $request = new Request;
+
+        foreach ($headers as $name => $value) {
+            $request->headers->set($name, $value);
+        }
+
+        $this->app->instance('request', $request);
+
+        return $this->controller->getMenu('main-menu');
+    };
+
+    // Changes the database behind the model's back, so only a fresh build can see it
+    $this->renameQuietly = fn (MenuItem $item, string $name) => DB::table('menu_items')
+        ->where('id', $item->id)
+        ->update(['name' => $name]);
+
+    $this->names = fn ($response) => collect(json_decode($response->getContent(), true)['items'])->pluck('name')->all();
+});
+
+describe('public menu API cache', function () {
+    test('serves the cached tree until an item changes', function () {
+        ($this->get)();
+        ($this->renameQuietly)($this->home, 'Start');
+
+        expect(($this->names)(($this->get)()))->toBe(['Home']);
+
+        $this->home->update(['name' => 'Welcome']);
+
+        expect(($this->names)(($this->get)()))->toBe(['Welcome']);
+    });
+
+    test('drops the cache when an item is deleted', function () {
+        $about = MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/about')->create([
+            'name' => 'About',
+            'is_active' => true,
+            'display_at' => null,
+            'hide_at' => null,
+        ]);
+
+        expect(($this->names)(($this->get)()))->toBe(['Home', 'About']);
+
+        $about->delete();
+
+        expect(($this->names)(($this->get)()))->toBe(['Home']);
+    });
+
+    test('expires at the next schedule boundary', function () {
+        MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/sale')->create([
+            'name' => 'Sale',
+            'is_active' => true,
+            'display_at' => now()->addMinutes(10),
+            'hide_at' => null,
+        ]);
+
+        expect(($this->names)(($this->get)()))->toBe(['Home']);
+
+        $this->travel(11)->minutes();
+
+        expect(($this->names)(($this->get)()))->toBe(['Home', 'Sale']);
+    });
+
+    test('drops the cache when a linked resource changes', function () {
+        MenuItem::factory()->forMenu($this->rootMenu)->withResource('Page', 5, 'about')->create();
+        $page = new class extends Model {};
+
+        ($this->get)();
+        ($this->renameQuietly)($this->home, 'Start');
+
+        $page->id = 6;
+        app(MenuCacheService::class)->flushForResource('Page', $page);
+        expect(($this->names)(($this->get)()))->toContain('Home');
+
+        $page->id = 5;
+        app(MenuCacheService::class)->flushForResource('Page', $page);
+        expect(($this->names)(($this->get)()))->toContain('Start');
+    });
+
+    test('drops the cache when a linked record is saved', function () {
+        Schema::create('cache_pages', function (Blueprint $table) {
+            $table->id();
+            $table->string('slug');
+        });
+        config()->set('menus.resources.Page', [
+            'model' => CachePage::class,
+            'name_field' => 'slug',
+            'slug_field' => 'slug',
+            'route_pattern' => '/pages/{slug}',
+        ]);
+        // Resource types are grouped by model on first use, which saving the items above already was
+        app()->forgetInstance(ResourceLinkService::class);
+
+        $page = new CachePage;
+        $page->slug = 'about';
+        $page->save();
+        MenuItem::factory()->forMenu($this->rootMenu)->withResource('Page', $page->id, 'about')->create();
+
+        ($this->get)();
+        ($this->renameQuietly)($this->home, 'Start');
+
+        $page->slug = 'about-us';
+        $page->save();
+        expect(($this->names)(($this->get)()))->toContain('Start');
+    });
+
+    test('sends ETag and Last-Modified headers', function () {
+        $response = ($this->get)();
+
+        expect($response->headers->get('ETag'))->toStartWith('W/"');
+        expect($response->headers->get('Last-Modified'))->not->toBeNull();
+    });
+
+    test('answers 304 when the client has the current version', function () {
+        $etag = ($this->get)()->headers->get('ETag');
+
+        $response = ($this->get)(['If-None-Match' => $etag]);
+        expect($response->getStatusCode())->toBe(304);
+        expect($response->getContent())->toBe('');
+
+        $this->home->update(['name' => 'Welcome']);
+
+        expect(($this->get)(['If-None-Match' => $etag])->getStatusCode())->toBe(200);
+    });
+
+    test('builds time travel requests without the cache', function () {
+        $this->actingAs(new \Illuminate\Foundation\Auth\User);
+
+        ($this->get)();
+        ($this->renameQuietly)($this->home, 'Start');
+
+        $this->app->instance('request', new Request(['at' => now()->addDay()->toISOString()]));
+
+        expect(($this->names)($this->controller->getMenu('main-menu')))->toBe(['Start']);
+    });
+});
+
+describe('MenuCacheService flushing', function () {
+    beforeEach(function () {
+        $this->flushes = 0;
+        Event::listen(KeyWritten::class, function (KeyWritten $event) {
+            if (str_ends_with($event->key, ':version')) {
+                $this->flushes++;
+            }
+        });
+    });
+
+    test('flushes once for a whole tree rebuild', function () {
+        app(MenuCacheService::class)->batch(fn () => MenuItem::rebuildSubtree($this->rootMenu, [
+            ['id' => $this->home->id, 'name' => 'Home'],
+            ['name' => 'Shop', 'children' => [['name' => 'Sale'], ['name' => 'New']]],
+        ]));
+
+        expect($this->flushes)->toBe(1);
+        expect(($this->names)(($this->get)()))->toBe(['Home', 'Shop']);
+    });
+
+    test('leaves the cache alone when caching is disabled', function () {
+        config(['menus.cache.enabled' => false]);
+
+        $this->home->update(['name' => 'Welcome']);
+
+        expect($this->flushes)->toBe(0);
+    });
+});
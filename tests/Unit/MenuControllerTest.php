@@ -263,6 +263,37 @@ describe('MenuController::items', function () {
         expect($data['data'])->toHaveCount(0);
     });
 
+    test('embeds linked resources looked up in bulk', function () {
+        // Menu items double as the linked records, so no extra tables are needed
+        config()->set('menus.resources.MenuLink', [
+            'model' => MenuItem::class,
+            'name_field' => 'name',
+            'slug_field' => 'slug',
+            'route_pattern' => '/links/{slug}',
+        ]);
+
+        $targets = MenuItem::factory()->asMenu()->create(['name' => 'Link Targets', 'slug' => 'link-targets']);
+        $sneakers = MenuItem::factory()->forMenu($targets)->create(['name' => 'Red Sneakers', 'slug' => 'red-sneakers']);
+
+        MenuItem::factory()->forMenu($this->rootMenu)->withResource('MenuLink', $sneakers->id, 'old-slug')->create(['name' => 'Sneakers']);
+        MenuItem::factory()->forMenu($this->rootMenu)->withResource('MenuLink', 999999, 'gone')->create(['name' => 'Gone']);
+        MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/about')->create(['name' => 'About']);
+
+        $data = json_decode($this->controller->items($this->rootMenu->id)->getContent(), true);
+        $items = collect($data['data'])->keyBy('name');
+
+        expect($items['Sneakers']['resource_name'])->toBe('Red Sneakers');
+        expect($items['Sneakers']['linked_resource'])->toBe([
+            'name' => 'Red Sneakers',
+            'slug' => 'red-sneakers',
+            'url' => '/links/red-sneakers',
+            'is_deleted' => false,
+            'is_missing' => false,
+        ]);
+        expect($items['Gone']['linked_resource']['is_missing'])->toBeTrue();
+        expect($items['About'])->not->toHaveKey('linked_resource');
+    });
+
     test('returns 404 for non-existent menu', function () {
         $response = $this->controller->items(99999);
 
@@ -270,6 +301,65 @@ describe('MenuController::items', function () {
     });
 });
 
+describe('MenuController::rebuild', function () {
+    test('persists appearance fields from the submitted structure', function () {
+        $item = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'Blog']);
+
+        $request = new Request([
+            'menu_structure' => [
+                [
+                    'id' => $item->id,
+                    'name' => 'Blog',
+                    'custom_url' => 'https://blog.example.com',
+                    'icon' => 'newspaper',
+                    'target' => '_blank',
+                    'css_class' => 'nav-external',
+                ],
+            ],
+        ]);
+
+        $response = $this->controller->rebuild($request, $this->rootMenu->id);
+
+        expect($response->getStatusCode())->toBe(200);
+
+        $item->refresh();
+        expect($item->icon)->toBe('newspaper');
+        expect($item->target)->toBe('_blank');
+        expect($item->css_class)->toBe('nav-external');
+    });
+
+    test('deletes missing items and recreates items without an id when asked to', function () {
+        $home = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'Home']);
+        $blog = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'Blog']);
+
+        $request = new Request([
+            'menu_structure' => [
+                ['id' => $blog->id, 'name' => 'Blog', 'children' => [['name' => 'News']]],
+            ],
+            'delete' => true,
+        ]);
+
+        $response = $this->controller->rebuild($request, $this->rootMenu->id);
+
+        expect($response->getStatusCode())->toBe(200);
+        expect(MenuItem::find($home->id))->toBeNull();
+        expect($blog->children()->pluck('name')->all())->toBe(['News']);
+        expect($response->getData(true)['data'][0]['children'][0]['name'])->toBe('News');
+    });
+
+    test('rejects an invalid target', function () {
+        $request = new Request([
+            'menu_structure' => [
+                ['name' => 'Blog', 'target' => '_parent'],
+            ],
+        ]);
+
+        $response = $this->controller->rebuild($request, $this->rootMenu->id);
+
+        expect($response->getStatusCode())->toBe(422);
+    });
+});
+
 describe('MenuController::storeItem', function () {
     test('creates new menu item with valid data', function () {
         $request = new Request([
@@ -380,6 +470,8 @@ describe('MenuController::resourceTypes', function () {
         // Mock ResourceLinkService
         $mockService = $this->mock(ResourceLinkService::class);
         $mockService->shouldReceive('getResourceTypes')->andReturn(['Product', 'Category']);
+        $mockService->shouldReceive('getResourceLabel')->andReturnUsing(fn ($type) => $type);
+        $mockService->shouldReceive('getInvalidResourceTypes')->andReturn([]);
         $this->app->instance(ResourceLinkService::class, $mockService);
 
         $response = $this->controller->resourceTypes();
@@ -407,7 +499,7 @@ describe('MenuController::searchResources', function () {
     test('returns search results from resource service', function () {
         $mockService = $this->mock(ResourceLinkService::class);
         $mockService->shouldReceive('searchResources')
-            ->with('Product', 'test', 50)
+            ->with('Product', 'test', 51, 0) // One extra row to detect a next page
             ->andReturn(collect([
                 ['id' => 1, 'name' => 'Test Product', 'slug' => 'test-product'],
             ]));
@@ -424,6 +516,35 @@ describe('MenuController::searchResources', function () {
         expect($data['data'][0]['name'])->toBe('Test Product');
     });
 
+    test('pages through results by offset', function () {
+        $mockService = $this->mock(ResourceLinkService::class);
+        $mockService->shouldReceive('searchResources')
+            ->with('Product', '', 3, 4)
+            ->andReturn(collect([
+                ['id' => 5, 'name' => 'Product 5', 'slug' => 'product-5'],
+                ['id' => 6, 'name' => 'Product 6', 'slug' => 'product-6'],
+                ['id' => 7, 'name' => 'Product 7', 'slug' => 'product-7'],
+            ]));
+        $this->app->instance(ResourceLinkService::class, $mockService);
+
+        $response = $this->controller->searchResources(new Request(['limit' => 2, 'offset' => 4]), 'Product');
+        $data = json_decode($response->getContent(), true);
+
+        expect(collect($data['data'])->pluck('id')->all())->toBe([5, 6]);
+        expect($data['meta'])->toBe(['offset' => 4, 'limit' => 2, 'next_offset' => 6]);
+    });
+
+    test('reports the last page', function () {
+        $mockService = $this->mock(ResourceLinkService::class);
+        $mockService->shouldReceive('searchResources')
+            ->andReturn(collect([['id' => 1, 'name' => 'Product 1', 'slug' => 'product-1']]));
+        $this->app->instance(ResourceLinkService::class, $mockService);
+
+        $response = $this->controller->searchResources(new Request(['limit' => 2]), 'Product');
+
+        expect(json_decode($response->getContent(), true)['meta']['next_offset'])->toBeNull();
+    });
+
     test('handles validation errors', function () {
         $request = new Request(['limit' => 999]); // Exceeds max limit
 
@@ -0,0 +1,203 @@
+<?php
+
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Config;
+use Illuminate\Validation\ValidationException;
+use Skylark\Menus\Http\Controllers\MenuController;
+use Skylark\Menus\Models\MenuDraft;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\MenuCopyService;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+    $this->controller = new MenuController;
+    $this->copier = app(MenuCopyService::class);
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create([
+        'name' => 'Main Menu',
+        'slug' => 'main-menu',
+        'max_depth' => 3,
+    ]);
+
+    $this->shop = MenuItem::factory()->forMenu($this->rootMenu)->create([
+        'name' => 'Shop',
+        'custom_url' => '/shop',
+        'resource_type' => null,
+        'resource_id' => null,
+        'resource_slug' => null,
+        'icon' => 'shopping-bag',
+    ]);
+
+    $this->sale = MenuItem::factory()->forMenu($this->rootMenu)->create([
+        'name' => 'Sale',
+        'custom_url' => '/sale',
+        'resource_type' => null,
+        'resource_id' => null,
+        'resource_slug' => null,
+    ]);
+    $this->sale->appendToNode($this->shop)->save();
+
+    $this->footer = MenuItem::factory()->asMenu()->create([
+        'name' => 'Footer',
+        'slug' => 'footer',
+        'max_depth' => 2,
+    ]);
+
+    $this->legal = MenuItem::factory()->forMenu($this->footer)->create([
+        'name' => 'Legal',
+        'custom_url' => '/legal',
+        'resource_type' => null,
+        'resource_id' => null,
+        'resource_slug' => null,
+    ]);
+});
+
+describe('MenuCopyService::duplicate', function () {
+    test('deep-copies the menu under a new name and slug', function () {
+        $copy = $this->copier->duplicate($this->rootMenu, ['name' => 'Main Menu (Copy)', 'slug' => 'main-menu-copy']);
+
+        expect($copy->is_root)->toBeTrue();
+        expect($copy->max_depth)->toBe(3);
+
+        $shop = $copy->descendants()->where('name', 'Shop')->first();
+        expect($shop->id)->not->toBe($this->shop->id);
+        expect($shop->icon)->toBe('shopping-bag');
+        expect($shop->children()->pluck('name')->all())->toBe(['Sale']);
+
+        // The source menu is untouched
+        expect($this->rootMenu->descendants()->count())->toBe(2);
+        expect(MenuItem::isBroken())->toBeFalse();
+    });
+
+    test('records a duplicate revision for the new menu', function () {
+        $copy = $this->copier->duplicate($this->rootMenu, ['name' => 'Copy', 'slug' => 'copy']);
+
+        expect($copy->revisions()->first()->action)->toBe('duplicate');
+    });
+});
+
+describe('MenuCopyService::copySubtree', function () {
+    beforeEach(function () {
+        Config::set('menus.drafts.enabled', false);
+    });
+
+    test('clones the subtree under a parent in another menu', function () {
+        $result = $this->copier->copySubtree($this->shop, $this->footer);
+
+        expect($result['drafted'])->toBeFalse();
+        expect($result['menu_id'])->toBe($this->footer->id);
+
+        $copy = $this->footer->descendants()->where('name', 'Shop')->first();
+        expect($copy->parent_id)->toBe($this->footer->id);
+        expect($copy->children()->pluck('name')->all())->toBe(['Sale']);
+
+        // Both menus keep consistent nested set bounds
+        expect(MenuItem::isBroken())->toBeFalse();
+        expect($this->rootMenu->descendants()->count())->toBe(2);
+        expect($this->footer->fresh()->descendants()->count())->toBe(3);
+    });
+
+    test('rejects a copy that would exceed the target max depth', function () {
+        $this->copier->copySubtree($this->shop, $this->legal);
+    })->throws(ValidationException::class, 'These items would be nested deeper: "Sale".');
+
+    test('rejects copying a whole menu', function () {
+        $this->copier->copySubtree($this->rootMenu, $this->footer);
+    })->throws(InvalidArgumentException::class);
+
+    test('records a copy_item revision on the target menu', function () {
+        $this->copier->copySubtree($this->sale, $this->legal);
+
+        expect($this->footer->revisions()->first()->action)->toBe('copy_item');
+    });
+});
+
+describe('MenuCopyService::copySubtree with drafts', function () {
+    beforeEach(function () {
+        Config::set('menus.drafts.enabled', true);
+    });
+
+    test('adds the copy to the target menu draft instead of the live tree', function () {
+        $result = $this->copier->copySubtree($this->sale, $this->legal);
+
+        expect($result['drafted'])->toBeTrue();
+        expect($this->legal->children()->count())->toBe(0);
+
+        $draft = MenuDraft::where('menu_id', $this->footer->id)->first();
+        $copy = $draft->structure[0]['children'][0];
+        expect($copy['name'])->toBe('Sale');
+        expect($copy)->not->toHaveKey('id');
+        expect($copy['draft_key'])->toStartWith('draft-');
+    });
+
+    test('publishing the draft creates the copied items', function () {
+        $this->copier->copySubtree($this->shop, $this->footer);
+
+        $this->controller->publishDraft($this->footer->id);
+
+        $copy = $this->footer->descendants()->where('name', 'Shop')->first();
+        expect($copy->children()->pluck('name')->all())->toBe(['Sale']);
+        expect($this->legal->fresh())->not->toBeNull();
+    });
+
+    test('appends to an existing draft', function () {
+        MenuDraft::create([
+            'menu_id' => $this->footer->id,
+            'structure' => [['id' => $this->legal->id, 'name' => 'Terms', 'children' => []]],
+        ]);
+
+        $this->copier->copySubtree($this->sale, $this->footer);
+
+        $structure = MenuDraft::where('menu_id', $this->footer->id)->first()->structure;
+        expect(array_column($structure, 'name'))->toBe(['Terms', 'Sale']);
+    });
+});
+
+describe('MenuController duplicate and copy', function () {
+    test('duplicate returns 201 and generates a slug', function () {
+        $response = $this->controller->duplicate(new Request(['name' => 'Main Menu Backup']), $this->rootMenu->id);
+
+        expect($response->getStatusCode())->toBe(201);
+        expect(MenuItem::forMenu('main-menu-backup')->count())->toBe(2);
+    });
+
+    test('duplicate rejects a taken slug', function () {
+        $response = $this->controller->duplicate(
+            new Request(['name' => 'Another Footer', 'slug' => 'footer']),
+            $this->rootMenu->id
+        );
+
+        expect($response->getStatusCode())->toBe(422);
+    });
+
+    test('duplicate returns 404 for non-existent menu', function () {
+        $response = $this->controller->duplicate(new Request(['name' => 'Copy']), 99999);
+
+        expect($response->getStatusCode())->toBe(404);
+    });
+
+    test('copyItem returns 422 naming the items that exceed the depth limit', function () {
+        Config::set('menus.drafts.enabled', false);
+
+        $response = $this->controller->copyItem(new Request(['parent_id' => $this->legal->id]), $this->shop->id);
+
+        expect($response->getStatusCode())->toBe(422);
+        expect(json_decode($response->getContent(), true)['errors']['parent_id'][0])
+            ->toContain('allows at most 2 levels')
+            ->toContain('"Sale"');
+    });
+
+    test('copyItem returns 201 with the copied item', function () {
+        Config::set('menus.drafts.enabled', false);
+
+        $response = $this->controller->copyItem(new Request(['parent_id' => $this->footer->id]), $this->shop->id);
+
+        $data = json_decode($response->getContent(), true);
+        expect($response->getStatusCode())->toBe(201);
+        expect($data['data']['item']['name'])->toBe('Shop');
+        expect($data['data']['menu_id'])->toBe($this->footer->id);
+    });
+});
@@ -0,0 +1,129 @@
+<?php
+
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\Request;
+use Skylark\Menus\Http\Controllers\MenuController;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\MenuDepthService;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+    $this->controller = new MenuController;
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create([
+        'name' => 'Main Menu',
+        'slug' => 'main-menu',
+        'max_depth' => 2,
+    ]);
+
+    $this->shop = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'Shop']);
+    $this->sale = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'Sale']);
+    $this->sale->appendToNode($this->shop)->save();
+    $this->about = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'About']);
+});
+
+describe('MenuDepthService::itemsTooDeep', function () {
+    test('names every item below the max depth', function () {
+        $structure = [
+            ['name' => 'Shop', 'children' => [
+                ['name' => 'Sale', 'children' => [
+                    ['name' => 'Shoes', 'children' => [['name' => 'Boots']]],
+                ]],
+            ]],
+            ['name' => 'About'],
+        ];
+
+        expect(app(MenuDepthService::class)->itemsTooDeep($structure, 2))->toBe(['Shoes', 'Boots']);
+        expect(app(MenuDepthService::class)->itemsTooDeep($structure, 4))->toBe([]);
+    });
+});
+
+describe('MenuController depth limits', function () {
+    test('rebuild rejects a tree deeper than the max depth and names the items', function () {
+        $response = $this->controller->rebuild(new Request([
+            'menu_structure' => [
+                ['id' => $this->shop->id, 'name' => 'Shop', 'children' => [
+                    ['id' => $this->sale->id, 'name' => 'Sale', 'children' => [
+                        ['id' => $this->about->id, 'name' => 'About'],
+                    ]],
+                ]],
+            ],
+        ]), $this->rootMenu->id);
+
+        $data = json_decode($response->getContent(), true);
+        expect($response->getStatusCode())->toBe(422);
+        expect($data['errors']['menu_structure'][0])->toContain('at most 2 levels');
+        expect($data['errors']['menu_structure'][0])->toContain('"About"');
+
+        // The live tree is untouched
+        expect($this->about->fresh()->parent_id)->toBe($this->rootMenu->id);
+    });
+
+    test('rebuild accepts a tree within the max depth', function () {
+        $response = $this->controller->rebuild(new Request([
+            'menu_structure' => [
+                ['id' => $this->shop->id, 'name' => 'Shop', 'children' => [
+                    ['id' => $this->sale->id, 'name' => 'Sale'],
+                    ['id' => $this->about->id, 'name' => 'About'],
+                ]],
+            ],
+        ]), $this->rootMenu->id);
+
+        expect($response->getStatusCode())->toBe(200);
+    });
+
+    test('saveDraft rejects a tree deeper than the max depth', function () {
+        $response = $this->controller->saveDraft(new Request([
+            'menu_structure' => [
+                ['id' => $this->shop->id, 'name' => 'Shop', 'children' => [
+                    ['id' => $this->sale->id, 'name' => 'Sale', 'children' => [
+                        ['name' => 'Clearance'],
+                    ]],
+                ]],
+            ],
+        ]), $this->rootMenu->id);
+
+        expect($response->getStatusCode())->toBe(422);
+        expect(json_decode($response->getContent(), true)['errors']['menu_structure'][0])->toContain('"Clearance"');
+    });
+
+    test('reorder rejects moving a subtree past the max depth and rolls back', function () {
+        $response = $this->controller->reorder(new Request([
+            'items' => [
+                ['id' => $this->shop->id, 'parent_id' => $this->about->id, 'position' => 0],
+            ],
+        ]), $this->rootMenu->id);
+
+        $data = json_decode($response->getContent(), true);
+        expect($response->getStatusCode())->toBe(422);
+        expect($data['errors']['items'][0])->toContain('"Sale"');
+        expect($this->shop->fresh()->parent_id)->toBe($this->rootMenu->id);
+    });
+
+    test('storeItem rejects a child of an item on the last level', function () {
+        $response = $this->controller->storeItem(new Request([
+            'menu_id' => $this->rootMenu->id,
+            'parent_id' => $this->sale->id,
+            'name' => 'Clearance',
+            'custom_url' => '/clearance',
+        ]));
+
+        $data = json_decode($response->getContent(), true);
+        expect($response->getStatusCode())->toBe(422);
+        expect($data['errors']['parent_id'][0])->toContain('"Clearance"');
+        expect($this->sale->fresh()->children()->count())->toBe(0);
+    });
+
+    test('storeItem accepts a child on the last level', function () {
+        $response = $this->controller->storeItem(new Request([
+            'menu_id' => $this->rootMenu->id,
+            'parent_id' => $this->about->id,
+            'name' => 'Team',
+            'custom_url' => '/team',
+        ]));
+
+        expect($response->getStatusCode())->toBe(201);
+    });
+});
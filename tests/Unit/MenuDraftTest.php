@@ -0,0 +1,216 @@
+<?php
+
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\Request;
+use Skylark\Menus\Http\Controllers\MenuApiController;
+use Skylark\Menus\Http\Controllers\MenuController;
+use Skylark\Menus\Models\MenuDraft;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\ResourceLinkService;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+    $this->controller = new MenuController;
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create([
+        'name' => 'Main Menu',
+        'slug' => 'main-menu',
+        'max_depth' => 5,
+    ]);
+
+    $this->home = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'Home', 'custom_url' => '/']);
+    $this->shop = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'Shop', 'custom_url' => '/shop']);
+});
+
+describe('MenuController::saveDraft', function () {
+    test('stores the draft without touching the live tree', function () {
+        $request = new Request([
+            'menu_structure' => [
+                ['id' => $this->shop->id, 'name' => 'Store', 'custom_url' => '/shop'],
+                ['draft_key' => 'draft-1', 'name' => 'Blog', 'custom_url' => '/blog'],
+            ],
+        ]);
+
+        $response = $this->controller->saveDraft($request, $this->rootMenu->id);
+
+        expect($response->getStatusCode())->toBe(200);
+
+        $draft = MenuDraft::where('menu_id', $this->rootMenu->id)->first();
+        expect($draft->structure)->toHaveCount(2);
+        expect($draft->structure[1]['children'])->toBe([]);
+
+        // Live tree is unchanged
+        expect($this->shop->fresh()->name)->toBe('Shop');
+        expect(MenuItem::where('name', 'Blog')->exists())->toBeFalse();
+    });
+
+    test('allows a draft that removes every item', function () {
+        $response = $this->controller->saveDraft(new Request(['menu_structure' => []]), $this->rootMenu->id);
+
+        expect($response->getStatusCode())->toBe(200);
+    });
+
+    test('returns 404 for non-existent menu', function () {
+        $response = $this->controller->saveDraft(new Request(['menu_structure' => []]), 99999);
+
+        expect($response->getStatusCode())->toBe(404);
+    });
+});
+
+describe('MenuController::draft', function () {
+    test('returns the live tree when there is no draft', function () {
+        $response = $this->controller->draft($this->rootMenu->id);
+
+        $data = json_decode($response->getContent(), true);
+        expect($data['data']['has_draft'])->toBeFalse();
+        expect($data['data']['items'])->toHaveCount(2);
+        expect($data['data']['live'])->toHaveCount(2);
+    });
+
+    test('returns the draft alongside the live tree', function () {
+        MenuDraft::create([
+            'menu_id' => $this->rootMenu->id,
+            'structure' => [['id' => $this->home->id, 'name' => 'Home', 'children' => []]],
+        ]);
+
+        $response = $this->controller->draft($this->rootMenu->id);
+
+        $data = json_decode($response->getContent(), true);
+        expect($data['data']['has_draft'])->toBeTrue();
+        expect($data['data']['items'])->toHaveCount(1);
+        expect($data['data']['live'])->toHaveCount(2);
+    });
+
+    test('resolves the resources linked from draft items', function () {
+        config()->set('menus.resources.MenuLink', [
+            'model' => MenuItem::class,
+            'name_field' => 'name',
+            'slug_field' => 'slug',
+            'route_pattern' => '/links/{slug}',
+        ]);
+        $this->shop->update(['slug' => 'shop']);
+
+        MenuDraft::create([
+            'menu_id' => $this->rootMenu->id,
+            'structure' => [[
+                'draft_key' => 'draft-1',
+                'name' => 'Shop Link',
+                'resource_type' => 'MenuLink',
+                'resource_id' => $this->shop->id,
+                'children' => [
+                    ['draft_key' => 'draft-2', 'name' => 'Gone', 'resource_type' => 'MenuLink', 'resource_id' => 999999, 'children' => []],
+                ],
+            ]],
+        ]);
+
+        $data = json_decode($this->controller->draft($this->rootMenu->id)->getContent(), true);
+        $item = $data['data']['items'][0];
+
+        expect($item['resource_name'])->toBe('Shop');
+        expect($item['linked_resource']['url'])->toBe('/links/shop');
+        expect($item['children'][0]['linked_resource']['is_missing'])->toBeTrue();
+    });
+});
+
+describe('MenuController::publishDraft', function () {
+    test('swaps the draft into the live tree and removes the draft', function () {
+        MenuDraft::create([
+            'menu_id' => $this->rootMenu->id,
+            'structure' => [
+                [
+                    'id' => $this->shop->id,
+                    'name' => 'Store',
+                    'custom_url' => '/shop',
+                    'children' => [
+                        ['draft_key' => 'draft-1', 'name' => 'Sale', 'custom_url' => '/sale', 'children' => []],
+                    ],
+                ],
+            ],
+        ]);
+
+        $response = $this->controller->publishDraft($this->rootMenu->id);
+
+        expect($response->getStatusCode())->toBe(200);
+
+        expect(MenuDraft::count())->toBe(0);
+        expect(MenuItem::find($this->home->id))->toBeNull();
+        expect($this->shop->fresh()->name)->toBe('Store');
+
+        $sale = MenuItem::where('name', 'Sale')->first();
+        expect($sale->parent_id)->toBe($this->shop->id);
+    });
+
+    test('public API serves the published tree', function () {
+        MenuDraft::create([
+            'menu_id' => $this->rootMenu->id,
+            'structure' => [['id' => $this->home->id, 'name' => 'Start', 'custom_url' => '/', 'children' => []]],
+        ]);
+
+        $api = new MenuApiController(app(ResourceLinkService::class));
+
+        $before = json_decode($api->getMenu('main-menu')->getContent(), true);
+        expect(collect($before['items'])->pluck('name')->all())->toBe(['Home', 'Shop']);
+
+        $this->controller->publishDraft($this->rootMenu->id);
+
+        $after = json_decode($api->getMenu('main-menu')->getContent(), true);
+        expect(collect($after['items'])->pluck('name')->all())->toBe(['Start']);
+    });
+
+    test('rejects the draft when an item was deleted after the draft was created', function () {
+        $this->controller->saveDraft(new Request([
+            'menu_structure' => [
+                ['id' => $this->home->id, 'name' => 'Start', 'custom_url' => '/'],
+                ['id' => $this->shop->id, 'name' => 'Shop', 'custom_url' => '/shop'],
+            ],
+        ]), $this->rootMenu->id);
+
+        $this->home->delete();
+
+        $response = $this->controller->publishDraft($this->rootMenu->id);
+
+        expect($response->getStatusCode())->toBe(409);
+        expect($response->getData(true)['message'])->toContain('changed since this draft was started');
+        expect(MenuDraft::count())->toBe(1);
+        expect(MenuItem::where('name', 'Start')->exists())->toBeFalse();
+    });
+
+    test('rejects the draft when live items changed after the draft was created', function () {
+        MenuDraft::create([
+            'menu_id' => $this->rootMenu->id,
+            'structure' => [['id' => $this->home->id, 'name' => 'Home', 'custom_url' => '/', 'children' => []]],
+        ]);
+
+        // Saving the draft again keeps the live tree it started from
+        $this->controller->saveDraft(new Request([
+            'menu_structure' => [['id' => $this->home->id, 'name' => 'Start', 'custom_url' => '/']],
+        ]), $this->rootMenu->id);
+        $this->shop->update(['name' => 'Store']);
+
+        expect($this->controller->publishDraft($this->rootMenu->id)->getStatusCode())->toBe(409);
+        expect($this->shop->fresh()->name)->toBe('Store');
+    });
+
+    test('returns 404 when there is no draft', function () {
+        $response = $this->controller->publishDraft($this->rootMenu->id);
+
+        expect($response->getStatusCode())->toBe(404);
+    });
+});
+
+describe('MenuController::discardDraft', function () {
+    test('deletes the draft and keeps the live tree', function () {
+        MenuDraft::create([
+            'menu_id' => $this->rootMenu->id,
+            'structure' => [],
+        ]);
+
+        $response = $this->controller->discardDraft($this->rootMenu->id);
+
+        expect($response->getStatusCode())->toBe(200);
+        expect(MenuDraft::count())->toBe(0);
+        expect(MenuItem::find($this->home->id))->not->toBeNull();
+    });
+});
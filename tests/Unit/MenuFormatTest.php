@@ -0,0 +1,150 @@
+<?php
+
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\Exceptions\HttpResponseException;
+use Illuminate\Http\Request;
+use Skylark\Menus\Http\Controllers\MenuApiController;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\ResourceLinkService;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+    config()->set('app.url', 'https://shop.test');
+    $this->controller = new MenuApiController(app(ResourceLinkService::class));
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create(['name' => 'Main Menu', 'slug' => 'main-menu']);
+
+    $create = fn (string $name, string $url, array $attributes = []) => MenuItem::factory()
+        ->forMenu($this->rootMenu)
+        ->withCustomUrl($url)
+        ->create(['name' => $name, 'is_active' => true, 'display_at' => null, 'hide_at' => null] + $attributes);
+
+    $this->home = $create('Home', '/', ['css_class' => 'nav-home']);
+    $this->shop = $create('Shop & Sale', '/shop');
+    $this->sale = $create('Sale', '/shop/sale');
+    $this->sale->appendToNode($this->shop)->save();
+    $this->blog = $create('Blog', 'https://blog.example.com', ['target' => '_blank']);
+
+    $this->request = function (array $query = [], array $headers = []) {
+        $request = new Request($query);
+        $request->headers->add($headers);
+        $this->app->instance('request', $request);
+
+        return $request;
+    };
+});
+
+describe('?format on the menu endpoints', function () {
+    test('lists items flat with their place in the tree', function () {
+        ($this->request)(['format' => 'flat']);
+        $data = json_decode($this->controller->getMenu('main-menu')->getContent(), true);
+
+        expect(collect($data['items'])->pluck('name')->all())->toBe(['Home', 'Shop & Sale', 'Sale', 'Blog']);
+        expect($data['items'][2])->toMatchArray(['parent_id' => $this->shop->id, 'depth' => 2, 'position' => 0]);
+        expect($data['items'][3])->toMatchArray(['parent_id' => null, 'depth' => 1, 'position' => 2]);
+        expect($data['items'][3])->not->toHaveKey('children');
+    });
+
+    test('renders accessible, escaped HTML', function () {
+        ($this->request)(['format' => 'html']);
+        $response = $this->controller->getMenu('main-menu');
+        $html = $response->getContent();
+
+        expect($response->headers->get('Content-Type'))->toStartWith('text/html');
+        expect($html)->toStartWith('<nav class="nova-menu nova-menu-main-menu" aria-label="Main Menu"><ul class="nova-menu-list">');
+        expect($html)->toContain('<li class="nova-menu-item nav-home"><a class="nova-menu-link" href="/" target="_self">Home</a></li>');
+        expect($html)->toContain('<li class="nova-menu-item has-children"><a class="nova-menu-link" href="/shop" target="_self">Shop &amp; Sale</a><ul class="nova-menu-submenu">');
+        expect($html)->toContain('href="https://blog.example.com" target="_blank" rel="noopener noreferrer"');
+    });
+
+    test('links unsafe URLs to # instead', function () {
+        foreach (['Script' => 'javascript:alert(1)', 'Tabbed' => "java\tscript:alert(1)", 'Data' => 'data:text/html,hi'] as $name => $url) {
+            MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl($url)
+                ->create(['name' => $name, 'is_active' => true, 'display_at' => null, 'hide_at' => null]);
+        }
+        MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('mailto:shop@example.com')
+            ->create(['name' => 'Mail', 'is_active' => true, 'display_at' => null, 'hide_at' => null]);
+
+        ($this->request)(['format' => 'html']);
+        $html = $this->controller->getMenu('main-menu')->getContent();
+
+        expect($html)->not->toContain('script:');
+        expect($html)->not->toContain('data:');
+        expect($html)->toContain('href="#" target="_self">Script</a>');
+        expect($html)->toContain('href="#" target="_self">Tabbed</a>');
+        expect($html)->toContain('href="mailto:shop@example.com" target="_self">Mail</a>');
+
+        ($this->request)(['format' => 'jsonld']);
+        $data = json_decode($this->controller->getMenu('main-menu')->getContent(), true);
+
+        expect(collect($data['itemListElement'])->pluck('name')->all())->toBe(['Home', 'Shop & Sale', 'Sale', 'Blog', 'Mail']);
+    });
+
+    test('describes the menu as JSON-LD', function () {
+        ($this->request)(['format' => 'jsonld']);
+        $response = $this->controller->getMenu('main-menu');
+        $data = json_decode($response->getContent(), true);
+
+        expect($response->headers->get('Content-Type'))->toBe('application/ld+json');
+        expect($data)->toMatchArray(['@context' => 'https://schema.org', '@type' => 'ItemList', 'name' => 'Main Menu']);
+        expect($data['itemListElement'][2])->toBe([
+            '@type' => 'SiteNavigationElement',
+            'position' => 3,
+            'name' => 'Sale',
+            'url' => 'https://shop.test/shop/sale',
+        ]);
+        expect($data['itemListElement'][3]['url'])->toBe('https://blog.example.com');
+    });
+
+    test('negotiates JSON-LD and HTML from the Accept header', function () {
+        ($this->request)([], ['Accept' => 'application/ld+json']);
+        expect($this->controller->getMenu('main-menu')->headers->get('Content-Type'))->toBe('application/ld+json');
+
+        ($this->request)([], ['Accept' => 'text/html']);
+        expect($this->controller->getMenu('main-menu')->headers->get('Content-Type'))->toStartWith('text/html');
+
+        // Browsers also accept */*
+        ($this->request)([], ['Accept' => 'text/html,application/xhtml+xml,*/*;q=0.8']);
+        $response = $this->controller->getMenu('main-menu');
+        expect($response->headers->get('Content-Type'))->toBe('application/json');
+        expect($response->headers->get('Vary'))->toBe('Accept');
+    });
+
+    test('formats every requested menu', function () {
+        MenuItem::factory()->asMenu()->create(['name' => 'Footer', 'slug' => 'footer']);
+
+        $response = $this->controller->getMenus(($this->request)(['menus' => 'main-menu,footer,nope', 'format' => 'jsonld']));
+        $data = json_decode($response->getContent(), true);
+
+        expect(collect($data['@graph'])->pluck('name')->all())->toBe(['Main Menu', 'Footer']);
+        expect($data['@graph'][0])->not->toHaveKey('@context');
+
+        $response = $this->controller->getMenus(($this->request)(['menus' => 'main-menu,footer', 'format' => 'html']));
+        expect(substr_count($response->getContent(), '<nav '))->toBe(2);
+
+        $response = $this->controller->getMenus(($this->request)(['menus' => 'main-menu', 'format' => 'flat', 'depth' => 1]));
+        $data = json_decode($response->getContent(), true);
+        expect(collect($data['menus']['main-menu']['items'])->pluck('name')->all())->toBe(['Home', 'Shop & Sale', 'Blog']);
+    });
+
+    test('varies the ETag and keeps the default one', function () {
+        ($this->request)();
+        $default = $this->controller->getMenu('main-menu')->headers->get('ETag');
+        ($this->request)(['format' => 'json']);
+        $json = $this->controller->getMenu('main-menu')->headers->get('ETag');
+        ($this->request)(['format' => 'html']);
+        $html = $this->controller->getMenu('main-menu')->headers->get('ETag');
+
+        expect($json)->toBe($default);
+        expect($html)->not->toBe($default);
+    });
+
+    test('rejects unknown formats', function () {
+        ($this->request)(['format' => 'xml']);
+
+        expect(fn () => $this->controller->getMenu('main-menu'))
+            ->toThrow(HttpResponseException::class);
+    });
+});
@@ -0,0 +1,113 @@
+<?php
+
+use GraphQL\Executor\Executor;
+use GraphQL\GraphQL;
+use GraphQL\Type\Definition\ResolveInfo;
+use GraphQL\Utils\BuildSchema;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Skylark\Menus\GraphQL\MenuQueries;
+use Skylark\Menus\Models\MenuItem;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    if (! class_exists(GraphQL::class)) {
+        $this->markTestSkipped('webonyx/graphql-php is not installed');
+    }
+
+    $this->artisan('migrate', ['--force' => true]);
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create(['name' => 'Main Menu', 'slug' => 'main-menu', 'max_depth' => 2]);
+
+    $create = fn (string $name, string $url, array $attributes = []) => MenuItem::factory()
+        ->forMenu($this->rootMenu)
+        ->withCustomUrl($url)
+        ->create(['name' => $name, 'is_active' => true, 'display_at' => null, 'hide_at' => null] + $attributes);
+
+    $this->home = $create('Home', '/', ['css_class' => 'nav-home', 'icon' => 'home']);
+    $this->shop = $create('Shop', '/shop');
+    $this->sale = $create('Sale', '/shop/sale');
+    $this->sale->appendToNode($this->shop)->save();
+    $this->archive = $create('Archive', '/archive', ['is_active' => false]);
+    $this->old = $create('Old', '/archive/old');
+    $this->old->appendToNode($this->archive)->save();
+
+    // The package schema on its own, resolving the queries like Lighthouse's @field would
+    $schema = BuildSchema::build(
+        str_replace('extend type Query', 'type Query', file_get_contents(__DIR__.'/../../src/GraphQL/schema.graphql')),
+        null,
+        ['assumeValidSDL' => true]
+    );
+
+    $this->query = fn (string $query) => GraphQL::executeQuery(
+        $schema,
+        $query,
+        fieldResolver: fn ($root, array $args, $context, ResolveInfo $info) => $info->parentType->name === 'Query'
+            ? app(MenuQueries::class)->{$info->fieldName}($root, $args, $context, $info)
+            : Executor::defaultFieldResolver($root, $args, $context, $info)
+    )->toArray();
+});
+
+describe('menu(slug)', function () {
+    test('returns the public items nested', function () {
+        $result = ($this->query)('{ menu(slug: "main-menu") { slug name maxDepth items { id name url target cssClass icon children { name url } } } }');
+
+        expect($result)->not->toHaveKey('errors');
+        expect($result['data']['menu'])->toMatchArray(['slug' => 'main-menu', 'name' => 'Main Menu', 'maxDepth' => 2]);
+        expect($result['data']['menu']['items'])->toHaveCount(2);
+        expect($result['data']['menu']['items'][0])->toBe([
+            'id' => (string) $this->home->id,
+            'name' => 'Home',
+            'url' => '/',
+            'target' => '_self',
+            'cssClass' => 'nav-home',
+            'icon' => 'home',
+            'children' => [],
+        ]);
+        expect($result['data']['menu']['items'][1]['children'])->toBe([['name' => 'Sale', 'url' => '/shop/sale']]);
+    });
+
+    test('returns null for unknown menus', function () {
+        expect(($this->query)('{ menu(slug: "nope") { name } }')['data']['menu'])->toBeNull();
+    });
+
+    test('rejects queries deeper than the menu', function () {
+        $result = ($this->query)('{ menu(slug: "main-menu") { items { children { children { name } } } } }');
+
+        expect($result['errors'][0]['message'])->toBe('The query selects 3 levels of menu items, but the menu has at most 2');
+        expect($result['data']['menu'])->toBeNull();
+    });
+
+    test('counts levels selected through fragments', function () {
+        $result = ($this->query)('
+            { menu(slug: "main-menu") { items { ...Item children { ...Item children { name } } } } }
+            fragment Item on MenuItem { name }
+        ');
+        expect($result['errors'][0]['message'])->toContain('3 levels');
+
+        $result = ($this->query)('
+            { menu(slug: "main-menu") { ...Levels } }
+            fragment Levels on Menu { items { ... on MenuItem { children { name } } } }
+        ');
+        expect($result)->not->toHaveKey('errors');
+    });
+});
+
+describe('menus(slugs)', function () {
+    test('returns the menus found in the order of their slugs', function () {
+        MenuItem::factory()->asMenu()->create(['name' => 'Footer', 'slug' => 'footer', 'max_depth' => 3]);
+
+        $result = ($this->query)('{ menus(slugs: ["footer", "nope", "main-menu"]) { slug items { name } } }');
+
+        expect(collect($result['data']['menus'])->pluck('slug')->all())->toBe(['footer', 'main-menu']);
+        expect(collect($result['data']['menus'][1]['items'])->pluck('name')->all())->toBe(['Home', 'Shop']);
+    });
+
+    test('allows the depth of the deepest menu requested', function () {
+        MenuItem::factory()->asMenu()->create(['name' => 'Footer', 'slug' => 'footer', 'max_depth' => 3]);
+        $query = '{ menus(slugs: [%s]) { items { children { children { name } } } } }';
+
+        expect(($this->query)(sprintf($query, '"main-menu", "footer"')))->not->toHaveKey('errors');
+        expect(($this->query)(sprintf($query, '"main-menu"')))->toHaveKey('errors');
+    });
+});
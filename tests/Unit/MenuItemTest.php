@@ -421,6 +421,38 @@ test('hasValidResource returns false when service throws exception', function ()
     expect($item->hasValidResource())->toBeFalse();
 });
 
+test('loadResources looks up every linked resource in one call', function () {
+    $mockService = \Mockery::mock(\Skylark\Menus\Services\ResourceLinkService::class);
+    $mockService->shouldReceive('getResourcesForItems')
+        ->once()
+        ->andReturn(['App\\Models\\Page' => [
+            123 => ['id' => 123, 'slug' => 'renamed-page', 'is_deleted' => false],
+            124 => ['id' => 124, 'slug' => 'old-page', 'is_deleted' => true],
+        ]]);
+    $mockService->shouldReceive('getResource')->never();
+    $mockService->shouldReceive('generateUrl')
+        ->with('App\\Models\\Page', 'renamed-page')
+        ->andReturn('/pages/renamed-page');
+
+    $this->app->instance(\Skylark\Menus\Services\ResourceLinkService::class, $mockService);
+
+    $link = fn ($id) => MenuItem::factory()->make([
+        'custom_url' => null,
+        'resource_type' => 'App\\Models\\Page',
+        'resource_id' => $id,
+        'resource_slug' => 'test-page',
+    ]);
+    [$valid, $deleted, $missing] = $items = [$link(123), $link(124), $link(125)];
+
+    MenuItem::loadResources($items);
+
+    expect($valid->hasValidResource())->toBeTrue();
+    expect($valid->url)->toBe('/pages/renamed-page');
+    expect($deleted->hasValidResource())->toBeFalse();
+    expect($missing->hasValidResource())->toBeFalse();
+    expect($missing->getResourceData())->toBeNull();
+});
+
 test('withValidResources scope includes items without resources', function () {
     $customUrlItem = MenuItem::factory()->forMenu($this->menu)->create([
         'resource_type' => null,
@@ -0,0 +1,132 @@
+<?php
+
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Http;
+use Illuminate\Support\Facades\Route;
+use Skylark\Menus\Http\Controllers\MenuController;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\MenuLinkCheckService;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+
+    // Menu items double as the linked records, so no extra tables are needed
+    config()->set('menus.resources.MenuLink', [
+        'model' => MenuItem::class,
+        'name_field' => 'name',
+        'slug_field' => 'slug',
+        'route_pattern' => '/links/{slug}',
+    ]);
+
+    Route::get('/about', fn () => 'About');
+    Route::get('/links/{slug}', fn () => 'Link');
+
+    $targets = MenuItem::factory()->asMenu()->create(['name' => 'Link Targets', 'slug' => 'link-targets']);
+    $this->product = MenuItem::factory()->forMenu($targets)->withCustomUrl('/about')->create(['slug' => 'product']);
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create(['name' => 'Main Menu', 'slug' => 'main-menu']);
+    $this->about = MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/about')->create(['name' => 'About']);
+    $this->external = MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('https://example.com/nowhere')->create(['name' => 'External']);
+    $this->link = MenuItem::factory()->forMenu($this->rootMenu)->withResource('MenuLink', $this->product->id, 'product')->create(['name' => 'Product']);
+
+    $this->problems = fn (array $result) => collect($result['problems'])
+        ->map(fn ($problem) => [$problem['item'], $problem['problem']])
+        ->all();
+});
+
+describe('MenuLinkCheckService', function () {
+    test('finds no problems in healthy links', function () {
+        $result = app(MenuLinkCheckService::class)->check($this->rootMenu);
+
+        expect($result['items_checked'])->toBe(3);
+        expect($result['problems'])->toBe([]);
+    });
+
+    test('reports missing records and unknown resource types', function () {
+        MenuItem::factory()->forMenu($this->rootMenu)->withResource('MenuLink', 999999, 'gone')->create(['name' => 'Gone']);
+        MenuItem::factory()->forMenu($this->rootMenu)->withResource('Removed', 1, 'old')->create(['name' => 'Removed']);
+
+        $result = app(MenuLinkCheckService::class)->check($this->rootMenu);
+
+        expect(($this->problems)($result))->toBe([
+            ['Gone', MenuLinkCheckService::MISSING_RESOURCE],
+            ['Removed', MenuLinkCheckService::UNKNOWN_RESOURCE_TYPE],
+        ]);
+    });
+
+    test('reports internal paths without a route', function () {
+        MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/nowhere?ref=menu')->create(['name' => 'Nowhere']);
+
+        $result = app(MenuLinkCheckService::class)->check($this->rootMenu);
+
+        expect(($this->problems)($result))->toBe([['Nowhere', MenuLinkCheckService::UNMATCHED_ROUTE]]);
+        expect($result['problems'][0]['url'])->toBe('/nowhere?ref=menu');
+    });
+
+    test('walks every menu when none is given', function () {
+        $result = app(MenuLinkCheckService::class)->check();
+
+        expect($result['menus_checked'])->toBe(2);
+        expect($result['items_checked'])->toBe(4);
+    });
+
+    test('checks HTTP statuses of internal links only when asked', function () {
+        Http::fake([
+            'https://shop.test/about' => Http::response('', 200),
+            'https://shop.test/links/product' => Http::response('', 500),
+        ]);
+
+        expect(app(MenuLinkCheckService::class)->check($this->rootMenu)['problems'])->toBe([]);
+        Http::assertNothingSent();
+
+        $result = app(MenuLinkCheckService::class)->check($this->rootMenu, [
+            'http' => true,
+            'base_url' => 'https://shop.test/',
+        ]);
+
+        expect(($this->problems)($result))->toBe([['Product', MenuLinkCheckService::HTTP_ERROR]]);
+        expect($result['problems'][0]['message'])->toBe('HTTP 500');
+        Http::assertSentCount(2);
+    });
+});
+
+describe('menus:check-links command', function () {
+    test('succeeds when no problems are found', function () {
+        $this->artisan('menus:check-links', ['menu' => 'main-menu'])
+            ->expectsOutputToContain('no problems found')
+            ->assertSuccessful();
+    });
+
+    test('fails and lists problems as JSON', function () {
+        MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/nowhere')->create(['name' => 'Nowhere']);
+
+        $this->artisan('menus:check-links', ['--format' => 'json'])
+            ->expectsOutputToContain('"problem": "unmatched_route"')
+            ->assertFailed();
+    });
+
+    test('rejects unknown menus and formats', function () {
+        $this->artisan('menus:check-links', ['menu' => 'nope'])->assertFailed();
+        $this->artisan('menus:check-links', ['--format' => 'xml'])->assertFailed();
+    });
+});
+
+describe('MenuController::health', function () {
+    test('returns the problems of one menu', function () {
+        MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/nowhere')->create(['name' => 'Nowhere']);
+
+        $response = (new MenuController)->health($this->rootMenu->id);
+        $data = json_decode($response->getContent(), true);
+
+        expect($response->getStatusCode())->toBe(200);
+        expect($data['data']['items_checked'])->toBe(4);
+        expect($data['data']['problems'][0]['item'])->toBe('Nowhere');
+        expect($data['data']['labels'][MenuLinkCheckService::UNMATCHED_ROUTE])->toBe('No matching route');
+    });
+
+    test('returns 404 for unknown menus', function () {
+        expect((new MenuController)->health(999999)->getStatusCode())->toBe(404);
+    });
+});
@@ -0,0 +1,256 @@
+<?php
+
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Config;
+use Illuminate\Validation\ValidationException;
+use Skylark\Menus\Http\Controllers\MenuController;
+use Skylark\Menus\Models\MenuDraft;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\MenuMoveService;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+    $this->controller = new MenuController;
+    $this->mover = app(MenuMoveService::class);
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create([
+        'name' => 'Main Menu',
+        'slug' => 'main-menu',
+        'max_depth' => 3,
+    ]);
+
+    $this->shop = MenuItem::factory()->forMenu($this->rootMenu)->create([
+        'name' => 'Shop',
+        'custom_url' => '/shop',
+        'resource_type' => null,
+        'resource_id' => null,
+        'resource_slug' => null,
+    ]);
+
+    $this->sale = MenuItem::factory()->forMenu($this->rootMenu)->create([
+        'name' => 'Sale',
+        'custom_url' => '/sale',
+        'resource_type' => null,
+        'resource_id' => null,
+        'resource_slug' => null,
+    ]);
+    $this->sale->appendToNode($this->shop)->save();
+
+    $this->footer = MenuItem::factory()->asMenu()->create([
+        'name' => 'Footer',
+        'slug' => 'footer',
+        'max_depth' => 2,
+    ]);
+
+    $this->legal = MenuItem::factory()->forMenu($this->footer)->create([
+        'name' => 'Legal',
+        'custom_url' => '/legal',
+        'resource_type' => null,
+        'resource_id' => null,
+        'resource_slug' => null,
+    ]);
+
+    $this->careers = MenuItem::factory()->forMenu($this->footer)->create([
+        'name' => 'Careers',
+        'custom_url' => '/careers',
+        'resource_type' => null,
+        'resource_id' => null,
+        'resource_slug' => null,
+    ]);
+});
+
+describe('MenuMoveService::move', function () {
+    beforeEach(function () {
+        Config::set('menus.drafts.enabled', false);
+    });
+
+    test('moves the subtree into another menu at the given position', function () {
+        $result = $this->mover->move($this->shop, $this->footer, 1);
+
+        expect($result['from_menu_id'])->toBe($this->rootMenu->id);
+        expect($result['menu_id'])->toBe($this->footer->id);
+
+        expect($this->footer->fresh()->children()->defaultOrder()->pluck('name')->all())
+            ->toBe(['Legal', 'Shop', 'Careers']);
+        expect($this->shop->fresh()->children()->pluck('name')->all())->toBe(['Sale']);
+        expect($this->sale->fresh()->getMenuRoot()->id)->toBe($this->footer->id);
+
+        // Both menus keep consistent nested set bounds
+        expect(MenuItem::isBroken())->toBeFalse();
+        expect($this->rootMenu->fresh()->descendants()->count())->toBe(0);
+        expect($this->footer->fresh()->descendants()->count())->toBe(4);
+    });
+
+    test('appends when the position is past the last child', function () {
+        $this->mover->move($this->sale, $this->footer, PHP_INT_MAX);
+
+        expect($this->footer->fresh()->children()->defaultOrder()->pluck('name')->all())
+            ->toBe(['Legal', 'Careers', 'Sale']);
+    });
+
+    test('reorders within the same menu', function () {
+        $this->mover->move($this->careers, $this->footer, 0);
+
+        expect($this->footer->fresh()->children()->defaultOrder()->pluck('name')->all())
+            ->toBe(['Careers', 'Legal']);
+    });
+
+    test('rejects a move that would exceed the target max depth', function () {
+        $this->mover->move($this->shop, $this->legal, 0);
+    })->throws(ValidationException::class, 'These items would be nested deeper: "Sale".');
+
+    test('rejects moving an item into its own descendant', function () {
+        $this->mover->move($this->shop, $this->sale, 0);
+    })->throws(InvalidArgumentException::class);
+
+    test('rejects moving a whole menu', function () {
+        $this->mover->move($this->rootMenu, $this->footer, 0);
+    })->throws(InvalidArgumentException::class);
+
+    test('records a revision on both menus', function () {
+        $this->mover->move($this->shop, $this->footer, 0);
+
+        expect($this->footer->revisions()->first()->action)->toBe('move_item');
+        expect($this->rootMenu->revisions()->first()->action)->toBe('move_out');
+    });
+});
+
+describe('MenuMoveService::move with drafts', function () {
+    beforeEach(function () {
+        Config::set('menus.drafts.enabled', true);
+    });
+
+    test('carries the draft version of the item into the target draft', function () {
+        MenuDraft::create([
+            'menu_id' => $this->rootMenu->id,
+            'structure' => [[
+                'id' => $this->shop->id,
+                'name' => 'Store',
+                'children' => [['id' => $this->sale->id, 'name' => 'Sale', 'children' => []]],
+            ]],
+        ]);
+
+        $this->mover->move($this->shop, $this->footer, 0);
+
+        expect(MenuDraft::where('menu_id', $this->rootMenu->id)->first()->structure)->toBe([]);
+
+        $structure = MenuDraft::where('menu_id', $this->footer->id)->first()->structure;
+        expect(array_column($structure, 'name'))->toBe(['Store', 'Legal', 'Careers']);
+
+        // Carried over as new draft items, which the footer's draft can publish
+        expect($structure[0])->not->toHaveKey('id');
+        expect($structure[0]['children'][0])->toHaveKey('draft_key');
+        expect($structure[0]['children'][0]['name'])->toBe('Sale');
+    });
+
+    test('leaves the live trees alone until the drafts are published', function () {
+        $result = $this->mover->move($this->shop, $this->footer, 0);
+
+        expect($result['drafted'])->toBeTrue();
+        expect($this->shop->fresh()->getMenuRoot()->id)->toBe($this->rootMenu->id);
+        expect($this->footer->fresh()->descendants()->count())->toBe(2);
+        expect($this->footer->revisions()->exists())->toBeFalse();
+
+        // The source menu had no draft, so one was started from its live tree
+        expect(MenuDraft::where('menu_id', $this->rootMenu->id)->first()->structure)->toBe([]);
+    });
+
+    test('moves within a menu draft keeping IDs', function () {
+        $this->mover->move($this->careers, $this->footer, 0);
+
+        $structure = MenuDraft::where('menu_id', $this->footer->id)->first()->structure;
+        expect(array_column($structure, 'id'))->toBe([$this->careers->id, $this->legal->id]);
+        expect($this->footer->fresh()->children()->defaultOrder()->pluck('name')->all())->toBe(['Legal', 'Careers']);
+    });
+
+    test('rejects a move that would exceed the target max depth', function () {
+        $this->mover->move($this->shop, $this->legal, 0);
+    })->throws(ValidationException::class, 'Menu "Footer" allows at most 2 levels.');
+
+    test('rejects parents the target draft has removed', function () {
+        MenuDraft::create([
+            'menu_id' => $this->footer->id,
+            'structure' => [['id' => $this->legal->id, 'name' => 'Legal', 'children' => []]],
+        ]);
+
+        $this->mover->move($this->sale, $this->careers, 0);
+    })->throws(InvalidArgumentException::class, 'is not part of the draft');
+
+    test('inserts into an existing target draft without touching its edits', function () {
+        MenuDraft::create([
+            'menu_id' => $this->footer->id,
+            'structure' => [['id' => $this->legal->id, 'name' => 'Terms', 'children' => []]],
+        ]);
+
+        $this->mover->move($this->sale, $this->footer, 1);
+
+        $structure = MenuDraft::where('menu_id', $this->footer->id)->first()->structure;
+        expect(array_column($structure, 'name'))->toBe(['Terms', 'Sale']);
+    });
+
+    test('publishing both drafts applies the move', function () {
+        MenuDraft::create([
+            'menu_id' => $this->rootMenu->id,
+            'structure' => [[
+                'id' => $this->shop->id,
+                'name' => 'Shop',
+                'children' => [['id' => $this->sale->id, 'name' => 'Sale', 'children' => []]],
+            ]],
+        ]);
+
+        $this->mover->move($this->shop, $this->footer, 0);
+
+        $this->controller->publishDraft($this->rootMenu->id);
+        $this->controller->publishDraft($this->footer->id);
+
+        expect($this->rootMenu->fresh()->descendants()->count())->toBe(0);
+        expect($this->footer->fresh()->children()->defaultOrder()->pluck('name')->all())->toBe(['Shop', 'Legal', 'Careers']);
+
+        $shop = $this->footer->fresh()->children()->where('name', 'Shop')->first();
+        expect($shop->children()->pluck('name')->all())->toBe(['Sale']);
+        expect(MenuItem::isBroken())->toBeFalse();
+    });
+});
+
+describe('MenuController moveItem', function () {
+    beforeEach(function () {
+        Config::set('menus.drafts.enabled', false);
+    });
+
+    test('returns the moved item and both menu ids', function () {
+        $response = $this->controller->moveItem(
+            new Request(['parent_id' => $this->footer->id, 'position' => 0]),
+            $this->sale->id
+        );
+
+        $data = json_decode($response->getContent(), true);
+        expect($response->getStatusCode())->toBe(200);
+        expect($data['data']['item']['name'])->toBe('Sale');
+        expect($data['data']['from_menu_id'])->toBe($this->rootMenu->id);
+        expect($data['data']['menu_id'])->toBe($this->footer->id);
+    });
+
+    test('returns 422 naming the items that exceed the depth limit', function () {
+        $response = $this->controller->moveItem(new Request(['parent_id' => $this->legal->id]), $this->shop->id);
+
+        expect($response->getStatusCode())->toBe(422);
+        expect(json_decode($response->getContent(), true)['errors']['parent_id'][0])
+            ->toContain('allows at most 2 levels')
+            ->toContain('"Sale"');
+    });
+
+    test('returns 422 without a parent', function () {
+        $response = $this->controller->moveItem(new Request([]), $this->shop->id);
+
+        expect($response->getStatusCode())->toBe(422);
+    });
+
+    test('returns 404 for non-existent item', function () {
+        $response = $this->controller->moveItem(new Request(['parent_id' => $this->footer->id]), 99999);
+
+        expect($response->getStatusCode())->toBe(404);
+    });
+});
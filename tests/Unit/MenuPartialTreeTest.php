@@ -0,0 +1,120 @@
+<?php
+
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\Exceptions\HttpResponseException;
+use Illuminate\Http\Request;
+use Skylark\Menus\Http\Controllers\MenuApiController;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\ResourceLinkService;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+    $this->controller = new MenuApiController(app(ResourceLinkService::class));
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create(['name' => 'Main Menu', 'slug' => 'main-menu']);
+
+    $create = fn (string $name, string $url, bool $active = true) => MenuItem::factory()
+        ->forMenu($this->rootMenu)
+        ->withCustomUrl($url)
+        ->create(['name' => $name, 'is_active' => $active, 'display_at' => null, 'hide_at' => null]);
+
+    $this->home = $create('Home', '/');
+    $this->shop = $create('Shop', '/shop');
+    $this->sale = $create('Sale', '/shop/sale');
+    $this->sale->appendToNode($this->shop)->save();
+    $this->clearance = $create('Clearance', '/shop/sale/clearance');
+    $this->clearance->appendToNode($this->sale)->save();
+    $this->archive = $create('Archive', '/archive', false);
+    $this->old = $create('Old', '/archive/old');
+    $this->old->appendToNode($this->archive)->save();
+
+    $this->request = function (array $query = []) {
+        $request = new Request($query);
+        $this->app->instance('request', $request);
+
+        return $request;
+    };
+
+    $this->json = fn ($response) => [$response->getStatusCode(), json_decode($response->getContent(), true)];
+});
+
+describe('?depth on the menu endpoints', function () {
+    test('cuts the tree below the given number of levels', function () {
+        ($this->request)(['depth' => 1]);
+        [$status, $data] = ($this->json)($this->controller->getMenu('main-menu'));
+
+        expect($status)->toBe(200);
+        expect($data['items'])->toHaveCount(2);
+        expect($data['items'][1])->toMatchArray(['name' => 'Shop', 'children' => [], 'has_children' => true]);
+        expect($data['items'][0]['has_children'])->toBeFalse();
+
+        ($this->request)(['depth' => 2]);
+        [, $data] = ($this->json)($this->controller->getMenu('main-menu'));
+
+        expect($data['items'][1]['children'][0])->toMatchArray(['name' => 'Sale', 'children' => [], 'has_children' => true]);
+    });
+
+    test('returns the full tree without a depth', function () {
+        ($this->request)();
+        [, $data] = ($this->json)($this->controller->getMenu('main-menu'));
+
+        expect($data['items'][1]['children'][0]['children'][0]['name'])->toBe('Clearance');
+        expect($data['items'][1])->not->toHaveKey('has_children');
+    });
+
+    test('applies to every requested menu', function () {
+        [, $data] = ($this->json)($this->controller->getMenus(($this->request)(['menus' => 'main-menu', 'depth' => 1])));
+
+        expect($data['menus']['main-menu']['items'][1]['children'])->toBe([]);
+    });
+
+    test('varies the ETag', function () {
+        ($this->request)();
+        $full = $this->controller->getMenu('main-menu')->headers->get('ETag');
+        ($this->request)(['depth' => 1]);
+        $partial = $this->controller->getMenu('main-menu')->headers->get('ETag');
+
+        expect($partial)->not->toBe($full);
+    });
+
+    test('rejects depths below one', function () {
+        ($this->request)(['depth' => 0]);
+
+        expect(fn () => $this->controller->getMenu('main-menu'))
+            ->toThrow(HttpResponseException::class);
+    });
+});
+
+describe('MenuApiController::getItem', function () {
+    test('returns the visible subtree of one item', function () {
+        [$status, $data] = ($this->json)($this->controller->getItem(($this->request)(), 'main-menu', $this->sale->id));
+
+        expect($status)->toBe(200);
+        expect($data['slug'])->toBe('main-menu');
+        expect($data['item']['name'])->toBe('Sale');
+        expect($data['item']['children'][0]['name'])->toBe('Clearance');
+    });
+
+    test('limits the levels below the item with ?depth', function () {
+        [, $data] = ($this->json)($this->controller->getItem(($this->request)(['depth' => 1]), 'main-menu', $this->shop->id));
+
+        expect($data['item']['has_children'])->toBeTrue();
+        expect($data['item']['children'][0])->toMatchArray(['name' => 'Sale', 'children' => [], 'has_children' => true]);
+    });
+
+    test('keeps items under a hidden ancestor hidden', function () {
+        [$status, $data] = ($this->json)($this->controller->getItem(($this->request)(), 'main-menu', $this->old->id));
+
+        expect($status)->toBe(404);
+        expect($data['error'])->toBe('Menu item not found');
+    });
+
+    test('only finds items of the requested menu', function () {
+        MenuItem::factory()->asMenu()->create(['name' => 'Footer', 'slug' => 'footer']);
+
+        expect($this->controller->getItem(($this->request)(), 'footer', $this->sale->id)->getStatusCode())->toBe(404);
+        expect($this->controller->getItem(($this->request)(), 'nope', $this->sale->id)->getStatusCode())->toBe(404);
+    });
+});
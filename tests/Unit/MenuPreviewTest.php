@@ -0,0 +1,85 @@
+<?php
+
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\Request;
+use Skylark\Menus\Http\Controllers\MenuController;
+use Skylark\Menus\Models\MenuItem;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+    $this->controller = new MenuController;
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create([
+        'name' => 'Main Menu',
+        'slug' => 'main-menu',
+    ]);
+
+    $this->home = MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/')->create([
+        'name' => 'Home',
+        'is_active' => true,
+        'display_at' => null,
+        'hide_at' => null,
+    ]);
+    $this->shop = MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/shop')->create([
+        'name' => 'Shop',
+        'is_active' => true,
+        'display_at' => null,
+        'hide_at' => null,
+    ]);
+    $this->sale = MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/sale')->create([
+        'name' => 'Sale',
+        'is_active' => true,
+        'display_at' => now()->addWeek(),
+        'hide_at' => now()->addWeeks(2),
+    ]);
+    $this->sale->appendToNode($this->shop)->save();
+
+    $this->preview = function (array $query = []) {
+        $response = $this->controller->preview(new Request($query), $this->rootMenu->id);
+
+        return [$response->getStatusCode(), json_decode($response->getContent(), true)];
+    };
+});
+
+describe('MenuController::preview', function () {
+    test('returns the tree the public API serves right now', function () {
+        [$status, $data] = ($this->preview)();
+
+        expect($status)->toBe(200);
+        expect(collect($data['data']['items'])->pluck('name')->all())->toBe(['Home', 'Shop']);
+        expect($data['data']['items'][1]['children'])->toBe([]);
+    });
+
+    test('evaluates schedules as of the given moment', function () {
+        [, $data] = ($this->preview)(['at' => now()->addWeek()->addDay()->toISOString()]);
+
+        expect($data['data']['items'][1]['children'][0]['name'])->toBe('Sale');
+
+        [, $data] = ($this->preview)(['at' => now()->addWeeks(3)->toISOString()]);
+
+        expect($data['data']['items'][1]['children'])->toBe([]);
+    });
+
+    test('hides the children of inactive items', function () {
+        $this->shop->update(['is_active' => false]);
+
+        [, $data] = ($this->preview)(['at' => now()->addWeek()->addDay()->toISOString()]);
+
+        expect(collect($data['data']['items'])->pluck('name')->all())->toBe(['Home']);
+    });
+
+    test('rejects a moment that is not a date', function () {
+        [$status, $data] = ($this->preview)(['at' => 'next week-ish']);
+
+        expect($status)->toBe(422);
+        expect($data['errors'])->toHaveKey('at');
+    });
+
+    test('returns 404 for items that are not menus', function () {
+        $response = $this->controller->preview(new Request, $this->home->id);
+
+        expect($response->getStatusCode())->toBe(404);
+    });
+});
@@ -0,0 +1,200 @@
+<?php
+
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\Request;
+use Skylark\Menus\Http\Controllers\MenuController;
+use Skylark\Menus\Models\MenuDraft;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Models\MenuRevision;
+use Skylark\Menus\Services\MenuRevisionService;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+    $this->controller = new MenuController;
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create([
+        'name' => 'Main Menu',
+        'slug' => 'main-menu',
+        'max_depth' => 5,
+    ]);
+
+    $this->home = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'Home', 'custom_url' => '/']);
+    $this->shop = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'Shop', 'custom_url' => '/shop']);
+});
+
+describe('Recording revisions', function () {
+    test('rebuild records a snapshot of the new tree', function () {
+        $request = new Request([
+            'menu_structure' => [
+                ['id' => $this->shop->id, 'name' => 'Shop', 'children' => [
+                    ['id' => $this->home->id, 'name' => 'Home'],
+                ]],
+            ],
+        ]);
+
+        $this->controller->rebuild($request, $this->rootMenu->id);
+
+        $revision = MenuRevision::where('menu_id', $this->rootMenu->id)->latest('id')->first();
+        expect($revision->action)->toBe('rebuild');
+        expect($revision->structure)->toHaveCount(1);
+        expect($revision->structure[0]['id'])->toBe($this->shop->id);
+        expect($revision->structure[0]['children'][0]['name'])->toBe('Home');
+    });
+
+    test('item create, update and delete each record a revision', function () {
+        $response = $this->controller->storeItem(new Request([
+            'menu_id' => $this->rootMenu->id,
+            'name' => 'Blog',
+            'custom_url' => '/blog',
+        ]));
+        $blogId = json_decode($response->getContent(), true)['data']['id'];
+
+        $this->controller->updateItem(new Request(['name' => 'News']), $blogId);
+        $this->controller->destroyItem($blogId);
+
+        expect(MenuRevision::orderBy('id')->pluck('action')->all())
+            ->toBe(['store_item', 'update_item', 'destroy_item']);
+    });
+
+    test('reorder records a revision', function () {
+        $request = new Request([
+            'items' => [
+                ['id' => $this->shop->id, 'position' => 0, 'parent_id' => $this->rootMenu->id],
+                ['id' => $this->home->id, 'position' => 1, 'parent_id' => $this->rootMenu->id],
+            ],
+        ]);
+
+        $this->controller->reorder($request, $this->rootMenu->id);
+
+        expect(MenuRevision::where('action', 'reorder')->count())->toBe(1);
+    });
+
+    test('records the authenticated user', function () {
+        $user = new \Illuminate\Foundation\Auth\User;
+        $user->forceFill(['id' => 42, 'name' => 'Jane Editor']);
+        $this->actingAs($user);
+
+        $revision = app(MenuRevisionService::class)->record($this->rootMenu, 'rebuild');
+
+        expect($revision->user_id)->toBe(42);
+        expect($revision->user_name)->toBe('Jane Editor');
+    });
+
+    test('prunes revisions beyond the configured limit', function () {
+        config(['menus.revisions.keep' => 3]);
+        $service = app(MenuRevisionService::class);
+
+        foreach (range(1, 5) as $i) {
+            $service->record($this->rootMenu, 'rebuild');
+        }
+
+        expect(MenuRevision::where('menu_id', $this->rootMenu->id)->count())->toBe(3);
+    });
+
+    test('does not record revisions when disabled', function () {
+        config(['menus.revisions.enabled' => false]);
+
+        $this->controller->updateItem(new Request(['name' => 'Start']), $this->home->id);
+
+        expect(MenuRevision::count())->toBe(0);
+    });
+});
+
+describe('MenuController::revisions', function () {
+    test('lists revisions newest first without their trees', function () {
+        $service = app(MenuRevisionService::class);
+        $first = $service->record($this->rootMenu, 'store_item');
+        $second = $service->record($this->rootMenu, 'rebuild');
+
+        $response = $this->controller->revisions($this->rootMenu->id);
+
+        $data = json_decode($response->getContent(), true);
+        expect(collect($data['data'])->pluck('id')->all())->toBe([$second->id, $first->id]);
+        expect($data['data'][0])->not->toHaveKey('structure');
+    });
+
+    test('returns 404 for non-existent menu', function () {
+        expect($this->controller->revisions(99999)->getStatusCode())->toBe(404);
+    });
+});
+
+describe('MenuController::showRevision', function () {
+    test('returns the revision with its tree', function () {
+        $revision = app(MenuRevisionService::class)->record($this->rootMenu, 'rebuild');
+
+        $response = $this->controller->showRevision($this->rootMenu->id, $revision->id);
+
+        $data = json_decode($response->getContent(), true);
+        expect($data['data']['structure'])->toHaveCount(2);
+    });
+
+    test('returns 404 for a revision of another menu', function () {
+        $otherMenu = MenuItem::factory()->asMenu()->create(['slug' => 'footer']);
+        $revision = app(MenuRevisionService::class)->record($otherMenu, 'rebuild');
+
+        $response = $this->controller->showRevision($this->rootMenu->id, $revision->id);
+
+        expect($response->getStatusCode())->toBe(404);
+    });
+});
+
+describe('MenuController::restoreRevision', function () {
+    test('restores renamed, moved and deleted items', function () {
+        $revision = app(MenuRevisionService::class)->record($this->rootMenu, 'rebuild');
+
+        $this->shop->update(['name' => 'Store']);
+        $this->home->delete();
+
+        $response = $this->controller->restoreRevision($this->rootMenu->id, $revision->id);
+
+        expect($response->getStatusCode())->toBe(200);
+
+        $names = $this->rootMenu->fresh()->descendants()->defaultOrder()->pluck('name')->all();
+        expect($names)->toBe(['Home', 'Shop']);
+        expect($this->shop->fresh()->name)->toBe('Shop');
+    });
+
+    test('removes items added after the revision', function () {
+        $revision = app(MenuRevisionService::class)->record($this->rootMenu, 'rebuild');
+        $blog = MenuItem::factory()->forMenu($this->rootMenu)->create(['name' => 'Blog']);
+
+        $this->controller->restoreRevision($this->rootMenu->id, $revision->id);
+
+        expect(MenuItem::find($blog->id))->toBeNull();
+    });
+
+    test('discards the draft so publishing cannot undo the restore', function () {
+        $revision = app(MenuRevisionService::class)->record($this->rootMenu, 'rebuild');
+        $this->home->delete();
+
+        MenuDraft::create([
+            'menu_id' => $this->rootMenu->id,
+            'structure' => [['id' => $this->shop->id, 'name' => 'Store', 'children' => []]],
+        ]);
+
+        $this->controller->restoreRevision($this->rootMenu->id, $revision->id);
+        $response = $this->controller->publishDraft($this->rootMenu->id);
+
+        expect($response->getStatusCode())->toBe(404);
+        expect(MenuDraft::where('menu_id', $this->rootMenu->id)->exists())->toBeFalse();
+
+        $names = $this->rootMenu->fresh()->descendants()->defaultOrder()->pluck('name')->all();
+        expect($names)->toBe(['Home', 'Shop']);
+    });
+
+    test('records the restore as a new revision', function () {
+        $revision = app(MenuRevisionService::class)->record($this->rootMenu, 'rebuild');
+
+        $this->controller->restoreRevision($this->rootMenu->id, $revision->id);
+
+        expect(MenuRevision::latest('id')->first()->action)->toBe('restore');
+    });
+
+    test('returns 404 for non-existent revision', function () {
+        $response = $this->controller->restoreRevision($this->rootMenu->id, 99999);
+
+        expect($response->getStatusCode())->toBe(404);
+    });
+});
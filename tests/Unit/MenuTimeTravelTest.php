@@ -0,0 +1,129 @@
+<?php
+
+use Illuminate\Foundation\Auth\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\Exceptions\HttpResponseException;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Gate;
+use Skylark\Menus\Http\Controllers\MenuApiController;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\ResourceLinkService;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+    $this->controller = new MenuApiController(app(ResourceLinkService::class));
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create([
+        'name' => 'Main Menu',
+        'slug' => 'main-menu',
+    ]);
+
+    $this->home = MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/')->create([
+        'name' => 'Home',
+        'is_active' => true,
+        'display_at' => null,
+        'hide_at' => null,
+    ]);
+    $this->holidays = MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/holidays')->create([
+        'name' => 'Holiday Deals',
+        'is_active' => true,
+        'display_at' => '2030-12-01 00:00:00',
+        'hide_at' => '2030-12-27 00:00:00',
+    ]);
+    $this->gifts = MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/gifts')->create([
+        'name' => 'Gift Ideas',
+        'is_active' => true,
+        'display_at' => null,
+        'hide_at' => null,
+    ]);
+    $this->gifts->appendToNode($this->holidays)->save();
+
+    // Calls the endpoint, returning the error response when the request is refused
+    $this->call = function (string $method, array $query) {
+        $this->app->instance('request', $request = new Request($query));
+
+        try {
+            $response = $method === 'getMenu'
+                ? $this->controller->getMenu('main-menu')
+                : $this->controller->getMenus($request);
+        } catch (HttpResponseException $e) {
+            $response = $e->getResponse();
+        }
+
+        return [$response->getStatusCode(), json_decode($response->getContent(), true)];
+    };
+});
+
+describe('time travel on the public menu API', function () {
+    test('evaluates the whole tree at the given moment', function () {
+        $this->actingAs(new User);
+
+        [$status, $data] = ($this->call)('getMenu', ['at' => '2030-12-24T18:00:00Z']);
+
+        expect($status)->toBe(200);
+        expect(collect($data['items'])->pluck('name')->all())->toBe(['Home', 'Holiday Deals']);
+        expect($data['items'][1]['children'][0]['name'])->toBe('Gift Ideas');
+        expect($data['timestamp'])->toStartWith('2030-12-24T18:00:00');
+    });
+
+    test('hides the scheduled branch outside its window', function () {
+        $this->actingAs(new User);
+
+        [, $data] = ($this->call)('getMenu', ['at' => '2031-01-05T00:00:00Z']);
+
+        expect(collect($data['items'])->pluck('name')->all())->toBe(['Home']);
+    });
+
+    test('applies to several menus at once', function () {
+        $this->actingAs(new User);
+
+        [$status, $data] = ($this->call)('getMenus', ['menus' => 'main-menu', 'at' => '2030-12-24T18:00:00Z']);
+
+        expect($status)->toBe(200);
+        expect($data['menus']['main-menu']['items'])->toHaveCount(2);
+        expect($data['timestamp'])->toStartWith('2030-12-24T18:00:00');
+    });
+
+    test('reports the current time without the parameter', function () {
+        [$status, $data] = ($this->call)('getMenu', []);
+
+        expect($status)->toBe(200);
+        expect(collect($data['items'])->pluck('name')->all())->toBe(['Home']);
+        expect(abs(now()->diffInSeconds($data['timestamp'])))->toBeLessThan(5);
+    });
+
+    test('refuses anonymous requests', function () {
+        [$status, $data] = ($this->call)('getMenu', ['at' => '2030-12-24T18:00:00Z']);
+
+        expect($status)->toBe(401);
+        expect($data['error'])->toBe('Unauthenticated');
+    });
+
+    test('checks the configured ability', function () {
+        config(['menus.time_travel.ability' => 'previewMenus']);
+        Gate::define('previewMenus', fn ($user) => $user->getAuthIdentifier() === 1);
+
+        $other = new User;
+        $other->id = 2;
+        $this->actingAs($other);
+        [$status] = ($this->call)('getMenus', ['menus' => 'main-menu', 'at' => '2030-12-24T18:00:00Z']);
+        expect($status)->toBe(403);
+
+        $user = new User;
+        $user->id = 1;
+        $this->actingAs($user);
+        [$status] = ($this->call)('getMenus', ['menus' => 'main-menu', 'at' => '2030-12-24T18:00:00Z']);
+        expect($status)->toBe(200);
+    });
+
+    test('rejects timestamps it cannot read', function () {
+        $this->actingAs(new User);
+
+        [$status, $data] = ($this->call)('getMenu', ['at' => 'christmas']);
+
+        expect($status)->toBe(422);
+        expect($data['error'])->toBe('Invalid timestamp');
+    });
+});
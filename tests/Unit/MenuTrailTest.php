@@ -0,0 +1,111 @@
+<?php
+
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+use Skylark\Menus\Http\Controllers\MenuApiController;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\ResourceLinkService;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+
+    // Menu items double as the linked records, so no extra tables are needed
+    config()->set('menus.resources.MenuLink', [
+        'model' => MenuItem::class,
+        'name_field' => 'name',
+        'slug_field' => 'slug',
+        'route_pattern' => '/links/{slug}',
+    ]);
+
+    $targets = MenuItem::factory()->asMenu()->create(['name' => 'Link Targets', 'slug' => 'link-targets']);
+    $this->sneakers = MenuItem::factory()->forMenu($targets)->create(['name' => 'Red Sneakers', 'slug' => 'red-sneakers']);
+    $this->boots = MenuItem::factory()->forMenu($targets)->create(['name' => 'Boots', 'slug' => 'boots']);
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create(['name' => 'Main Menu', 'slug' => 'main-menu']);
+
+    $create = fn ($factory, string $name, array $attributes = []) => $factory->create(
+        ['name' => $name, 'is_active' => true, 'display_at' => null, 'hide_at' => null] + $attributes
+    );
+
+    $this->home = $create(MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/'), 'Home');
+    $this->shop = $create(MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/shop'), 'Shop');
+    $this->sale = $create(MenuItem::factory()->forMenu($this->rootMenu)->withCustomUrl('/shop/sale'), 'Sale');
+    $this->sale->appendToNode($this->shop)->save();
+    $this->sneakersLink = $create(MenuItem::factory()->forMenu($this->rootMenu)->withResource('MenuLink', $this->sneakers->id, 'red-sneakers'), 'Sneakers');
+    $this->sneakersLink->appendToNode($this->sale)->save();
+
+    // Links to its record but shows a landing page instead
+    $this->bootsLink = $create(
+        MenuItem::factory()->forMenu($this->rootMenu)->withResource('MenuLink', $this->boots->id, 'old-boots'),
+        'Winter Boots',
+        ['custom_url' => '/winter']
+    );
+
+    $this->trail = function (array $query, string $slug = 'main-menu') {
+        $response = (new MenuApiController(app(ResourceLinkService::class)))->getTrail(new Request($query), $slug);
+
+        return [$response->getStatusCode(), json_decode($response->getContent(), true)];
+    };
+});
+
+describe('MenuApiController::getTrail', function () {
+    test('returns the exactly matching item with its ancestors', function () {
+        [$status, $data] = ($this->trail)(['url' => 'https://localhost/links/red-sneakers/?utm_source=mail']);
+
+        expect($status)->toBe(200);
+        expect($data['match'])->toBe('exact');
+        expect($data['item'])->toBe([
+            'id' => $this->sneakersLink->id,
+            'name' => 'Sneakers',
+            'url' => '/links/red-sneakers',
+            'target' => '_self',
+            'css_class' => null,
+            'icon' => null,
+        ]);
+        expect(collect($data['trail'])->pluck('name')->all())->toBe(['Shop', 'Sale', 'Sneakers']);
+    });
+
+    test('matches the record a resource route points at', function () {
+        // The stored slug of the link is outdated, the record's key still matches
+        [, $data] = ($this->trail)(['url' => '/links/boots']);
+
+        expect($data['match'])->toBe('resource');
+        expect($data['item']['name'])->toBe('Winter Boots');
+        expect($data['item']['url'])->toBe('/winter');
+    });
+
+    test('falls back to the longest matching path prefix', function () {
+        [, $data] = ($this->trail)(['url' => '/shop/sale/clearance']);
+
+        expect($data['match'])->toBe('prefix');
+        expect(collect($data['trail'])->pluck('name')->all())->toBe(['Shop', 'Sale']);
+
+        [$status] = ($this->trail)(['url' => '/contact']);
+        expect($status)->toBe(404);
+    });
+
+    test('ignores items hidden from the public API', function () {
+        DB::table('menu_items')->where('id', $this->sale->id)->update(['is_active' => false]);
+
+        [, $data] = ($this->trail)(['url' => '/shop/sale']);
+
+        expect($data['match'])->toBe('prefix');
+        expect($data['item']['name'])->toBe('Shop');
+    });
+
+    test('only tries the requested kinds of match', function () {
+        [$status, $data] = ($this->trail)(['url' => '/shop/sale/clearance', 'match' => 'exact,resource']);
+
+        expect($status)->toBe(404);
+        expect($data['error'])->toBe('No matching item');
+    });
+
+    test('validates the request', function () {
+        expect(($this->trail)([])[0])->toBe(400);
+        expect(($this->trail)(['url' => '/shop', 'match' => 'fuzzy'])[0])->toBe(400);
+        expect(($this->trail)(['url' => '/shop'], 'nope')[0])->toBe(404);
+    });
+});
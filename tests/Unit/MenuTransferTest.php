@@ -0,0 +1,291 @@
+<?php
+
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Config;
+use Illuminate\Validation\ValidationException;
+use Skylark\Menus\Http\Controllers\MenuController;
+use Skylark\Menus\Models\MenuDraft;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\MenuTransferService;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+    $this->controller = new MenuController;
+    $this->transfer = app(MenuTransferService::class);
+
+    // Menu roots double as linkable resources, matched by their slug
+    Config::set('menus.resources', [
+        'Page' => [
+            'model' => 'Skylark\Menus\Models\MenuItem',
+            'name_field' => 'name',
+            'slug_field' => 'slug',
+            'route_pattern' => '/pages/{slug}',
+        ],
+    ]);
+
+    $this->rootMenu = MenuItem::factory()->asMenu()->create([
+        'name' => 'Main Menu',
+        'slug' => 'main-menu',
+        'max_depth' => 4,
+    ]);
+
+    $this->page = MenuItem::factory()->asMenu()->create(['name' => 'About Us', 'slug' => 'about-us']);
+
+    $this->shop = MenuItem::factory()->forMenu($this->rootMenu)->create([
+        'name' => 'Shop',
+        'custom_url' => '/shop',
+        'resource_type' => null,
+        'resource_id' => null,
+        'resource_slug' => null,
+        'icon' => 'shopping-bag',
+        'target' => '_blank',
+        'css_class' => 'nav-shop',
+        'display_at' => '2025-01-01 00:00:00',
+    ]);
+
+    $this->about = MenuItem::factory()->forMenu($this->rootMenu)->create([
+        'name' => 'About',
+        'custom_url' => null,
+        'resource_type' => 'Page',
+        'resource_id' => $this->page->id,
+        'resource_slug' => 'about-us',
+    ]);
+
+    $this->sale = MenuItem::factory()->forMenu($this->rootMenu)->create([
+        'name' => 'Sale',
+        'custom_url' => '/sale',
+        'resource_type' => null,
+        'resource_id' => null,
+        'resource_slug' => null,
+    ]);
+    $this->sale->appendToNode($this->shop)->save();
+});
+
+describe('MenuTransferService::export', function () {
+    test('exports the menu root and nested items without IDs', function () {
+        $data = $this->transfer->export($this->rootMenu);
+
+        expect($data['format'])->toBe('nova-menus');
+        expect($data['menu'])->toMatchArray(['name' => 'Main Menu', 'slug' => 'main-menu', 'max_depth' => 4]);
+        expect($data['items'])->toHaveCount(2);
+
+        $shop = $data['items'][0];
+        expect($shop)->not->toHaveKey('id');
+        expect($shop)->toMatchArray(['icon' => 'shopping-bag', 'target' => '_blank', 'css_class' => 'nav-shop']);
+        expect($shop['display_at'])->toStartWith('2025-01-01');
+        expect($shop['children'][0]['name'])->toBe('Sale');
+    });
+
+    test('round-trips through JSON and YAML', function (string $format) {
+        $data = $this->transfer->export($this->rootMenu);
+
+        $decoded = $this->transfer->decode($this->transfer->encode($data, $format), $format);
+
+        expect($decoded['items'])->toBe($data['items']);
+    })->with(['json', 'yaml']);
+
+    test('detects the format from the content', function () {
+        $yaml = $this->transfer->encode($this->transfer->export($this->rootMenu), 'yaml');
+
+        expect($this->transfer->decode($yaml)['menu']['slug'])->toBe('main-menu');
+    });
+
+    test('rejects malformed content', function () {
+        $this->transfer->decode('{"menu": ', 'json');
+    })->throws(InvalidArgumentException::class);
+});
+
+describe('MenuTransferService::import', function () {
+    test('creates a new menu with the full tree', function () {
+        $data = $this->transfer->export($this->rootMenu);
+
+        $result = $this->transfer->import($data, ['slug' => 'main-menu-copy', 'name' => 'Main Menu Copy']);
+
+        expect($result['replaced'])->toBeFalse();
+        expect($result['items_count'])->toBe(3);
+
+        $copy = MenuItem::roots()->where('slug', 'main-menu-copy')->first();
+        expect($copy->name)->toBe('Main Menu Copy');
+        expect($copy->max_depth)->toBe(4);
+
+        $shop = $copy->descendants()->where('name', 'Shop')->first();
+        expect($shop->id)->not->toBe($this->shop->id);
+        expect($shop->target)->toBe('_blank');
+        expect($shop->children()->pluck('name')->all())->toBe(['Sale']);
+    });
+
+    test('refuses to overwrite an existing menu unless replace is given', function () {
+        $this->transfer->import($this->transfer->export($this->rootMenu));
+    })->throws(InvalidArgumentException::class);
+
+    test('replaces the tree of an existing menu', function () {
+        $data = $this->transfer->export($this->rootMenu);
+        $data['items'] = [['name' => 'Home', 'custom_url' => '/']];
+
+        $result = $this->transfer->import($data, ['replace' => true]);
+
+        expect($result['replaced'])->toBeTrue();
+        expect($this->rootMenu->descendants()->pluck('name')->all())->toBe(['Home']);
+        expect(MenuItem::find($this->shop->id))->toBeNull();
+    });
+
+    test('discards the draft of a replaced menu so publishing cannot undo the import', function () {
+        MenuDraft::create([
+            'menu_id' => $this->rootMenu->id,
+            'structure' => [['id' => $this->shop->id, 'name' => 'Store', 'children' => []]],
+        ]);
+
+        $data = $this->transfer->export($this->rootMenu);
+        $data['items'] = [['name' => 'Home', 'custom_url' => '/']];
+        $this->transfer->import($data, ['replace' => true]);
+
+        expect($this->controller->publishDraft($this->rootMenu->id)->getStatusCode())->toBe(404);
+        expect($this->rootMenu->descendants()->pluck('name')->all())->toBe(['Home']);
+    });
+
+    test('rejects trees deeper than the max depth', function () {
+        $data = $this->transfer->export($this->rootMenu);
+        $data['menu']['max_depth'] = 1;
+
+        try {
+            $this->transfer->import($data, ['replace' => true]);
+            $this->fail('Expected a validation exception');
+        } catch (ValidationException $e) {
+            expect($e->errors()['items'][0])->toContain('"Sale"');
+        }
+
+        // Nothing was written
+        expect($this->rootMenu->fresh()->max_depth)->toBe(4);
+        expect($this->sale->fresh())->not->toBeNull();
+    });
+
+    test('re-resolves resource links by slug when IDs differ', function () {
+        $data = $this->transfer->export($this->rootMenu);
+        $data['items'][1]['resource_id'] = 99999;
+
+        $this->transfer->import($data, ['slug' => 'imported']);
+
+        $about = MenuItem::forMenu('imported')->where('name', 'About')->first();
+        expect($about->resource_id)->toBe($this->page->id);
+        expect($about->resource_slug)->toBe('about-us');
+    });
+
+    test('reports links that cannot be resolved', function () {
+        $data = $this->transfer->export($this->rootMenu);
+        $data['items'][1]['resource_slug'] = 'missing-page';
+
+        $preview = $this->transfer->preview($data, ['slug' => 'imported']);
+
+        expect($preview['warnings'])->toHaveCount(1);
+        expect($preview['warnings'][0]['item'])->toBe('About');
+        expect($preview['items'][1]['resource_id'])->toBeNull();
+        expect($preview['items'][1]['resource_slug'])->toBe('missing-page');
+    });
+
+    test('validates nested items', function () {
+        $data = $this->transfer->export($this->rootMenu);
+        $data['items'][0]['children'][0]['target'] = '_parent';
+
+        try {
+            $this->transfer->preview($data);
+            $this->fail('Expected a validation exception');
+        } catch (ValidationException $e) {
+            expect($e->errors())->toHaveKey('items.0.children.0.target');
+        }
+    });
+
+    test('records an import revision', function () {
+        $this->transfer->import($this->transfer->export($this->rootMenu), ['slug' => 'imported']);
+
+        $menu = MenuItem::roots()->where('slug', 'imported')->first();
+        expect($menu->revisions()->first()->action)->toBe('import');
+    });
+});
+
+describe('MenuController export and import', function () {
+    test('export downloads a file named after the menu', function () {
+        $response = $this->controller->export(new Request(['format' => 'yaml']), $this->rootMenu->id);
+
+        expect($response->getStatusCode())->toBe(200);
+        expect($response->headers->get('Content-Disposition'))->toContain('main-menu.yaml');
+        expect($response->getContent())->toContain('slug: main-menu');
+    });
+
+    test('export returns 404 for non-existent menu', function () {
+        expect($this->controller->export(new Request, 99999)->getStatusCode())->toBe(404);
+    });
+
+    test('previewImport flags an existing slug', function () {
+        $content = $this->transfer->encode($this->transfer->export($this->rootMenu));
+
+        $response = $this->controller->previewImport(new Request(['content' => $content]));
+
+        $data = json_decode($response->getContent(), true);
+        expect($data['data']['existing_menu_id'])->toBe($this->rootMenu->id);
+        expect($data['data']['items_count'])->toBe(3);
+    });
+
+    test('previewImport returns 400 for unreadable content', function () {
+        $response = $this->controller->previewImport(new Request(['content' => '{"menu": ', 'format' => 'json']));
+
+        expect($response->getStatusCode())->toBe(400);
+    });
+
+    test('import returns 400 when the slug is taken', function () {
+        $content = $this->transfer->encode($this->transfer->export($this->rootMenu));
+
+        $response = $this->controller->import(new Request(['content' => $content]));
+
+        expect($response->getStatusCode())->toBe(400);
+    });
+
+    test('import creates the menu', function () {
+        $content = $this->transfer->encode($this->transfer->export($this->rootMenu), 'yaml');
+
+        $response = $this->controller->import(new Request(['content' => $content, 'slug' => 'footer']));
+
+        expect($response->getStatusCode())->toBe(201);
+        expect(MenuItem::forMenu('footer')->count())->toBe(3);
+    });
+
+    test('import returns 422 for trees deeper than the max depth', function () {
+        $data = $this->transfer->export($this->rootMenu);
+        $data['menu']['max_depth'] = 1;
+
+        $response = $this->controller->import(new Request(['content' => $this->transfer->encode($data), 'slug' => 'footer']));
+
+        expect($response->getStatusCode())->toBe(422);
+        expect(MenuItem::roots()->where('slug', 'footer')->exists())->toBeFalse();
+    });
+});
+
+describe('Artisan commands', function () {
+    test('menus:export and menus:import move a menu between environments', function () {
+        $path = sys_get_temp_dir().'/nova-menus-export-'.uniqid().'.yaml';
+
+        $this->artisan('menus:export', ['menu' => 'main-menu', '--output' => $path])->assertSuccessful();
+        expect(file_get_contents($path))->toContain('name: Shop');
+
+        $this->artisan('menus:import', ['file' => $path, '--slug' => 'staging-main'])->assertSuccessful();
+        expect(MenuItem::forMenu('staging-main')->count())->toBe(3);
+
+        unlink($path);
+    });
+
+    test('menus:import --dry-run writes nothing', function () {
+        $path = sys_get_temp_dir().'/nova-menus-export-'.uniqid().'.json';
+        file_put_contents($path, $this->transfer->encode($this->transfer->export($this->rootMenu)));
+
+        $this->artisan('menus:import', ['file' => $path, '--slug' => 'dry', '--dry-run' => true])->assertSuccessful();
+        expect(MenuItem::roots()->where('slug', 'dry')->exists())->toBeFalse();
+
+        unlink($path);
+    });
+
+    test('menus:export fails for an unknown menu', function () {
+        $this->artisan('menus:export', ['menu' => 'nope'])->assertFailed();
+    });
+});
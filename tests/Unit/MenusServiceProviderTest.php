@@ -3,6 +3,7 @@
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Illuminate\Support\Facades\Config;
 use Skylark\Menus\MenusServiceProvider;
+use Skylark\Menus\Services\MenuCacheService;
 use Skylark\Menus\Services\ResourceLinkService;
 
 uses(RefreshDatabase::class);
@@ -22,6 +23,12 @@ describe('MenusServiceProvider', function () {
         expect($service1)->toBe($service2); // Same instance (singleton)
     });
 
+    test('registers the menu cache service as singleton so batches span callers', function () {
+        $this->provider->register();
+
+        expect($this->app->make(MenuCacheService::class))->toBe($this->app->make(MenuCacheService::class));
+    });
+
     test('merges package configuration', function () {
         // Set test config values
         Config::set('menus', ['test_key' => 'original_value']);
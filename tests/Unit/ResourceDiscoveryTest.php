@@ -0,0 +1,186 @@
+<?php
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Schema;
+use Laravel\Nova\Http\Requests\NovaRequest;
+use Laravel\Nova\Nova;
+use Laravel\Nova\Resource;
+use Skylark\Menus\Http\Controllers\MenuController;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\ResourceDiscoveryService;
+use Skylark\Menus\Services\ResourceLinkService;
+
+uses(RefreshDatabase::class);
+
+class DiscoveryTag extends Model
+{
+    protected $table = 'discovery_tags';
+}
+
+// Menu items have name and slug columns, so they double as a linkable Nova resource
+class DiscoveredLink extends Resource
+{
+    public static $model = MenuItem::class;
+
+    public static $title = 'name';
+
+    public function fields(NovaRequest $request): array
+    {
+        return [];
+    }
+}
+
+// Tags have no slug-like column, so they can't be linked
+class DiscoveredTag extends Resource
+{
+    public static $model = DiscoveryTag::class;
+
+    public function fields(NovaRequest $request): array
+    {
+        return [];
+    }
+}
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+
+    Schema::create('discovery_tags', function (Blueprint $table) {
+        $table->id();
+        $table->string('label');
+    });
+
+    Nova::$resources = [DiscoveredLink::class, DiscoveredTag::class];
+
+    config()->set('menus.resources', []);
+    config()->set('menus.discovery', [
+        'enabled' => true,
+        'paths' => [],
+        'slug_columns' => ['slug', 'handle'],
+        'route_pattern' => '/{resource}/{slug}',
+        'exclude' => [],
+        'cache_ttl' => 0,
+    ]);
+
+    $this->discovered = [
+        'model' => MenuItem::class,
+        'name_field' => 'name',
+        'slug_field' => 'slug',
+        'route_pattern' => '/discovered-links/{slug}',
+        'label' => 'Discovered Link',
+        'nova_resource' => DiscoveredLink::class,
+    ];
+});
+
+afterEach(function () {
+    Nova::$resources = [];
+});
+
+describe('resource discovery', function () {
+    test('offers Nova resources whose models have a slug column', function () {
+        $resources = app(ResourceLinkService::class);
+
+        expect($resources->getResourceConfiguration())->toBe(['DiscoveredLink' => $this->discovered]);
+        expect($resources->getResourceTypes())->toBe(['DiscoveredLink']);
+        expect($resources->getResourceLabel('DiscoveredLink'))->toBe('Discovered Link');
+        expect($resources->generateUrl('DiscoveredLink', 'about'))->toBe('/discovered-links/about');
+    });
+
+    test('is off unless enabled', function () {
+        config()->set('menus.discovery.enabled', false);
+
+        expect(app(ResourceLinkService::class)->getResourceTypes())->toBe([]);
+    });
+
+    test('lets config override or exclude discovered types', function () {
+        config()->set('menus.resources', ['DiscoveredLink' => ['route_pattern' => '/links/{slug}']]);
+
+        expect(app(ResourceLinkService::class)->getResourceConfig('DiscoveredLink'))
+            ->toBe(array_merge($this->discovered, ['route_pattern' => '/links/{slug}']));
+
+        config()->set('menus.resources', ['DiscoveredLink' => false]);
+        expect(app(ResourceLinkService::class)->getResourceTypes())->toBe([]);
+
+        config()->set('menus.resources', []);
+        config()->set('menus.discovery.exclude', [DiscoveredLink::class]);
+        expect(app(ResourceDiscoveryService::class)->scan())->toBe([]);
+    });
+
+    test('caches discovered types until refreshed', function () {
+        config()->set('menus.discovery.cache_ttl', 3600);
+        $discovery = app(ResourceDiscoveryService::class);
+
+        expect($discovery->discover())->toHaveKey('DiscoveredLink');
+
+        Nova::$resources = [DiscoveredTag::class];
+        expect(app(ResourceDiscoveryService::class)->discover())->toHaveKey('DiscoveredLink');
+        expect($discovery->refresh())->toBe([]);
+    });
+
+    test('does not cache a scan made before Nova registers its resources', function () {
+        config()->set('menus.discovery.cache_ttl', 3600);
+        Nova::$resources = [];
+        $discovery = app(ResourceDiscoveryService::class);
+
+        expect($discovery->discover())->toBe([]);
+        expect(Cache::has('menus:discovered-resources'))->toBeFalse();
+
+        Nova::$resources = [DiscoveredLink::class];
+        expect($discovery->discover())->toHaveKey('DiscoveredLink');
+        expect(Cache::has('menus:discovered-resources'))->toBeTrue();
+    });
+
+    test('caches a scan of the discovery paths outside Nova', function () {
+        $path = sys_get_temp_dir().'/nova-menus-'.uniqid();
+        mkdir($path);
+        config()->set('menus.discovery.paths', [$path]);
+        config()->set('menus.discovery.cache_ttl', 3600);
+        Nova::$resources = [];
+
+        expect(app(ResourceDiscoveryService::class)->discover())->toBe([]);
+        expect(Cache::has('menus:discovered-resources'))->toBeTrue();
+
+        rmdir($path);
+    });
+});
+
+describe('misconfigured resource types', function () {
+    beforeEach(function () {
+        config()->set('menus.resources.Webpage', [
+            'model' => 'Skylark\Content\Models\Webpage',
+            'name_field' => 'title',
+            'slug_field' => 'slug',
+            'route_pattern' => '/pages/{slug}',
+        ]);
+    });
+
+    test('are reported instead of offered', function () {
+        $resources = app(ResourceLinkService::class);
+
+        expect($resources->getResourceTypes())->toBe(['DiscoveredLink']);
+        expect($resources->getInvalidResourceTypes())->toBe([
+            'Webpage' => "Model class 'Skylark\Content\Models\Webpage' does not exist for resource type 'Webpage'",
+        ]);
+    });
+
+    test('are returned apart from the resource type dropdown', function () {
+        $data = json_decode((new MenuController)->resourceTypes()->getContent(), true);
+
+        expect($data['data'])->toBe(['DiscoveredLink' => 'Discovered Link']);
+        expect($data['invalid'])->toHaveKey('Webpage');
+    });
+
+    test('fail the menus:resource-types command', function () {
+        $this->artisan('menus:resource-types')
+            ->expectsOutputToContain('misconfigured')
+            ->assertFailed();
+
+        config()->set('menus.resources', []);
+
+        $this->artisan('menus:resource-types')
+            ->expectsOutputToContain('discovered')
+            ->assertSuccessful();
+    });
+});
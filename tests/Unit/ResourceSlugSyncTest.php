@@ -0,0 +1,121 @@
+<?php
+
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\DB;
+use Skylark\Menus\Models\MenuItem;
+use Skylark\Menus\Services\ResourceSlugSyncService;
+
+uses(RefreshDatabase::class);
+
+beforeEach(function () {
+    $this->artisan('migrate', ['--force' => true]);
+
+    // Menu items double as the linked records, so no extra tables are needed
+    config()->set('menus.resources.MenuLink', [
+        'model' => MenuItem::class,
+        'name_field' => 'name',
+        'slug_field' => 'slug',
+        'route_pattern' => '/links/{slug}',
+    ]);
+
+    $targets = MenuItem::factory()->asMenu()->create(['name' => 'Link Targets', 'slug' => 'link-targets']);
+    $this->product = MenuItem::factory()->forMenu($targets)->create(['name' => 'Product', 'slug' => 'old-product']);
+
+    $menu = MenuItem::factory()->asMenu()->create(['name' => 'Main Menu', 'slug' => 'main-menu']);
+    $this->link = MenuItem::factory()->forMenu($menu)
+        ->withResource('MenuLink', $this->product->id, 'old-product')
+        ->create(['name' => 'Product Link']);
+    $this->otherLink = MenuItem::factory()->forMenu($menu)
+        ->withResource('MenuLink', 999999, 'missing')
+        ->create(['name' => 'Missing Link']);
+
+    // Changes the record's slug without model events, as a raw query or another app would
+    $this->renameQuietly = fn (MenuItem $item, string $slug) => DB::table('menu_items')
+        ->where('id', $item->id)
+        ->update(['slug' => $slug]);
+});
+
+describe('resource slug sync', function () {
+    test('updates linked items when the record changes its slug', function () {
+        $this->product->update(['slug' => 'new-product']);
+
+        expect($this->link->fresh()->resource_slug)->toBe('new-product');
+        expect($this->otherLink->fresh()->resource_slug)->toBe('missing');
+    });
+
+    test('leaves linked items alone when other fields change', function () {
+        ($this->renameQuietly)($this->product, 'quiet-product');
+
+        $this->product->refresh()->update(['name' => 'Renamed Product']);
+
+        expect($this->link->fresh()->resource_slug)->toBe('old-product');
+    });
+
+    test('groups the resource models once rather than on every model event', function () {
+        // The items saved in beforeEach already grouped the configured types
+        config()->set('menus.resources', []);
+
+        $this->product->update(['slug' => 'new-product']);
+
+        expect($this->link->fresh()->resource_slug)->toBe('new-product');
+    });
+
+    test('leaves linked items alone when slug sync is disabled', function () {
+        config()->set('menus.slug_sync.enabled', false);
+
+        $this->product->update(['slug' => 'new-product']);
+
+        expect($this->link->fresh()->resource_slug)->toBe('old-product');
+    });
+
+    test('reports drifted slugs without updating them', function () {
+        ($this->renameQuietly)($this->product, 'new-product');
+
+        $drift = app(ResourceSlugSyncService::class)->drift();
+
+        expect($drift)->toHaveCount(1);
+        expect($drift->first())->toMatchArray([
+            'item_id' => $this->link->id,
+            'resource_type' => 'MenuLink',
+            'old_slug' => 'old-product',
+            'new_slug' => 'new-product',
+        ]);
+        expect($this->link->fresh()->resource_slug)->toBe('old-product');
+    });
+
+    test('fixes drifted slugs in bulk', function () {
+        ($this->renameQuietly)($this->product, 'new-product');
+
+        $fixed = app(ResourceSlugSyncService::class)->syncAll();
+
+        expect($fixed)->toHaveCount(1);
+        expect($this->link->fresh()->resource_slug)->toBe('new-product');
+        expect(app(ResourceSlugSyncService::class)->drift())->toBeEmpty();
+    });
+});
+
+describe('menus:sync-slugs command', function () {
+    test('reports and fixes drift', function () {
+        ($this->renameQuietly)($this->product, 'new-product');
+
+        $this->artisan('menus:sync-slugs')
+            ->expectsOutputToContain('Updated 1 menu item(s).')
+            ->assertSuccessful();
+
+        expect($this->link->fresh()->resource_slug)->toBe('new-product');
+    });
+
+    test('changes nothing on a dry run', function () {
+        ($this->renameQuietly)($this->product, 'new-product');
+
+        $this->artisan('menus:sync-slugs', ['--dry-run' => true])
+            ->expectsOutputToContain('1 menu item(s) would be updated')
+            ->assertSuccessful();
+
+        expect($this->link->fresh()->resource_slug)->toBe('old-product');
+    });
+
+    test('rejects unknown resource types', function () {
+        $this->artisan('menus:sync-slugs', ['--type' => 'Unknown'])->assertFailed();
+    });
+});
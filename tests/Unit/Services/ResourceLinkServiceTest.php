@@ -33,6 +33,11 @@ class TestPage extends Model
     {
         return static::query();
     }
+
+    public function scopeWithContent($query)
+    {
+        return $query->whereNotNull('content');
+    }
 }
 
 beforeEach(function () {
@@ -222,6 +227,76 @@ test('searchResources respects limit parameter', function () {
     expect($results)->toHaveCount(5);
 });
 
+test('searchResources searches the configured search_fields too', function () {
+    Config::set('menus.resources.App\\Models\\Page.search_fields', ['content']);
+    TestPage::create(['title' => 'Home Page', 'slug' => 'home', 'content' => 'Welcome']);
+    TestPage::create(['title' => 'Welcome Offers', 'slug' => 'offers', 'content' => 'Deals']);
+    TestPage::create(['title' => 'About Page', 'slug' => 'about', 'content' => 'About us']);
+
+    $results = $this->service->searchResources('App\\Models\\Page', 'Welcome');
+
+    expect($results->pluck('slug')->all())->toBe(['home', 'offers']);
+});
+
+test('searchResources follows the configured order_by', function () {
+    Config::set('menus.resources.App\\Models\\Page.order_by', ['title' => 'desc']);
+    TestPage::create(['title' => 'Beta', 'slug' => 'beta']);
+    TestPage::create(['title' => 'Alpha', 'slug' => 'alpha']);
+    TestPage::create(['title' => 'Gamma', 'slug' => 'gamma']);
+
+    expect($this->service->searchResources('App\\Models\\Page')->pluck('name')->all())->toBe(['Gamma', 'Beta', 'Alpha']);
+
+    Config::set('menus.resources.App\\Models\\Page.order_by', 'title');
+
+    expect($this->service->searchResources('App\\Models\\Page')->pluck('name')->all())->toBe(['Alpha', 'Beta', 'Gamma']);
+});
+
+test('searchResources applies a scope by name or closure', function () {
+    TestPage::create(['title' => 'Draft', 'slug' => 'draft', 'content' => null]);
+    TestPage::create(['title' => 'Published', 'slug' => 'published', 'content' => 'Live']);
+
+    Config::set('menus.resources.App\\Models\\Page.scope', 'withContent');
+    expect($this->service->searchResources('App\\Models\\Page')->pluck('slug')->all())->toBe(['published']);
+
+    Config::set('menus.resources.App\\Models\\Page.scope', fn ($query) => $query->where('slug', 'draft'));
+    expect($this->service->searchResources('App\\Models\\Page')->pluck('slug')->all())->toBe(['draft']);
+});
+
+test('searchResources returns the secondary label', function () {
+    TestPage::create(['title' => 'Sneakers', 'slug' => 'sneakers', 'content' => 'SKU-123']);
+
+    expect($this->service->searchResources('App\\Models\\Page')->first()['secondary_label'])->toBeNull();
+
+    Config::set('menus.resources.App\\Models\\Page.secondary_label_field', 'content');
+
+    expect($this->service->searchResources('App\\Models\\Page')->first()['secondary_label'])->toBe('SKU-123');
+});
+
+test('getResourceConfig rejects search_fields that are not a list', function () {
+    Config::set('menus.resources.App\\Models\\Page.search_fields', 'content');
+
+    expect(fn () => $this->service->getResourceConfig('App\\Models\\Page'))
+        ->toThrow(InvalidArgumentException::class, "Search fields for 'App\\Models\\Page' must be an array of column names");
+});
+
+test('searchResources pages through results by offset', function () {
+    for ($i = 1; $i <= 10; $i++) {
+        TestPage::create([
+            'title' => "Page {$i}",
+            'slug' => "page-{$i}",
+            'content' => "Content {$i}",
+        ]);
+    }
+
+    $first = $this->service->searchResources('App\\Models\\Page', '', 4);
+    $second = $this->service->searchResources('App\\Models\\Page', '', 4, 4);
+    $last = $this->service->searchResources('App\\Models\\Page', '', 4, 8);
+
+    expect($first->pluck('slug')->all())->toBe(['page-1', 'page-2', 'page-3', 'page-4']);
+    expect($second->pluck('slug')->all())->toBe(['page-5', 'page-6', 'page-7', 'page-8']);
+    expect($last)->toHaveCount(2);
+});
+
 test('searchResources excludes soft deleted records', function () {
     TestPage::create(['title' => 'Active Page', 'slug' => 'active', 'content' => 'Active']);
     TestPage::create(['title' => 'Deleted Page', 'slug' => 'deleted', 'content' => 'Deleted', 'deleted_at' => now()]);
@@ -279,6 +354,39 @@ test('getResource includes soft deleted resources with is_deleted flag', functio
     expect($result['is_deleted'])->toBeTrue();
 });
 
+test('getResources looks up many resources with one query', function () {
+    $about = TestPage::create(['title' => 'About', 'slug' => 'about', 'content' => 'About us']);
+    $contact = TestPage::create(['title' => 'Contact', 'slug' => 'contact', 'content' => 'Contact us']);
+
+    $queryCount = 0;
+    \DB::listen(function () use (&$queryCount) {
+        $queryCount++;
+    });
+
+    $result = $this->service->getResources('App\\Models\\Page', [$about->id, $contact->id, $about->id, 999]);
+
+    expect($queryCount)->toBe(1);
+    expect(array_keys($result))->toEqualCanonicalizing([$about->id, $contact->id]);
+    expect($result[$contact->id]['slug'])->toBe('contact');
+    expect($result[$contact->id]['is_deleted'])->toBeFalse();
+});
+
+test('getResourcesForItems groups items by type and skips types it cannot look up', function () {
+    $about = TestPage::create(['title' => 'About', 'slug' => 'about', 'content' => 'About us']);
+
+    $items = collect([
+        (object) ['resource_type' => 'App\\Models\\Page', 'resource_id' => $about->id],
+        (object) ['resource_type' => 'App\\Models\\Page', 'resource_id' => 999],
+        (object) ['resource_type' => 'UnknownType', 'resource_id' => 1],
+        (object) ['resource_type' => null, 'resource_id' => null],
+    ]);
+
+    $result = $this->service->getResourcesForItems($items);
+
+    expect(array_keys($result))->toBe(['App\\Models\\Page']);
+    expect(array_keys($result['App\\Models\\Page']))->toBe([$about->id]);
+});
+
 test('generateUrl replaces slug placeholder correctly', function () {
     $url = $this->service->generateUrl('App\\Models\\Page', 'test-page');
 
@@ -0,0 +1,97 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import BulkActionBar from '../../resources/js/components/BulkActionBar.vue'
+
+describe('BulkActionBar.vue', () => {
+  let wrapper
+
+  afterEach(() => {
+    wrapper?.unmount()
+  })
+
+  const createWrapper = (props = {}) => mount(BulkActionBar, {
+    props: {
+      count: 3,
+      parentOptions: [
+        { key: 1, label: 'Home', disabled: false },
+        { key: 2, label: 'Shop', disabled: true }
+      ],
+      ...props
+    }
+  })
+
+  const button = label => wrapper.findAll('button').find(element => element.text() === label)
+
+  it('shows how many items are selected', () => {
+    wrapper = createWrapper()
+
+    expect(wrapper.text()).toContain('3 items selected')
+  })
+
+  it('emits simple actions straight away', async () => {
+    wrapper = createWrapper()
+
+    await button('Hide').trigger('click')
+    await button('Delete').trigger('click')
+
+    expect(wrapper.emitted('apply')).toEqual([[{ action: 'hide' }], [{ action: 'delete' }]])
+  })
+
+  it('emits a schedule window', async () => {
+    wrapper = createWrapper()
+
+    await button('Schedule...').trigger('click')
+    await wrapper.find('input[type="datetime-local"]').setValue('2024-02-01T09:00')
+    await wrapper.find('form').trigger('submit')
+
+    const [[payload]] = wrapper.emitted('apply')
+    expect(payload.action).toBe('schedule')
+    expect(payload.display_at).toEqual(expect.stringMatching(/^2024-0[12]-/))
+    expect(payload.hide_at).toBe(null)
+  })
+
+  it('offers the possible parents for a move', async () => {
+    wrapper = createWrapper()
+
+    await button('Move...').trigger('click')
+
+    const options = wrapper.findAll('option')
+    expect(options.map(option => option.text())).toEqual(['Top level', 'Home', 'Shop'])
+    expect(options[2].attributes('disabled')).toBeDefined()
+
+    await wrapper.find('select').setValue(1)
+    await wrapper.find('form').trigger('submit')
+
+    expect(wrapper.emitted('apply')[0][0]).toEqual({ action: 'move', parent_key: 1 })
+  })
+
+  it('only sends the appearance fields that were changed', async () => {
+    wrapper = createWrapper()
+
+    await button('Appearance...').trigger('click')
+    expect(button('Apply').attributes('disabled')).toBeDefined()
+
+    await wrapper.find('select').setValue('_blank')
+    await wrapper.find('form').trigger('submit')
+
+    expect(wrapper.emitted('apply')[0][0]).toEqual({ action: 'appearance', target: '_blank' })
+  })
+
+  it('can remove the CSS class from every selected item', async () => {
+    wrapper = createWrapper()
+
+    await button('Appearance...').trigger('click')
+    await wrapper.find('input[type="checkbox"]').setValue(true)
+    await wrapper.find('form').trigger('submit')
+
+    expect(wrapper.emitted('apply')[0][0]).toEqual({ action: 'appearance', css_class: null })
+  })
+
+  it('clears the selection', async () => {
+    wrapper = createWrapper()
+
+    await button('Clear selection').trigger('click')
+
+    expect(wrapper.emitted('clear')).toBeTruthy()
+  })
+})
@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import CopyItemModal from '../../resources/js/components/CopyItemModal.vue'
+
+const MockModal = {
+  name: 'Modal',
+  props: ['show', 'maxWidth'],
+  template: '<div v-if="show" class="mock-modal"><slot /></div>',
+  emits: ['close']
+}
+
+describe('CopyItemModal.vue', () => {
+  let wrapper
+  let mockRequest
+
+  const menus = [
+    { id: 1, name: 'Main Menu', max_depth: 3 },
+    { id: 2, name: 'Footer', max_depth: 2 }
+  ]
+
+  const trees = {
+    1: [
+      {
+        id: 10,
+        name: 'Shop',
+        children: [
+          { id: 11, name: 'Sale', children: [] }
+        ]
+      }
+    ],
+    2: [
+      { id: 20, name: 'Legal', children: [] },
+      { id: null, draft_key: 'draft-abc', name: 'Careers', children: [] }
+    ]
+  }
+
+  // Two levels deep: the item and one child
+  const item = {
+    id: 10,
+    name: 'Shop',
+    children: [{ id: 11, name: 'Sale', children: [] }]
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      get: vi.fn((url) => {
+        const match = url.match(/menus\/(\d+)\/(items|draft)$/)
+
+        if (!match) {
+          return Promise.resolve({ data: { success: true, data: menus } })
+        }
+
+        const items = trees[match[1]]
+
+        return Promise.resolve({
+          data: { success: true, data: match[2] === 'draft' ? { has_draft: true, items } : items }
+        })
+      }),
+      post: vi.fn().mockResolvedValue({ data: { success: true, data: { menu_id: 2, drafted: false } } })
+    }
+
+    Nova.request.mockReturnValue(mockRequest)
+  })
+
+  afterEach(() => {
+    wrapper?.unmount()
+  })
+
+  const createWrapper = (props = {}) => mount(CopyItemModal, {
+    props: { item, menuId: 1, ...props },
+    global: {
+      components: {
+        Modal: MockModal
+      }
+    }
+  })
+
+  it('preselects the current menu and its top level', async () => {
+    wrapper = createWrapper()
+    await flushPromises()
+
+    expect(wrapper.vm.targetMenuId).toBe(1)
+    expect(wrapper.vm.parentId).toBe(1)
+    expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/items')
+  })
+
+  it('disables parents that would push the copy past the max depth', async () => {
+    wrapper = createWrapper()
+    await flushPromises()
+
+    const options = Object.fromEntries(wrapper.vm.parentOptions.map(option => [option.label.trim(), option.disabled]))
+
+    expect(options).toEqual({
+      'Top level': false,
+      Shop: false,
+      Sale: true
+    })
+  })
+
+  it('loads the draft tree of the chosen menu in draft mode', async () => {
+    wrapper = createWrapper({ draft: true })
+    await flushPromises()
+
+    wrapper.vm.targetMenuId = 2
+    await wrapper.vm.loadTargetItems()
+
+    expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus/2/draft')
+
+    const careers = wrapper.vm.parentOptions.find(option => option.label.includes('Careers'))
+    expect(careers.label).toContain('(unpublished)')
+    expect(careers.disabled).toBe(true)
+  })
+
+  it('copies the item under the chosen parent', async () => {
+    wrapper = createWrapper()
+    await flushPromises()
+
+    wrapper.vm.targetMenuId = 2
+    await wrapper.vm.loadTargetItems()
+
+    // The footer only allows two levels, so the copy can only go at the top
+    expect(wrapper.vm.parentOptions.find(option => option.id === 20).disabled).toBe(true)
+    expect(wrapper.vm.canCopy).toBe(true)
+
+    await wrapper.vm.copy()
+
+    expect(mockRequest.post).toHaveBeenCalledWith('/nova-vendor/menus/menu-items/10/copy', { parent_id: 2 })
+    expect(Nova.$toasted.success).toHaveBeenCalledWith('"Shop" copied to "Footer"')
+    expect(wrapper.emitted('copied')[0][0]).toEqual({ menu_id: 2, drafted: false })
+    expect(wrapper.emitted('close')).toBeTruthy()
+  })
+
+  it('shows the server error when the copy is rejected', async () => {
+    mockRequest.post.mockRejectedValueOnce({
+      response: {
+        status: 422,
+        data: {
+          message: 'Validation failed',
+          errors: { parent_id: ['Menu "Footer" allows at most 2 levels. These items would be nested deeper: "Sale".'] }
+        }
+      }
+    })
+
+    wrapper = createWrapper()
+    await flushPromises()
+
+    await wrapper.vm.copy()
+    await flushPromises()
+
+    expect(wrapper.text()).toContain('These items would be nested deeper: "Sale".')
+    expect(wrapper.emitted('copied')).toBeFalsy()
+  })
+})
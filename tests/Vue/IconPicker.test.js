@@ -0,0 +1,67 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import IconPicker, { ICON_OPTIONS } from '../../resources/js/components/IconPicker.vue'
+
+describe('IconPicker.vue', () => {
+  let wrapper
+
+  afterEach(() => {
+    wrapper?.unmount()
+  })
+
+  const createWrapper = (props = {}) => {
+    return mount(IconPicker, {
+      props: { modelValue: null, ...props }
+    })
+  }
+
+  it('initializes the query from modelValue', () => {
+    wrapper = createWrapper({ modelValue: 'home' })
+
+    expect(wrapper.find('input').element.value).toBe('home')
+  })
+
+  it('shows suggestions on focus', async () => {
+    wrapper = createWrapper()
+
+    await wrapper.find('input').trigger('focus')
+
+    expect(wrapper.findAll('.flex-wrap button')).toHaveLength(ICON_OPTIONS.length)
+  })
+
+  it('filters suggestions by the typed term', async () => {
+    wrapper = createWrapper()
+
+    const input = wrapper.find('input')
+    await input.setValue('shopping')
+
+    expect(wrapper.vm.filteredIcons).toEqual(['shopping-bag', 'shopping-cart'])
+  })
+
+  it('emits the selected icon', async () => {
+    wrapper = createWrapper()
+
+    wrapper.vm.select('star')
+
+    expect(wrapper.emitted('update:modelValue')[0]).toEqual(['star'])
+    expect(wrapper.emitted('change')[0]).toEqual(['star'])
+    expect(wrapper.vm.showOptions).toBe(false)
+  })
+
+  it('accepts free-text icon names', async () => {
+    wrapper = createWrapper()
+
+    await wrapper.find('input').setValue('fa-solid fa-rocket')
+
+    expect(wrapper.emitted('update:modelValue').pop()).toEqual(['fa-solid fa-rocket'])
+  })
+
+  it('clears the icon', async () => {
+    wrapper = createWrapper({ modelValue: 'home' })
+
+    wrapper.vm.clear()
+
+    expect(wrapper.vm.query).toBe('')
+    expect(wrapper.emitted('update:modelValue')[0]).toEqual([null])
+  })
+})
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { mount } from '@vue/test-utils'
+import { mount, flushPromises } from '@vue/test-utils'
 import MenuEdit from '../../resources/js/pages/MenuEdit.vue'
 
 // Mock Nova components and child components
@@ -23,7 +23,7 @@ const MockNested = {
   name: 'Nested',
   props: ['items', 'currentDepth', 'maxDepth', 'menuId'],
   template: '<div class="mock-nested">{{ items.length }} items</div>',
-  emits: ['structure-changed', 'item-saved', 'item-deleted']
+  emits: ['structure-changed', 'item-saved', 'item-deleted', 'copy-item', 'toggle-select']
 }
 
 describe('MenuEdit.vue', () => {
@@ -320,6 +320,29 @@ describe('MenuEdit.vue', () => {
       expect(Nova.$toasted.error).toHaveBeenCalledWith('Failed to update menu structure')
       expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/items') // Reload items
     })
+
+    it('shows which items the server found nested too deep', async () => {
+      mockRequest.put.mockRejectedValue({
+        response: {
+          status: 422,
+          data: {
+            message: 'Validation failed',
+            errors: {
+              menu_structure: ['Menu "Test Menu" allows at most 5 levels. These items would be nested deeper: "Shoes".']
+            }
+          }
+        }
+      })
+
+      wrapper = createWrapper()
+      await wrapper.vm.$nextTick()
+
+      await wrapper.vm.rebuildMenuStructure()
+
+      expect(Nova.$toasted.error).toHaveBeenCalledWith(
+        'Menu "Test Menu" allows at most 5 levels. These items would be nested deeper: "Shoes".'
+      )
+    })
   })
 
   describe('Clean Menu Items for API', () => {
@@ -370,6 +393,9 @@ describe('MenuEdit.vue', () => {
           resource_slug: null,
           display_at: null,
           hide_at: null,
+          icon: null,
+          target: '_self',
+          css_class: null,
           is_active: true,
           children: [
             {
@@ -381,6 +407,9 @@ describe('MenuEdit.vue', () => {
               resource_slug: null,
               display_at: null,
               hide_at: null,
+              icon: null,
+              target: '_self',
+              css_class: null,
               is_active: false
             }
           ]
@@ -389,6 +418,34 @@ describe('MenuEdit.vue', () => {
     })
   })
 
+  describe('Appearance Fields', () => {
+    it('preserves icon, target and css_class when cleaning items', async () => {
+      mockRequest.get.mockResolvedValue({
+        data: { success: true, data: { id: 1, name: 'Test Menu' } }
+      })
+
+      wrapper = createWrapper()
+      await wrapper.vm.$nextTick()
+
+      const cleaned = wrapper.vm.cleanMenuItemsForAPI([
+        {
+          id: 1,
+          name: 'Shop',
+          icon: 'shopping-bag',
+          target: '_blank',
+          css_class: 'nav-shop',
+          children: [{ id: 2, name: 'Sale', icon: 'tag' }]
+        }
+      ])
+
+      expect(cleaned[0].icon).toBe('shopping-bag')
+      expect(cleaned[0].target).toBe('_blank')
+      expect(cleaned[0].css_class).toBe('nav-shop')
+      expect(cleaned[0].children[0].icon).toBe('tag')
+      expect(cleaned[0].children[0].target).toBe('_self')
+    })
+  })
+
   describe('Remove Item from Menu Items', () => {
     beforeEach(() => {
       mockRequest.get.mockResolvedValue({
@@ -530,4 +587,914 @@ describe('MenuEdit.vue', () => {
       expect(removeSpy).toHaveBeenCalledWith(testItem)
     })
   })
-})
\ No newline at end of file
+
+  describe('Undo / Redo', () => {
+    const tree = () => ([
+      { id: 1, name: 'Home', children: [] },
+      { id: 2, name: 'Shop', children: [{ id: 3, name: 'Sale', children: [] }] }
+    ])
+
+    beforeEach(() => {
+      // Earlier integration tests stub methods on the component definition
+      Object.values(MenuEdit.methods).forEach(method => {
+        if (vi.isMockFunction(method)) {
+          method.mockRestore()
+        }
+      })
+
+      mockRequest.get.mockImplementation((url) => {
+        if (url.includes('/items')) {
+          return Promise.resolve({ data: { success: true, data: tree() } })
+        }
+        return Promise.resolve({ data: { success: true, data: { id: 1, name: 'Test Menu', max_depth: 5 } } })
+      })
+      mockRequest.put.mockResolvedValue({ data: { success: true, data: [] } })
+      mockRequest.delete.mockResolvedValue({ data: { success: true } })
+    })
+
+    const mountLoaded = async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+      return wrapper
+    }
+
+    it('starts with nothing to undo or redo', async () => {
+      await mountLoaded()
+
+      expect(wrapper.vm.canUndo).toBe(false)
+      expect(wrapper.vm.canRedo).toBe(false)
+    })
+
+    it('records a move and undoes it by rebuilding the previous tree', async () => {
+      await mountLoaded()
+
+      const before = wrapper.vm.syncedItems
+      // Simulate the server returning the reordered tree after the drag
+      mockRequest.get.mockImplementation((url) => Promise.resolve({
+        data: { success: true, data: url.includes('/items') ? [tree()[1], tree()[0]] : { id: 1 } }
+      }))
+      await wrapper.vm.rebuildMenuStructure()
+
+      expect(wrapper.vm.canUndo).toBe(true)
+
+      await wrapper.vm.undo()
+
+      const lastRebuild = mockRequest.put.mock.calls.at(-1)
+      expect(lastRebuild[0]).toBe('/nova-vendor/menus/menus/1/items/rebuild')
+      expect(lastRebuild[1].menu_structure.map(item => item.id)).toEqual(before.map(item => item.id))
+      expect(wrapper.vm.canRedo).toBe(true)
+    })
+
+    it('undoes a delete by recreating the subtree in one rebuild', async () => {
+      await mountLoaded()
+
+      wrapper.vm.removeItemFromMenuItems(wrapper.vm.menuItems[1])
+      expect(wrapper.vm.syncedItems.map(item => item.id)).toEqual([1])
+
+      // Server no longer has the deleted items, and recreates them with new IDs
+      mockRequest.put.mockResolvedValueOnce({
+        data: { success: true, data: [{ id: 1, children: [] }, { id: 20, children: [{ id: 30, children: [] }] }] }
+      })
+
+      await wrapper.vm.undo()
+
+      expect(mockRequest.post).not.toHaveBeenCalled()
+      expect(mockRequest.delete).not.toHaveBeenCalled()
+
+      const [url, payload] = mockRequest.put.mock.calls.at(-1)
+      expect(url).toBe('/nova-vendor/menus/menus/1/items/rebuild')
+      expect(payload.delete).toBe(true)
+      expect(payload.menu_structure[0].id).toBe(1)
+      expect(payload.menu_structure[1]).toMatchObject({ id: undefined, name: 'Shop' })
+      expect(payload.menu_structure[1].children[0]).toMatchObject({ id: undefined, name: 'Sale' })
+      expect(wrapper.vm.history.resolveId(2)).toBe(20)
+      expect(wrapper.vm.history.resolveId(3)).toBe(30)
+    })
+
+    it('undoes a create by rebuilding without the new item', async () => {
+      await mountLoaded()
+
+      const created = { id: 9, name: 'New', custom_url: '/new', children: [] }
+      wrapper.vm.menuItems.push(created)
+      wrapper.vm.onItemSaved(created, { created: true })
+
+      await wrapper.vm.undo()
+
+      const [, payload] = mockRequest.put.mock.calls.at(-1)
+      expect(payload.delete).toBe(true)
+      expect(payload.menu_structure.map(item => item.id)).not.toContain(9)
+      expect(mockRequest.delete).not.toHaveBeenCalled()
+    })
+
+    it('undoes an edit by restoring the previous fields', async () => {
+      await mountLoaded()
+
+      const item = wrapper.vm.menuItems[0]
+      item.name = 'Start'
+      wrapper.vm.onItemSaved(item, { created: false })
+
+      await wrapper.vm.undo()
+
+      const rebuild = mockRequest.put.mock.calls.at(-1)[1].menu_structure
+      expect(rebuild[0].name).toBe('Home')
+    })
+
+    it('restores the entry and reloads when replay fails', async () => {
+      await mountLoaded()
+
+      wrapper.vm.onItemSaved({ ...wrapper.vm.menuItems[0], name: 'Start' }, { created: false })
+      mockRequest.put.mockRejectedValueOnce(new Error('Network error'))
+
+      await wrapper.vm.undo()
+
+      expect(wrapper.vm.canUndo).toBe(true)
+      expect(wrapper.vm.canRedo).toBe(false)
+      expect(Nova.$toasted.error).toHaveBeenCalledWith('Failed to undo edit')
+    })
+
+    it('handles Ctrl+Z and Ctrl+Shift+Z shortcuts', async () => {
+      await mountLoaded()
+
+      const undoSpy = vi.spyOn(wrapper.vm, 'undo').mockImplementation(() => {})
+      const redoSpy = vi.spyOn(wrapper.vm, 'redo').mockImplementation(() => {})
+
+      wrapper.vm.handleKeydown(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true }))
+      wrapper.vm.handleKeydown(new KeyboardEvent('keydown', { key: 'Z', ctrlKey: true, shiftKey: true }))
+
+      expect(undoSpy).toHaveBeenCalledTimes(1)
+      expect(redoSpy).toHaveBeenCalledTimes(1)
+    })
+
+    it('ignores shortcuts while typing in a form field', async () => {
+      await mountLoaded()
+
+      const undoSpy = vi.spyOn(wrapper.vm, 'undo').mockImplementation(() => {})
+      const input = document.createElement('input')
+      document.body.appendChild(input)
+
+      input.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }))
+
+      expect(undoSpy).not.toHaveBeenCalled()
+      input.remove()
+    })
+  })
+
+  describe('Draft Mode', () => {
+    const live = () => ([
+      { id: 1, name: 'Home', children: [] },
+      { id: 2, name: 'Shop', children: [] }
+    ])
+
+    beforeEach(() => {
+      Object.values(MenuEdit.methods).forEach(method => {
+        if (vi.isMockFunction(method)) {
+          method.mockRestore()
+        }
+      })
+
+      mockRequest.get.mockImplementation((url) => {
+        if (url.endsWith('/draft')) {
+          return Promise.resolve({
+            data: {
+              success: true,
+              data: { has_draft: true, items: [live()[1], live()[0]], live: live(), updated_at: null }
+            }
+          })
+        }
+        return Promise.resolve({
+          data: { success: true, data: { id: 1, name: 'Test Menu', max_depth: 5, drafts_enabled: true, has_draft: true } }
+        })
+      })
+      mockRequest.put.mockResolvedValue({ data: { success: true, data: { has_draft: true } } })
+      mockRequest.post.mockResolvedValue({ data: { success: true, data: [] } })
+      mockRequest.delete.mockResolvedValue({ data: { success: true } })
+    })
+
+    it('loads the draft tree instead of the live items', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/draft')
+      expect(mockRequest.get).not.toHaveBeenCalledWith('/nova-vendor/menus/menus/1/items')
+      expect(wrapper.vm.menuItems.map(item => item.id)).toEqual([2, 1])
+    })
+
+    it('shows the unpublished changes banner with a diff summary', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      expect(wrapper.text()).toContain('This menu has unpublished changes')
+      expect(wrapper.vm.draftSummary).toBe('2 moved')
+    })
+
+    it('saves structure changes to the draft rather than rebuilding the live menu', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      await wrapper.vm.rebuildMenuStructure()
+
+      expect(mockRequest.put).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/draft', {
+        menu_structure: expect.any(Array)
+      })
+      expect(mockRequest.put).not.toHaveBeenCalledWith(
+        '/nova-vendor/menus/menus/1/items/rebuild',
+        expect.anything()
+      )
+      expect(wrapper.vm.canUndo).toBe(true)
+    })
+
+    it('gives new items a draft key and keeps it in the draft payload', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      wrapper.vm.showAddItemModal()
+      const newItem = wrapper.vm.menuItems.at(-1)
+      newItem.name = 'Blog'
+
+      expect(newItem.draft_key).toMatch(/^draft-/)
+
+      wrapper.vm.onItemSaved(newItem, { created: true })
+      await flushPromises()
+
+      const structure = mockRequest.put.mock.calls.at(-1)[1].menu_structure
+      expect(structure.at(-1)).toMatchObject({ name: 'Blog', draft_key: newItem.draft_key })
+      expect(structure.at(-1)).not.toHaveProperty('id')
+    })
+
+    it('removes deleted items from the draft', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      wrapper.vm.removeItemFromMenuItems(wrapper.vm.menuItems[0])
+      await flushPromises()
+
+      const structure = mockRequest.put.mock.calls.at(-1)[1].menu_structure
+      expect(structure.map(item => item.id)).toEqual([1])
+      expect(mockRequest.delete).not.toHaveBeenCalled()
+    })
+
+    it('publishes the draft and clears history', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      wrapper.vm.history.record('move', [], [])
+      await wrapper.vm.publishDraft()
+
+      expect(mockRequest.post).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/draft/publish')
+      expect(Nova.$toasted.success).toHaveBeenCalledWith('Menu published successfully')
+      expect(wrapper.vm.canUndo).toBe(false)
+    })
+
+    it('discards the draft after confirmation', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      await wrapper.vm.discardDraft()
+
+      expect(global.confirm).toHaveBeenCalled()
+      expect(mockRequest.delete).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/draft')
+    })
+  })
+
+  describe('Revision History', () => {
+    const MockRevisionHistory = {
+      name: 'RevisionHistory',
+      props: ['menuId'],
+      emits: ['restored'],
+      template: '<div class="mock-revision-history"></div>'
+    }
+
+    beforeEach(() => {
+      Object.values(MenuEdit.methods).forEach(method => {
+        if (vi.isMockFunction(method)) {
+          method.mockRestore()
+        }
+      })
+
+      mockRequest.get.mockImplementation((url) => {
+        if (url.endsWith('/items')) {
+          return Promise.resolve({ data: { success: true, data: [{ id: 1, name: 'Home', children: [] }] } })
+        }
+        return Promise.resolve({ data: { success: true, data: { id: 1, name: 'Test Menu', max_depth: 5 } } })
+      })
+    })
+
+    const createHistoryWrapper = () => createWrapper({ menuId: 1 }, {
+      global: {
+        components: {
+          Card: MockCard,
+          Heading: MockHeading,
+          Head: MockHead,
+          Nested: MockNested
+        },
+        stubs: {
+          RevisionHistory: MockRevisionHistory
+        }
+      }
+    })
+
+    it('toggles the history panel from the toolbar', async () => {
+      wrapper = createHistoryWrapper()
+      await flushPromises()
+
+      expect(wrapper.find('.mock-revision-history').exists()).toBe(false)
+
+      const historyButton = wrapper.findAll('button').find(button => button.text() === 'History')
+      await historyButton.trigger('click')
+
+      const panel = wrapper.findComponent(MockRevisionHistory)
+      expect(panel.exists()).toBe(true)
+      expect(panel.props('menuId')).toBe(1)
+    })
+
+    it('reloads the tree and clears undo history after a restore', async () => {
+      wrapper = createHistoryWrapper()
+      await flushPromises()
+
+      wrapper.vm.showHistory = true
+      wrapper.vm.history.record('move', [], [])
+      await wrapper.vm.$nextTick()
+      mockRequest.get.mockClear()
+
+      wrapper.findComponent(MockRevisionHistory).vm.$emit('restored', [])
+      await flushPromises()
+
+      expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/items')
+      expect(wrapper.vm.canUndo).toBe(false)
+    })
+  })
+
+  describe('Copy to Menu', () => {
+    const MockCopyItemModal = {
+      name: 'CopyItemModal',
+      props: ['item', 'menuId', 'draft'],
+      emits: ['copied', 'close'],
+      template: '<div class="mock-copy-item-modal"></div>'
+    }
+
+    beforeEach(() => {
+      Object.values(MenuEdit.methods).forEach(method => {
+        if (vi.isMockFunction(method)) {
+          method.mockRestore()
+        }
+      })
+
+      mockRequest.get.mockImplementation((url) => {
+        if (url.endsWith('/items')) {
+          return Promise.resolve({ data: { success: true, data: [{ id: 1, name: 'Home', children: [] }] } })
+        }
+        return Promise.resolve({ data: { success: true, data: { id: 1, name: 'Test Menu', max_depth: 5 } } })
+      })
+    })
+
+    const createCopyWrapper = () => createWrapper({ menuId: 1 }, {
+      global: {
+        components: {
+          Card: MockCard,
+          Heading: MockHeading,
+          Head: MockHead,
+          Nested: MockNested
+        },
+        stubs: {
+          CopyItemModal: MockCopyItemModal
+        }
+      }
+    })
+
+    it('opens the copy dialog for the item picked in the tree', async () => {
+      wrapper = createCopyWrapper()
+      await flushPromises()
+
+      const item = wrapper.vm.menuItems[0]
+      wrapper.findComponent(MockNested).vm.$emit('copy-item', item)
+      await wrapper.vm.$nextTick()
+
+      const modal = wrapper.findComponent(MockCopyItemModal)
+      expect(modal.exists()).toBe(true)
+      expect(modal.props('item')).toStrictEqual(item)
+      expect(modal.props('menuId')).toBe(1)
+
+      modal.vm.$emit('close')
+      await wrapper.vm.$nextTick()
+
+      expect(wrapper.findComponent(MockCopyItemModal).exists()).toBe(false)
+    })
+
+    it('reloads the tree when the copy lands in this menu', async () => {
+      wrapper = createCopyWrapper()
+      await flushPromises()
+
+      wrapper.vm.copyingItem = wrapper.vm.menuItems[0]
+      wrapper.vm.history.record('move', [], [])
+      await wrapper.vm.$nextTick()
+      mockRequest.get.mockClear()
+
+      wrapper.findComponent(MockCopyItemModal).vm.$emit('copied', { menu_id: 1, drafted: false })
+      await flushPromises()
+
+      expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/items')
+      expect(wrapper.vm.canUndo).toBe(false)
+    })
+
+    it('leaves the tree alone when the copy goes to another menu', async () => {
+      wrapper = createCopyWrapper()
+      await flushPromises()
+
+      wrapper.vm.copyingItem = wrapper.vm.menuItems[0]
+      await wrapper.vm.$nextTick()
+      mockRequest.get.mockClear()
+
+      wrapper.findComponent(MockCopyItemModal).vm.$emit('copied', { menu_id: 2, drafted: false })
+      await flushPromises()
+
+      expect(mockRequest.get).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Split View', () => {
+    const MockSplitMenuPane = {
+      name: 'SplitMenuPane',
+      props: ['excludeMenuId', 'draft'],
+      emits: ['structure-changed', 'copy-item', 'close'],
+      data() {
+        return {
+          menuId: 2,
+          menu: { id: 2, name: 'Footer', max_depth: 2 },
+          items: [{ id: 20, name: 'Legal', children: [] }],
+          syncedItems: [{ id: 20, name: 'Legal', children: [] }]
+        }
+      },
+      methods: {
+        hasUnsavedChanges: vi.fn(() => false),
+        save: vi.fn().mockResolvedValue(),
+        reload: vi.fn().mockResolvedValue()
+      },
+      template: '<div class="mock-split-pane"></div>'
+    }
+
+    beforeEach(() => {
+      Object.values(MenuEdit.methods).forEach(method => {
+        if (vi.isMockFunction(method)) {
+          method.mockRestore()
+        }
+      })
+
+      mockRequest.get.mockImplementation((url) => {
+        if (url.endsWith('/items')) {
+          return Promise.resolve({
+            data: {
+              success: true,
+              data: [
+                { id: 1, name: 'Home', children: [] },
+                { id: 2, name: 'Shop', children: [{ id: 3, name: 'Sale', children: [] }] }
+              ]
+            }
+          })
+        }
+        return Promise.resolve({ data: { success: true, data: { id: 1, name: 'Test Menu', max_depth: 5 } } })
+      })
+      mockRequest.post.mockResolvedValue({ data: { success: true, data: {} } })
+      mockRequest.put.mockResolvedValue({ data: { success: true, data: {} } })
+    })
+
+    const createSplitWrapper = async () => {
+      const editor = createWrapper({ menuId: 1 }, {
+        global: {
+          components: {
+            Card: MockCard,
+            Heading: MockHeading,
+            Head: MockHead,
+            Nested: MockNested
+          },
+          stubs: {
+            SplitMenuPane: MockSplitMenuPane
+          }
+        }
+      })
+      await flushPromises()
+
+      const splitButton = editor.findAll('button').find(button => button.text() === 'Split View')
+      await splitButton.trigger('click')
+
+      return editor
+    }
+
+    it('opens a second menu next to the editor', async () => {
+      wrapper = await createSplitWrapper()
+
+      const pane = wrapper.findComponent(MockSplitMenuPane)
+      expect(pane.exists()).toBe(true)
+      expect(pane.props('excludeMenuId')).toBe(1)
+
+      pane.vm.$emit('close')
+      await wrapper.vm.$nextTick()
+
+      expect(wrapper.findComponent(MockSplitMenuPane).exists()).toBe(false)
+    })
+
+    it('moves an item dragged into the second menu on the server', async () => {
+      wrapper = await createSplitWrapper()
+      const pane = wrapper.findComponent(MockSplitMenuPane).vm
+
+      // Simulate the drop: the item leaves this menu and lands in the other
+      const [shop] = wrapper.vm.menuItems.splice(1, 1)
+      pane.items.unshift(shop)
+      wrapper.vm.history.record('move', [], [])
+
+      wrapper.findComponent(MockNested).vm.$emit('structure-changed')
+      wrapper.findComponent(MockSplitMenuPane).vm.$emit('structure-changed')
+      await flushPromises()
+
+      expect(mockRequest.post).toHaveBeenCalledTimes(1)
+      expect(mockRequest.post).toHaveBeenCalledWith('/nova-vendor/menus/menu-items/2/move', {
+        parent_id: 2,
+        position: 0
+      })
+      expect(mockRequest.put).not.toHaveBeenCalled()
+      expect(Nova.$toasted.success).toHaveBeenCalledWith('"Shop" moved to "Footer"')
+      expect(MockSplitMenuPane.methods.reload).toHaveBeenCalled()
+      expect(wrapper.vm.canUndo).toBe(false)
+    })
+
+    it('reports moves that were made in the drafts', async () => {
+      mockRequest.post.mockResolvedValueOnce({ data: { success: true, data: { drafted: true } } })
+      wrapper = await createSplitWrapper()
+      const pane = wrapper.findComponent(MockSplitMenuPane).vm
+
+      const [shop] = wrapper.vm.menuItems.splice(1, 1)
+      pane.items.unshift(shop)
+
+      wrapper.findComponent(MockNested).vm.$emit('structure-changed')
+      wrapper.findComponent(MockSplitMenuPane).vm.$emit('structure-changed')
+      await flushPromises()
+
+      expect(Nova.$toasted.success).toHaveBeenCalledWith('"Shop" moved to the draft of "Footer"')
+    })
+
+    it('moves an item dragged from the second menu under an item of this one', async () => {
+      wrapper = await createSplitWrapper()
+      const pane = wrapper.findComponent(MockSplitMenuPane).vm
+
+      const [legal] = pane.items.splice(0, 1)
+      wrapper.vm.menuItems[1].children.push(legal)
+
+      wrapper.findComponent(MockSplitMenuPane).vm.$emit('structure-changed')
+      await flushPromises()
+
+      expect(mockRequest.post).toHaveBeenCalledWith('/nova-vendor/menus/menu-items/20/move', {
+        parent_id: 2,
+        position: 1
+      })
+    })
+
+    it('reloads both trees when the server rejects the move', async () => {
+      mockRequest.post.mockRejectedValueOnce({
+        response: {
+          status: 422,
+          data: {
+            message: 'Validation failed',
+            errors: { parent_id: ['Menu "Footer" allows at most 2 levels. These items would be nested deeper: "Sale".'] }
+          }
+        }
+      })
+
+      wrapper = await createSplitWrapper()
+      const pane = wrapper.findComponent(MockSplitMenuPane).vm
+
+      const [shop] = wrapper.vm.menuItems.splice(1, 1)
+      pane.items.push(shop)
+      mockRequest.get.mockClear()
+
+      wrapper.findComponent(MockNested).vm.$emit('structure-changed')
+      await flushPromises()
+
+      expect(Nova.$toasted.error).toHaveBeenCalledWith(
+        'Failed to move item: Menu "Footer" allows at most 2 levels. These items would be nested deeper: "Sale".'
+      )
+      expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/items')
+      expect(MockSplitMenuPane.methods.reload).toHaveBeenCalled()
+    })
+
+    it('saves a pane rearranged on its own without moving anything', async () => {
+      MockSplitMenuPane.methods.hasUnsavedChanges.mockReturnValueOnce(true)
+
+      wrapper = await createSplitWrapper()
+
+      wrapper.findComponent(MockSplitMenuPane).vm.$emit('structure-changed')
+      await flushPromises()
+
+      expect(mockRequest.post).not.toHaveBeenCalled()
+      expect(MockSplitMenuPane.methods.save).toHaveBeenCalled()
+      expect(mockRequest.put).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Preview', () => {
+    const MockMenuPreview = {
+      name: 'MenuPreview',
+      props: ['menuId', 'draft'],
+      emits: ['close'],
+      methods: {
+        reload: vi.fn().mockResolvedValue()
+      },
+      template: '<div class="mock-preview"></div>'
+    }
+
+    beforeEach(() => {
+      Object.values(MenuEdit.methods).forEach(method => {
+        if (vi.isMockFunction(method)) {
+          method.mockRestore()
+        }
+      })
+
+      mockRequest.get.mockImplementation((url) => {
+        if (url.endsWith('/items')) {
+          return Promise.resolve({ data: { success: true, data: [{ id: 1, name: 'Home', children: [] }] } })
+        }
+        return Promise.resolve({ data: { success: true, data: { id: 1, name: 'Test Menu', max_depth: 5 } } })
+      })
+    })
+
+    const createPreviewWrapper = async () => {
+      const editor = createWrapper({ menuId: 1 }, {
+        global: {
+          components: {
+            Card: MockCard,
+            Heading: MockHeading,
+            Head: MockHead,
+            Nested: MockNested
+          },
+          stubs: {
+            MenuPreview: MockMenuPreview
+          }
+        }
+      })
+      await flushPromises()
+
+      await editor.findAll('button').find(button => button.text() === 'Preview').trigger('click')
+
+      return editor
+    }
+
+    it('opens and closes the preview of this menu', async () => {
+      wrapper = await createPreviewWrapper()
+
+      const preview = wrapper.findComponent(MockMenuPreview)
+      expect(preview.exists()).toBe(true)
+      expect(preview.props()).toEqual({ menuId: 1, draft: false })
+
+      preview.vm.$emit('close')
+      await wrapper.vm.$nextTick()
+
+      expect(wrapper.findComponent(MockMenuPreview).exists()).toBe(false)
+    })
+
+    it('refreshes the preview whenever the tree is saved or reloaded', async () => {
+      wrapper = await createPreviewWrapper()
+      MockMenuPreview.methods.reload.mockClear()
+
+      await wrapper.vm.loadMenuItems()
+      await flushPromises()
+
+      expect(MockMenuPreview.methods.reload).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('Health', () => {
+    const MockMenuHealth = {
+      name: 'MenuHealth',
+      props: ['menuId'],
+      emits: ['close'],
+      template: '<div class="mock-health"></div>'
+    }
+
+    it('opens and closes the link report of this menu', async () => {
+      mockRequest.get.mockImplementation((url) => {
+        if (url.endsWith('/items')) {
+          return Promise.resolve({ data: { success: true, data: [] } })
+        }
+        return Promise.resolve({ data: { success: true, data: { id: 1, name: 'Test Menu', max_depth: 5 } } })
+      })
+
+      wrapper = createWrapper({ menuId: 1 }, {
+        global: {
+          components: {
+            Card: MockCard,
+            Heading: MockHeading,
+            Head: MockHead,
+            Nested: MockNested
+          },
+          stubs: {
+            MenuHealth: MockMenuHealth
+          }
+        }
+      })
+      await flushPromises()
+
+      await wrapper.findAll('button').find(button => button.text() === 'Health').trigger('click')
+
+      const health = wrapper.findComponent(MockMenuHealth)
+      expect(health.exists()).toBe(true)
+      expect(health.props()).toEqual({ menuId: 1 })
+
+      health.vm.$emit('close')
+      await wrapper.vm.$nextTick()
+
+      expect(wrapper.findComponent(MockMenuHealth).exists()).toBe(false)
+    })
+  })
+
+  describe('Bulk Actions', () => {
+    const tree = () => [
+      { id: 1, name: 'Home', children: [] },
+      { id: 2, name: 'Shop', children: [{ id: 3, name: 'Sale', children: [] }] },
+      { id: 4, name: 'About', children: [] }
+    ]
+
+    const useMenu = (menu) => {
+      mockRequest.get.mockImplementation((url) => {
+        if (url.endsWith('/items')) {
+          return Promise.resolve({ data: { success: true, data: tree() } })
+        }
+        if (url.endsWith('/draft')) {
+          return Promise.resolve({ data: { success: true, data: { has_draft: false, items: tree(), live: tree() } } })
+        }
+        return Promise.resolve({ data: { success: true, data: { id: 1, name: 'Test Menu', ...menu } } })
+      })
+    }
+
+    beforeEach(() => {
+      useMenu({ max_depth: 3 })
+      mockRequest.post.mockResolvedValue({ data: { success: true, data: { count: 2 }, message: '2 menu items updated successfully' } })
+      mockRequest.put.mockResolvedValue({ data: { success: true, data: { has_draft: true } } })
+      global.confirm = vi.fn(() => true)
+    })
+
+    const item = id => {
+      let found = null
+      const find = items => items.forEach(entry => {
+        if (entry.id === id) found = entry
+        find(entry.children || [])
+      })
+      find(wrapper.vm.menuItems)
+
+      return found
+    }
+
+    it('selects items one by one and shift-click selects a range in tree order', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      const nested = wrapper.findComponent(MockNested)
+      nested.vm.$emit('toggle-select', item(1), false)
+      nested.vm.$emit('toggle-select', item(3), true)
+      await wrapper.vm.$nextTick()
+
+      expect(wrapper.vm.selection).toEqual([1, 2, 3])
+      expect(wrapper.text()).toContain('3 items selected')
+
+      nested.vm.$emit('toggle-select', item(2), false)
+      expect(wrapper.vm.selection).toEqual([1, 3])
+    })
+
+    it('sends the selection to the batch endpoint and reloads the tree', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      wrapper.vm.toggleSelection(item(1))
+      wrapper.vm.toggleSelection(item(4))
+      mockRequest.get.mockClear()
+
+      await wrapper.vm.applyBulkAction({ action: 'appearance', target: '_blank' })
+
+      expect(mockRequest.post).toHaveBeenCalledWith('/nova-vendor/menus/menu-items/batch', {
+        menu_id: 1,
+        ids: [1, 4],
+        action: 'appearance',
+        target: '_blank'
+      })
+      expect(Nova.$toasted.success).toHaveBeenCalledWith('2 menu items updated successfully')
+      expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/items')
+      expect(wrapper.vm.selection).toEqual([])
+      expect(wrapper.vm.undoLabel).toBe('bulk appearance')
+    })
+
+    it('moves to the top level under the menu itself', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      wrapper.vm.toggleSelection(item(3))
+      await wrapper.vm.applyBulkAction({ action: 'move', parent_key: null })
+
+      expect(mockRequest.post).toHaveBeenCalledWith('/nova-vendor/menus/menu-items/batch', {
+        menu_id: 1,
+        ids: [3],
+        action: 'move',
+        parent_id: 1
+      })
+    })
+
+    it('asks before deleting', async () => {
+      global.confirm = vi.fn(() => false)
+      wrapper = createWrapper()
+      await flushPromises()
+
+      wrapper.vm.toggleSelection(item(1))
+      await wrapper.vm.applyBulkAction({ action: 'delete' })
+
+      expect(global.confirm).toHaveBeenCalled()
+      expect(mockRequest.post).not.toHaveBeenCalled()
+    })
+
+    it('shows the server error and keeps the selection when the batch fails', async () => {
+      mockRequest.post.mockRejectedValueOnce({
+        response: {
+          status: 422,
+          data: {
+            message: 'Validation failed',
+            errors: { parent_id: ['Menu "Test Menu" allows at most 3 levels. These items would be nested deeper: "Sale".'] }
+          }
+        }
+      })
+
+      wrapper = createWrapper()
+      await flushPromises()
+
+      wrapper.vm.toggleSelection(item(2))
+      await wrapper.vm.applyBulkAction({ action: 'move', parent_key: 3 })
+
+      expect(Nova.$toasted.error).toHaveBeenCalledWith(
+        'Failed to update selected items: Menu "Test Menu" allows at most 3 levels. These items would be nested deeper: "Sale".'
+      )
+      expect(wrapper.vm.selection).toEqual([2])
+    })
+
+    it('offers only parents with room for children outside the selection', async () => {
+      useMenu({ max_depth: 2 })
+      wrapper = createWrapper()
+      await flushPromises()
+
+      wrapper.vm.toggleSelection(item(2))
+
+      expect(wrapper.vm.bulkParentOptions.map(option => [option.key, option.disabled])).toEqual([
+        [1, false],
+        [2, true],
+        [3, true],
+        [4, false]
+      ])
+    })
+
+    describe('in draft mode', () => {
+      beforeEach(() => {
+        useMenu({ max_depth: 3, drafts_enabled: true })
+      })
+
+      it('moves the selected subtrees in the editor tree and saves the draft', async () => {
+        wrapper = createWrapper()
+        await flushPromises()
+
+        wrapper.vm.toggleSelection(item(1))
+        wrapper.vm.toggleSelection(item(4))
+        await wrapper.vm.applyBulkAction({ action: 'move', parent_key: 2 })
+
+        expect(mockRequest.post).not.toHaveBeenCalled()
+        expect(wrapper.vm.menuItems.map(entry => entry.id)).toEqual([2])
+        expect(item(2).children.map(entry => entry.id)).toEqual([3, 1, 4])
+        expect(mockRequest.put).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/draft', {
+          menu_structure: expect.any(Array)
+        })
+      })
+
+      it('refuses a move past the max depth', async () => {
+        wrapper = createWrapper()
+        await flushPromises()
+
+        wrapper.vm.toggleSelection(item(2))
+        await wrapper.vm.applyBulkAction({ action: 'move', parent_key: 1 })
+
+        wrapper.vm.toggleSelection(item(4))
+        await wrapper.vm.applyBulkAction({ action: 'move', parent_key: 3 })
+
+        expect(Nova.$toasted.error).toHaveBeenCalledWith('Moving "About" there would exceed the maximum depth of 3')
+        expect(item(4)).not.toBe(null)
+        expect(wrapper.vm.menuItems.map(entry => entry.id)).toEqual([1, 4])
+      })
+
+      it('hides and deletes items without calling the batch endpoint', async () => {
+        wrapper = createWrapper()
+        await flushPromises()
+
+        wrapper.vm.toggleSelection(item(3))
+        await wrapper.vm.applyBulkAction({ action: 'hide' })
+        expect(item(3).is_active).toBe(false)
+
+        wrapper.vm.toggleSelection(item(2))
+        await wrapper.vm.applyBulkAction({ action: 'delete' })
+
+        expect(wrapper.vm.menuItems.map(entry => entry.id)).toEqual([1, 4])
+        expect(mockRequest.post).not.toHaveBeenCalled()
+        expect(wrapper.vm.undoLabel).toBe('bulk delete')
+      })
+    })
+  })
+})
@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import MenuHealth from '../../resources/js/components/MenuHealth.vue'
+
+describe('MenuHealth.vue', () => {
+  let wrapper
+  let mockRequest
+
+  const healthData = (problems = []) => ({
+    data: {
+      success: true,
+      data: {
+        items_checked: 3,
+        problems,
+        labels: { missing_resource: 'Missing record', unmatched_route: 'No matching route' },
+        checked_at: '2024-01-01T00:00:00.000Z'
+      }
+    }
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      get: vi.fn().mockResolvedValue(healthData([
+        { menu_id: 1, menu: 'Main', item_id: 2, item: 'Shoes', problem: 'missing_resource', url: null, message: 'Product #5 does not exist' },
+        { menu_id: 1, menu: 'Main', item_id: 3, item: 'Old Page', problem: 'unmatched_route', url: '/old', message: 'No registered route matches this path' }
+      ]))
+    }
+
+    Nova.request.mockReturnValue(mockRequest)
+  })
+
+  afterEach(() => {
+    wrapper?.unmount()
+  })
+
+  const createWrapper = async () => {
+    const health = mount(MenuHealth, {
+      props: { menuId: 1 }
+    })
+
+    await flushPromises()
+
+    return health
+  }
+
+  it('checks the links of the menu when opened', async () => {
+    wrapper = await createWrapper()
+
+    expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/health')
+  })
+
+  it('lists each problem with its label, URL and details', async () => {
+    wrapper = await createWrapper()
+
+    const problems = wrapper.findAll('.health-problem')
+    expect(problems).toHaveLength(2)
+    expect(problems[0].text()).toContain('Missing record')
+    expect(problems[0].text()).toContain('Shoes')
+    expect(problems[0].text()).toContain('Product #5 does not exist')
+    expect(problems[1].find('code').text()).toBe('/old')
+  })
+
+  it('reports a clean menu', async () => {
+    mockRequest.get.mockResolvedValue(healthData())
+    wrapper = await createWrapper()
+
+    expect(wrapper.find('.health-ok').text()).toBe('No problems found in 3 item(s).')
+  })
+
+  it('leaves HTTP checks to the command', async () => {
+    wrapper = await createWrapper()
+
+    expect(wrapper.find('input[type="checkbox"]').exists()).toBe(false)
+    expect(mockRequest.get.mock.lastCall).toEqual(['/nova-vendor/menus/menus/1/health'])
+    expect(wrapper.text()).toContain('menus:check-links --http')
+  })
+
+  it('shows an error toast when the check fails', async () => {
+    mockRequest.get.mockRejectedValue(new Error('Network error'))
+    wrapper = await createWrapper()
+
+    expect(Nova.$toasted.error).toHaveBeenCalledWith('Failed to check links: Network error')
+  })
+
+  it('emits close', async () => {
+    wrapper = await createWrapper()
+
+    await wrapper.findAll('button').find(button => button.text() === 'Close').trigger('click')
+
+    expect(wrapper.emitted('close')).toHaveLength(1)
+  })
+})
@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import MenuHistory from '../../resources/js/utils/MenuHistory'
+
+describe('MenuHistory', () => {
+  let history
+
+  beforeEach(() => {
+    history = new MenuHistory(3)
+  })
+
+  it('moves entries between the undo and redo stacks', () => {
+    history.record('move', ['a'], ['b'])
+
+    expect(history.canUndo()).toBe(true)
+    expect(history.undo().label).toBe('move')
+    expect(history.canUndo()).toBe(false)
+    expect(history.canRedo()).toBe(true)
+    expect(history.redo().after).toEqual(['b'])
+    expect(history.canUndo()).toBe(true)
+  })
+
+  it('clears the redo stack when a new operation is recorded', () => {
+    history.record('move', [], [])
+    history.undo()
+    history.record('edit', [], [])
+
+    expect(history.canRedo()).toBe(false)
+    expect(history.nextUndoLabel()).toBe('edit')
+  })
+
+  it('drops the oldest entries beyond the limit', () => {
+    ;['one', 'two', 'three', 'four'].forEach(label => history.record(label, [], []))
+
+    expect(history.undoStack.map(entry => entry.label)).toEqual(['two', 'three', 'four'])
+  })
+
+  it('restores an entry after a failed undo', () => {
+    history.record('delete', [], [])
+    const entry = history.undo()
+
+    history.restore(entry, 'undo')
+
+    expect(history.canUndo()).toBe(true)
+    expect(history.canRedo()).toBe(false)
+  })
+
+  it('resolves chains of recreated IDs', () => {
+    history.alias(1, 5)
+    history.alias(5, 9)
+
+    expect(history.resolveId(1)).toBe(9)
+    expect(history.resolveId(2)).toBe(2)
+  })
+})
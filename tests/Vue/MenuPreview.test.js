@@ -0,0 +1,125 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import MenuPreview from '../../resources/js/components/MenuPreview.vue'
+
+describe('MenuPreview.vue', () => {
+  let wrapper
+  let mockRequest
+
+  const previewItems = [
+    { id: 1, name: 'Home', url: '/', target: '_self', css_class: null, children: [] },
+    {
+      id: 2,
+      name: 'Shop',
+      url: '/shop',
+      target: '_self',
+      css_class: 'highlight',
+      children: [
+        {
+          id: 3,
+          name: 'Sale',
+          url: '/sale',
+          target: '_blank',
+          css_class: null,
+          children: [{ id: 4, name: 'Last Chance', url: '/sale/last', target: '_self', css_class: null, children: [] }]
+        }
+      ]
+    }
+  ]
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      get: vi.fn().mockResolvedValue({
+        data: { success: true, data: { items: previewItems, at: '2024-01-01T00:00:00.000Z' } }
+      })
+    }
+
+    Nova.request.mockReturnValue(mockRequest)
+  })
+
+  afterEach(() => {
+    wrapper?.unmount()
+  })
+
+  const createWrapper = async (props = {}) => {
+    const preview = mount(MenuPreview, {
+      props: { menuId: 1, ...props }
+    })
+
+    await flushPromises()
+
+    return preview
+  }
+
+  it('fetches the server-filtered tree of the menu', async () => {
+    wrapper = await createWrapper()
+
+    expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/preview', { params: {} })
+  })
+
+  it('renders the top level as a navigation bar with dropdowns', async () => {
+    wrapper = await createWrapper()
+
+    const topLevel = wrapper.findAll('.preview-nav-item')
+    expect(topLevel.map(item => item.find('a').text())).toEqual(['Home', 'Shop ▾'])
+    expect(topLevel[1].find('a').classes()).toContain('highlight')
+
+    const dropdown = topLevel[1].findAll('.preview-dropdown a')
+    expect(dropdown.map(link => link.text())).toEqual(['Sale', 'Last Chance'])
+    expect(dropdown[0].attributes('target')).toBe('_blank')
+    expect(topLevel[0].find('.preview-dropdown').exists()).toBe(false)
+  })
+
+  it('renders every item as an indented mobile drawer', async () => {
+    wrapper = await createWrapper()
+
+    await wrapper.findAll('button').find(button => button.text() === 'Mobile drawer').trigger('click')
+
+    const links = wrapper.findAll('.preview-drawer a')
+    expect(links.map(link => link.text())).toEqual(['Home', 'Shop', 'Sale', 'Last Chance'])
+    expect(links[3].attributes('style')).toContain('padding-left: 3rem')
+  })
+
+  it('previews the menu as of the chosen moment', async () => {
+    wrapper = await createWrapper()
+
+    await wrapper.find('input[type="datetime-local"]').setValue('2024-06-01T09:00')
+    await wrapper.find('input[type="datetime-local"]').trigger('change')
+    await flushPromises()
+
+    const [, config] = mockRequest.get.mock.lastCall
+    expect(config.params.at).toEqual(expect.stringMatching(/^2024-06-01T09:00:00/))
+    expect(wrapper.text()).toContain('at the chosen moment')
+
+    await wrapper.findAll('button').find(button => button.text() === 'Now').trigger('click')
+    await flushPromises()
+
+    expect(mockRequest.get.mock.lastCall[1]).toEqual({ params: {} })
+    expect(wrapper.text()).toContain('right now')
+  })
+
+  it('says when visitors would see an empty menu', async () => {
+    mockRequest.get.mockResolvedValue({ data: { success: true, data: { items: [], at: null } } })
+
+    wrapper = await createWrapper()
+
+    expect(wrapper.text()).toContain('Visitors would see an empty menu.')
+  })
+
+  it('notes that drafts are not part of the preview', async () => {
+    wrapper = await createWrapper({ draft: true })
+
+    expect(wrapper.text()).toContain('Unpublished draft changes are not included.')
+  })
+
+  it('shows an error when the preview cannot be loaded', async () => {
+    mockRequest.get.mockRejectedValue({ response: { data: { message: 'Menu not found' } } })
+
+    wrapper = await createWrapper()
+
+    expect(Nova.$toasted.error).toHaveBeenCalledWith('Failed to load preview: Menu not found')
+    expect(wrapper.vm.items).toEqual([])
+  })
+})
@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import { mount } from '@vue/test-utils'
+import { reactive } from 'vue'
 import Nested from '../../resources/js/components/Nested.vue'
 
 // Mock vuedraggable
@@ -95,6 +96,260 @@ describe('Nested.vue', () => {
 
       expect(wrapper.emitted('structure-changed')).toBeTruthy()
     })
+
+    describe('max depth', () => {
+      const list = (depth, maxDepth) => {
+        const element = document.createElement('ul')
+        element.className = 'dragArea'
+        element.dataset.depth = depth
+        element.dataset.maxDepth = maxDepth
+        document.body.appendChild(element)
+
+        return element
+      }
+
+      const branch = {
+        id: 1,
+        name: 'Shop',
+        children: [{ id: 2, name: 'Sale', children: [{ id: 3, name: 'Shoes', children: [] }] }]
+      }
+
+      afterEach(() => {
+        document.body.innerHTML = ''
+      })
+
+      it('allows a drop that keeps the whole subtree within the limit', () => {
+        wrapper = createWrapper({ items: [branch], maxDepth: 3 })
+
+        expect(wrapper.vm.checkMove({ to: list(0, 3), draggedContext: { element: branch } })).toBe(true)
+        expect(wrapper.vm.checkMove({ to: list(1, 3), draggedContext: { element: branch.children[0] } })).toBe(true)
+      })
+
+      it('refuses a drop that would push the deepest descendant past the limit', () => {
+        wrapper = createWrapper({ items: [branch], maxDepth: 3 })
+        const target = list(1, 3)
+
+        expect(wrapper.vm.checkMove({ to: target, draggedContext: { element: branch } })).toBe(false)
+        expect(target.classList.contains('depth-exceeded')).toBe(true)
+        expect(target.dataset.depthMessage).toBe('"Shop" and its children would exceed the maximum depth of 3')
+      })
+
+      it('uses the limit of the list being dropped into', () => {
+        wrapper = createWrapper({ items: [branch], maxDepth: 5 })
+
+        // A list in the split view's second menu, which only allows two levels
+        expect(wrapper.vm.checkMove({ to: list(0, 2), draggedContext: { element: branch } })).toBe(false)
+      })
+
+      it('clears the indicator when the drag moves on or ends', () => {
+        wrapper = createWrapper({ items: [branch], maxDepth: 3 })
+        const refused = list(2, 3)
+        const accepted = list(0, 3)
+
+        wrapper.vm.checkMove({ to: refused, draggedContext: { element: branch } })
+        wrapper.vm.checkMove({ to: accepted, draggedContext: { element: branch } })
+
+        expect(refused.classList.contains('depth-exceeded')).toBe(false)
+        expect(refused.dataset.depthMessage).toBeUndefined()
+
+        wrapper.vm.checkMove({ to: refused, draggedContext: { element: branch } })
+        wrapper.vm.clearDepthIndicators()
+
+        expect(document.querySelectorAll('.depth-exceeded')).toHaveLength(0)
+      })
+    })
+  })
+
+  describe('Keyboard Tree Editing', () => {
+    const keydown = (element, key, modifiers = {}) => {
+      const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...modifiers })
+      element.dispatchEvent(event)
+
+      return event
+    }
+
+    const treeItem = name => wrapper.find(`[role="treeitem"][aria-label="${name}"]`).element
+
+    const liveRegion = () => document.querySelector('[aria-live="polite"]')?.textContent
+
+    const createTree = (props = {}) => {
+      const items = reactive([
+        { id: 1, name: 'Home', children: [] },
+        { id: 2, name: 'Shop', children: [{ id: 3, name: 'Sale', children: [] }] },
+        { id: 4, name: 'About', children: [] }
+      ])
+
+      wrapper = createWrapper({ items, ...props }, { attachTo: document.body })
+
+      return items
+    }
+
+    it('exposes the items as a WAI-ARIA tree', () => {
+      createTree()
+
+      expect(wrapper.find('ul').attributes('role')).toBe('tree')
+      expect(wrapper.find('[role="group"]').exists()).toBe(true)
+
+      const sale = wrapper.find('[aria-label="Sale"]')
+      expect(sale.attributes('aria-level')).toBe('2')
+      expect(sale.attributes('aria-posinset')).toBe('1')
+      expect(sale.attributes('aria-setsize')).toBe('1')
+      expect(wrapper.find('[aria-label="Shop"]').attributes('aria-expanded')).toBe('true')
+
+      // Only the first item is a tab stop
+      expect(wrapper.findAll('[role="treeitem"][tabindex="0"]').map(item => item.attributes('aria-label'))).toEqual(['Home'])
+    })
+
+    it('moves focus with the arrow keys', () => {
+      createTree()
+
+      treeItem('Home').focus()
+      keydown(treeItem('Home'), 'ArrowDown')
+      expect(document.activeElement).toBe(treeItem('Shop'))
+
+      keydown(treeItem('Shop'), 'ArrowRight')
+      expect(document.activeElement).toBe(treeItem('Sale'))
+      expect(treeItem('Sale').getAttribute('tabindex')).toBe('0')
+      expect(treeItem('Home').getAttribute('tabindex')).toBe('-1')
+
+      keydown(treeItem('Sale'), 'ArrowLeft')
+      expect(document.activeElement).toBe(treeItem('Shop'))
+
+      keydown(treeItem('Shop'), 'End')
+      expect(document.activeElement).toBe(treeItem('About'))
+    })
+
+    it('moves an item down with Alt+ArrowDown and announces its new position', async () => {
+      const items = createTree()
+
+      keydown(treeItem('Home'), 'ArrowDown', { altKey: true })
+      await wrapper.vm.$nextTick()
+      await wrapper.vm.$nextTick()
+
+      expect(items.map(item => item.name)).toEqual(['Shop', 'Home', 'About'])
+      expect(wrapper.emitted('structure-changed')).toHaveLength(1)
+      expect(document.activeElement).toBe(treeItem('Home'))
+      expect(liveRegion()).toBe('"Home" moved to position 2 of 3, level 1')
+    })
+
+    it('does not move past the ends of a level', () => {
+      createTree()
+
+      keydown(treeItem('Home'), 'ArrowUp', { altKey: true })
+
+      expect(wrapper.emitted('structure-changed')).toBeFalsy()
+      expect(liveRegion()).toBe('"Home" is already first at this level')
+    })
+
+    it('indents an item under the item above it with Tab', async () => {
+      const items = createTree()
+
+      const event = keydown(treeItem('About'), 'Tab')
+      await wrapper.vm.$nextTick()
+      await wrapper.vm.$nextTick()
+
+      expect(event.defaultPrevented).toBe(true)
+      expect(items.map(item => item.name)).toEqual(['Home', 'Shop'])
+      expect(items[1].children.map(item => item.name)).toEqual(['Sale', 'About'])
+      expect(wrapper.emitted('structure-changed')).toBeTruthy()
+      expect(liveRegion()).toBe('"About" moved to position 2 of 2, level 2, under "Shop"')
+    })
+
+    it('outdents a child to follow its parent with Shift+Tab', async () => {
+      const items = createTree()
+
+      keydown(treeItem('Sale'), 'Tab', { shiftKey: true })
+      await wrapper.vm.$nextTick()
+      await wrapper.vm.$nextTick()
+
+      expect(items.map(item => item.name)).toEqual(['Home', 'Shop', 'Sale', 'About'])
+      expect(items[1].children).toEqual([])
+      expect(wrapper.emitted('structure-changed')).toBeTruthy()
+      expect(document.activeElement).toBe(treeItem('Sale'))
+    })
+
+    it('leaves Tab alone when the item cannot be indented', () => {
+      createTree()
+
+      const event = keydown(treeItem('Home'), 'Tab')
+
+      expect(event.defaultPrevented).toBe(false)
+      expect(wrapper.emitted('structure-changed')).toBeFalsy()
+    })
+
+    it('refuses to indent past the max depth', () => {
+      const items = createTree({ maxDepth: 2 })
+
+      // Shop and its child would end up three levels deep
+      keydown(treeItem('Shop'), 'ArrowRight', { altKey: true })
+
+      expect(items.map(item => item.name)).toEqual(['Home', 'Shop', 'About'])
+      expect(liveRegion()).toBe('"Shop" cannot be nested deeper than the maximum depth of 2')
+    })
+
+    it('opens the editor with Enter', () => {
+      const items = createTree()
+
+      keydown(treeItem('Home'), 'Enter')
+
+      expect(items[0].expanded).toBe(true)
+    })
+
+    it('ignores keys pressed inside an item', () => {
+      const items = createTree()
+      const button = treeItem('Home').querySelector('button')
+
+      keydown(button, 'ArrowDown', { altKey: true })
+
+      expect(items.map(item => item.name)).toEqual(['Home', 'Shop', 'About'])
+    })
+  })
+
+  describe('Bulk Selection', () => {
+    const items = () => reactive([
+      { id: 1, name: 'Home', children: [] },
+      { id: 2, name: 'Shop', children: [{ id: 3, name: 'Sale', children: [] }] },
+      { id: null, name: 'Unsaved', children: [] }
+    ])
+
+    it('has no checkboxes without a selection', () => {
+      wrapper = createWrapper({ items: items() })
+
+      expect(wrapper.find('input[aria-label="Select Home"]').exists()).toBe(false)
+      expect(wrapper.find('[role="treeitem"]').attributes('aria-selected')).toBeUndefined()
+    })
+
+    it('marks selected items across levels', () => {
+      wrapper = createWrapper({ items: items(), selection: [3] })
+
+      expect(wrapper.find('input[aria-label="Select Sale"]').element.checked).toBe(true)
+      expect(wrapper.find('input[aria-label="Select Home"]').element.checked).toBe(false)
+      expect(wrapper.find('[aria-label="Sale"]').attributes('aria-selected')).toBe('true')
+      expect(wrapper.find('ul').attributes('aria-multiselectable')).toBe('true')
+
+      // Items that are not saved yet cannot take part in a bulk action
+      expect(wrapper.find('input[aria-label="Select Unsaved"]').exists()).toBe(false)
+    })
+
+    it('forwards clicks with the shift key for range selection', async () => {
+      wrapper = createWrapper({ items: items(), selection: [] })
+
+      await wrapper.find('input[aria-label="Select Sale"]').trigger('click', { shiftKey: true })
+
+      const [element, range] = wrapper.emitted('toggle-select')[0]
+      expect(element.name).toBe('Sale')
+      expect(range).toBe(true)
+      expect(wrapper.emitted('structure-changed')).toBeFalsy()
+    })
+
+    it('toggles the focused item with Space', () => {
+      wrapper = createWrapper({ items: items(), selection: [] })
+
+      const home = wrapper.find('[role="treeitem"][aria-label="Home"]').element
+      home.dispatchEvent(new KeyboardEvent('keydown', { key: ' ', bubbles: true, cancelable: true }))
+
+      expect(wrapper.emitted('toggle-select')[0][0].name).toBe('Home')
+    })
   })
 
   describe('Visibility Logic', () => {
@@ -361,6 +616,29 @@ describe('Nested.vue', () => {
       expect(wrapper.vm.getItemDescription(element)).toBe('Product #123')
     })
 
+    it('describes a resolved resource by name and URL', () => {
+      wrapper = createWrapper()
+
+      const element = {
+        resource_type: 'Product',
+        resource_id: 12,
+        linked_resource: { name: 'Red Sneakers', slug: 'red-sneakers', url: '/products/red-sneakers', is_deleted: false, is_missing: false }
+      }
+      expect(wrapper.vm.getItemDescription(element)).toBe('Product: Red Sneakers → /products/red-sneakers')
+      expect(wrapper.vm.getResourceWarning(element)).toBeNull()
+    })
+
+    it('warns about missing and deleted resources', () => {
+      wrapper = createWrapper()
+
+      const missing = { resource_type: 'Product', resource_id: 12, linked_resource: { name: null, url: null, is_deleted: false, is_missing: true } }
+      const deleted = { resource_type: 'Product', resource_id: 13, linked_resource: { name: 'Old', url: '/products/old', is_deleted: true, is_missing: false } }
+
+      expect(wrapper.vm.getItemDescription(missing)).toBe('Product #12')
+      expect(wrapper.vm.getResourceWarning(missing)).toBe('Record missing')
+      expect(wrapper.vm.getResourceWarning(deleted)).toBe('Record deleted')
+    })
+
     it('gets default description when no link configured', () => {
       wrapper = createWrapper()
 
@@ -440,6 +718,9 @@ describe('Nested.vue', () => {
         resource_slug: null,
         display_at: null,
         hide_at: null,
+        icon: null,
+        target: '_self',
+        css_class: null,
         is_active: true
       })
 
@@ -447,7 +728,7 @@ describe('Nested.vue', () => {
       expect(element.isNew).toBe(false)
       expect(element.expanded).toBe(false)
       expect(Nova.$toasted.success).toHaveBeenCalledWith('Item created successfully')
-      expect(wrapper.emitted('item-saved')).toBeTruthy()
+      expect(wrapper.emitted('item-saved')[0]).toEqual([element, { created: true }])
     })
 
     it('updates existing menu item successfully', async () => {
@@ -474,12 +755,66 @@ describe('Nested.vue', () => {
         resource_slug: null,
         display_at: null,
         hide_at: null,
+        icon: null,
+        target: '_self',
+        css_class: null,
         is_active: true
       })
 
       expect(element.expanded).toBe(false)
       expect(Nova.$toasted.success).toHaveBeenCalledWith('Item updated successfully')
-      expect(wrapper.emitted('item-saved')).toBeTruthy()
+      expect(wrapper.emitted('item-saved')[0]).toEqual([element, { created: false }])
+    })
+
+    it('sends appearance fields when saving', async () => {
+      mockRequest.put.mockResolvedValue({
+        data: { success: true }
+      })
+
+      wrapper = createWrapper()
+
+      const element = {
+        id: 3,
+        name: 'Blog',
+        custom_url: 'https://blog.example.com',
+        icon: 'newspaper',
+        target: '_blank',
+        css_class: 'nav-external',
+        is_active: true
+      }
+
+      await wrapper.vm.saveItem(element)
+
+      expect(mockRequest.put).toHaveBeenCalledWith('/nova-vendor/menus/menu-items/3', expect.objectContaining({
+        icon: 'newspaper',
+        target: '_blank',
+        css_class: 'nav-external'
+      }))
+    })
+
+    it('toggles target between new tab and same tab', () => {
+      wrapper = createWrapper()
+
+      const element = { id: 1, name: 'Test', target: '_self' }
+
+      wrapper.vm.setTarget(element, true)
+      expect(element.target).toBe('_blank')
+
+      wrapper.vm.setTarget(element, false)
+      expect(element.target).toBe('_self')
+    })
+
+    it('keeps saves local in draft mode', async () => {
+      wrapper = createWrapper({ draft: true })
+
+      const element = { isNew: true, draft_key: 'draft-1', name: 'Draft Item', expanded: true }
+
+      await wrapper.vm.saveItem(element)
+
+      expect(mockRequest.post).not.toHaveBeenCalled()
+      expect(element.expanded).toBe(false)
+      expect(element.isNew).toBe(false)
+      expect(wrapper.emitted('item-saved')[0]).toEqual([element, { created: true }])
     })
 
     it('handles save error gracefully', async () => {
@@ -498,19 +833,51 @@ describe('Nested.vue', () => {
     })
   })
 
+  describe('Copy to Menu', () => {
+    it('offers copying only for saved items', () => {
+      wrapper = createWrapper({
+        items: [
+          { id: 1, name: 'Saved', children: [] },
+          { id: null, draft_key: 'draft-new', name: 'Unsaved', children: [] }
+        ]
+      })
+
+      const copyButtons = wrapper.findAll('button').filter(button => button.text() === 'Copy to…')
+      expect(copyButtons).toHaveLength(1)
+    })
+
+    it('emits copy-item with the element', async () => {
+      const element = { id: 1, name: 'Saved', children: [] }
+      wrapper = createWrapper({ items: [element] })
+
+      await wrapper.findAll('button').find(button => button.text() === 'Copy to…').trigger('click')
+
+      expect(wrapper.emitted('copy-item')[0][0]).toStrictEqual(element)
+    })
+  })
+
   describe('Item Deletion', () => {
     it('shows confirmation dialog before deleting', () => {
-      wrapper = createWrapper()
+      wrapper = createWrapper({ undoable: true })
 
       const element = { id: 1, name: 'Test Item' }
       const performDeleteSpy = vi.spyOn(wrapper.vm, 'performDelete').mockImplementation(() => {})
 
       wrapper.vm.deleteItem(element)
 
-      expect(global.confirm).toHaveBeenCalledWith('Are you sure you want to delete "Test Item"? This action cannot be undone.')
+      expect(global.confirm).toHaveBeenCalledWith('Are you sure you want to delete "Test Item"? You can undo this with Ctrl+Z.')
       expect(performDeleteSpy).toHaveBeenCalledWith(element)
     })
 
+    it('only offers undo when the parent records history', () => {
+      wrapper = createWrapper()
+      vi.spyOn(wrapper.vm, 'performDelete').mockImplementation(() => {})
+
+      wrapper.vm.deleteItem({ id: 1, name: 'Test Item' })
+
+      expect(global.confirm).toHaveBeenCalledWith('Are you sure you want to delete "Test Item"? This action cannot be undone.')
+    })
+
     it('does not delete if user cancels confirmation', () => {
       global.confirm.mockReturnValueOnce(false)
       
@@ -553,6 +920,16 @@ describe('Nested.vue', () => {
       expect(wrapper.emitted('item-deleted')).toBeTruthy()
     })
 
+    it('removes items without an API call in draft mode', async () => {
+      wrapper = createWrapper({ draft: true })
+
+      const element = { id: 5, name: 'Live Item' }
+      await wrapper.vm.performDelete(element)
+
+      expect(mockRequest.delete).not.toHaveBeenCalled()
+      expect(wrapper.emitted('item-deleted')[0]).toEqual([element])
+    })
+
     it('handles delete error gracefully', async () => {
       mockRequest.delete.mockRejectedValue(new Error('Delete error'))
 
@@ -626,6 +1003,15 @@ describe('Nested.vue', () => {
       expect(item.visibility_type).toBe('always_hide')
     })
 
+    it('defaults target to _self when missing', () => {
+      wrapper = createWrapper()
+
+      const item = { id: 1, name: 'Test' }
+      wrapper.vm.initializeItemVisibility(item)
+
+      expect(item.target).toBe('_self')
+    })
+
     it('initializes active item without dates as always_show', () => {
       wrapper = createWrapper()
 
@@ -677,5 +1063,31 @@ describe('Nested.vue', () => {
       // Should still render parent, but not children
       expect(wrapper.html()).toContain('Parent')
     })
+
+    it('offers no drop zone for children on the last allowed level', async () => {
+      const items = [
+        { id: 1, name: 'Parent', children: [] }
+      ]
+
+      wrapper = createWrapper({ items, currentDepth: 1, maxDepth: 2 })
+      await wrapper.vm.$nextTick()
+
+      expect(wrapper.findAll('.childItem')).toHaveLength(0)
+
+      await wrapper.setProps({ currentDepth: 0 })
+
+      expect(wrapper.findAll('.childItem')).toHaveLength(1)
+    })
+
+    it('keeps showing children that are already deeper than the limit', async () => {
+      const items = [
+        { id: 1, name: 'Parent', children: [{ id: 2, name: 'Too Deep', children: [] }] }
+      ]
+
+      wrapper = createWrapper({ items, currentDepth: 1, maxDepth: 2 })
+      await wrapper.vm.$nextTick()
+
+      expect(wrapper.html()).toContain('Too Deep')
+    })
   })
 })
\ No newline at end of file
@@ -0,0 +1,149 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { act } from 'react'
+import { createRoot } from 'react-dom/client'
+import NovaMenu from '../../resources/frontend/react/NovaMenu.jsx'
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true
+
+describe('NovaMenu.jsx', () => {
+  let container
+  let root
+
+  const menu = {
+    slug: 'main',
+    name: 'Main Navigation',
+    items: [
+      { id: 1, name: 'Home', url: '/', target: '_self', css_class: 'nav-home', icon: 'home', children: [] },
+      {
+        id: 2,
+        name: 'Shop',
+        url: '/shop',
+        target: '_self',
+        css_class: null,
+        icon: null,
+        children: [
+          { id: 3, name: 'Sale', url: '/shop/sale', target: '_self', css_class: null, icon: null, children: [] },
+          { id: 4, name: 'Outlet', url: 'https://outlet.example.com', target: '_blank', css_class: null, icon: null, children: [] }
+        ]
+      },
+      { id: 5, name: 'Script', url: 'javascript:alert(1)', target: '_self', css_class: null, icon: null, children: [] }
+    ]
+  }
+
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve(menu) }))
+    container = document.createElement('div')
+    document.body.appendChild(container)
+    root = createRoot(container)
+  })
+
+  afterEach(() => {
+    act(() => root.unmount())
+    container.remove()
+    vi.unstubAllGlobals()
+  })
+
+  const render = async (props = {}) => {
+    await act(async () => {
+      root.render(<NovaMenu slug="main" currentUrl="http://localhost/shop/sale" {...props} />)
+    })
+  }
+
+  const item = id => container.querySelector(`[data-menu-item="${id}"]`)
+
+  const keydown = async (element, key) => {
+    await act(async () => {
+      element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }))
+      await new Promise(resolve => setTimeout(resolve))
+    })
+  }
+
+  it('fetches the menu from the public API', async () => {
+    const onLoaded = vi.fn()
+    await render({ endpoint: '/storefront/api/menus', onLoaded })
+
+    expect(fetch.mock.calls[0][0]).toBe('/storefront/api/menus/main')
+    expect(container.querySelector('nav').getAttribute('aria-label')).toBe('Main Navigation')
+    expect(onLoaded).toHaveBeenCalledWith(menu)
+  })
+
+  it('skips the request for an initial menu', async () => {
+    await render({ initialMenu: menu })
+
+    expect(fetch).not.toHaveBeenCalled()
+    expect(container.querySelectorAll('.nova-menu-item')).toHaveLength(5)
+  })
+
+  it('renders the nested tree with its target, CSS class and icon', async () => {
+    await render()
+
+    expect(item(1).classList.contains('nav-home')).toBe(true)
+    expect(item(1).querySelector('i.nova-menu-icon').classList.contains('home')).toBe(true)
+    expect(item(4).querySelector('a').getAttribute('target')).toBe('_blank')
+    expect(item(4).querySelector('a').getAttribute('rel')).toBe('noopener noreferrer')
+    expect(item(2).querySelector('ul').id).toBe(item(2).querySelector('button').getAttribute('aria-controls'))
+  })
+
+  it('links unsafe URLs to #', async () => {
+    await render()
+
+    expect(item(5).querySelector('a').getAttribute('href')).toBe('#')
+  })
+
+  it('marks the active item and its ancestors', async () => {
+    await render()
+
+    expect(item(3).classList.contains('is-active')).toBe(true)
+    expect(item(3).querySelector('a').getAttribute('aria-current')).toBe('page')
+    expect(item(2).classList.contains('is-active-trail')).toBe(true)
+    expect(item(2).querySelector('a').hasAttribute('aria-current')).toBe(false)
+  })
+
+  it('toggles submenus as disclosures', async () => {
+    await render()
+    const toggle = item(2).querySelector('button')
+
+    expect(toggle.getAttribute('aria-expanded')).toBe('false')
+    expect(item(2).querySelector('ul').hidden).toBe(true)
+
+    await act(async () => toggle.click())
+
+    expect(toggle.getAttribute('aria-expanded')).toBe('true')
+    expect(item(2).querySelector('ul').hidden).toBe(false)
+  })
+
+  it('moves between items and into submenus with the keyboard', async () => {
+    await render()
+
+    item(1).querySelector('a').focus()
+    await keydown(item(1).querySelector('a'), 'ArrowRight')
+    expect(document.activeElement).toBe(item(2).querySelector('a'))
+
+    await keydown(item(2).querySelector('a'), 'ArrowDown')
+    expect(item(2).classList.contains('is-open')).toBe(true)
+    expect(document.activeElement).toBe(item(3).querySelector('a'))
+
+    await keydown(item(3).querySelector('a'), 'End')
+    expect(document.activeElement).toBe(item(4).querySelector('a'))
+
+    await keydown(item(4).querySelector('a'), 'Escape')
+    expect(item(2).classList.contains('is-open')).toBe(false)
+    expect(document.activeElement).toBe(item(2).querySelector('button'))
+  })
+
+  it('renders custom item markup through renderItem', async () => {
+    await render({ renderItem: ({ item, active }) => <b className="custom">{item.name}{active ? ' (here)' : ''}</b> })
+
+    expect(item(1).querySelector('.custom').textContent).toBe('Home')
+    expect(item(3).querySelector('.custom').textContent).toBe('Sale (here)')
+  })
+
+  it('shows an error when the menu cannot be loaded', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 404 })
+    const onError = vi.fn()
+    await render({ onError })
+
+    expect(container.querySelector('.nova-menu-error').textContent).toBe("Menu 'main' not found")
+    expect(onError).toHaveBeenCalledTimes(1)
+  })
+})
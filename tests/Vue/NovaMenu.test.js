@@ -0,0 +1,135 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import NovaMenu from '../../resources/frontend/vue/NovaMenu.vue'
+
+describe('NovaMenu.vue', () => {
+  let wrapper
+
+  const menu = {
+    slug: 'main',
+    name: 'Main Navigation',
+    items: [
+      { id: 1, name: 'Home', url: '/', target: '_self', css_class: 'nav-home', icon: 'home', children: [] },
+      {
+        id: 2,
+        name: 'Shop',
+        url: '/shop',
+        target: '_self',
+        css_class: null,
+        icon: null,
+        children: [
+          { id: 3, name: 'Sale', url: '/shop/sale', target: '_self', css_class: null, icon: null, children: [] },
+          { id: 4, name: 'Outlet', url: 'https://outlet.example.com', target: '_blank', css_class: null, icon: null, children: [] }
+        ]
+      },
+      { id: 5, name: 'Contact', url: '/contact', target: '_self', css_class: null, icon: null, children: [] }
+    ]
+  }
+
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve(menu) }))
+  })
+
+  afterEach(() => {
+    wrapper?.unmount()
+    vi.unstubAllGlobals()
+  })
+
+  const createWrapper = async (props = {}, options = {}) => {
+    const component = mount(NovaMenu, {
+      props: { slug: 'main', currentUrl: 'http://localhost/shop/sale', ...props },
+      attachTo: document.body,
+      ...options
+    })
+
+    await flushPromises()
+
+    return component
+  }
+
+  const item = id => wrapper.find(`[data-menu-item="${id}"]`)
+
+  it('fetches the menu from the public API', async () => {
+    wrapper = await createWrapper({ endpoint: '/storefront/api/menus' })
+
+    expect(fetch.mock.calls[0][0]).toBe('/storefront/api/menus/main')
+    expect(wrapper.attributes('aria-label')).toBe('Main Navigation')
+    expect(wrapper.emitted('loaded')[0][0]).toEqual(menu)
+  })
+
+  it('skips the request for an initial menu', async () => {
+    wrapper = await createWrapper({ initialMenu: menu })
+
+    expect(fetch).not.toHaveBeenCalled()
+    expect(wrapper.findAll('.nova-menu-item')).toHaveLength(5)
+  })
+
+  it('renders the nested tree with its target, CSS class and icon', async () => {
+    wrapper = await createWrapper()
+
+    expect(item(1).classes()).toContain('nav-home')
+    expect(item(1).find('i.nova-menu-icon').classes()).toContain('home')
+    expect(item(4).find('a').attributes()).toMatchObject({ href: 'https://outlet.example.com', target: '_blank', rel: 'noopener noreferrer' })
+    expect(item(2).find('ul').attributes('id')).toBe(item(2).find('button').attributes('aria-controls'))
+  })
+
+  it('marks the active item and its ancestors', async () => {
+    wrapper = await createWrapper()
+
+    expect(item(3).classes()).toContain('is-active')
+    expect(item(3).find('a').attributes('aria-current')).toBe('page')
+    expect(item(2).classes()).toContain('is-active-trail')
+    expect(item(2).find('a').attributes('aria-current')).toBeUndefined()
+  })
+
+  it('toggles submenus as disclosures', async () => {
+    wrapper = await createWrapper()
+    const toggle = item(2).find('button')
+
+    expect(toggle.attributes('aria-expanded')).toBe('false')
+    expect(item(2).find('ul').isVisible()).toBe(false)
+
+    await toggle.trigger('click')
+
+    expect(toggle.attributes('aria-expanded')).toBe('true')
+    expect(item(2).find('ul').isVisible()).toBe(true)
+  })
+
+  it('moves between items and into submenus with the keyboard', async () => {
+    wrapper = await createWrapper()
+
+    await item(1).find('a').trigger('keydown', { key: 'ArrowRight' })
+    expect(document.activeElement).toBe(item(2).find('a').element)
+
+    await item(2).find('a').trigger('keydown', { key: 'ArrowDown' })
+    await flushPromises()
+    expect(item(2).classes()).toContain('is-open')
+    expect(document.activeElement).toBe(item(3).find('a').element)
+
+    await item(3).find('a').trigger('keydown', { key: 'End' })
+    expect(document.activeElement).toBe(item(4).find('a').element)
+
+    await item(4).find('a').trigger('keydown', { key: 'Escape' })
+    expect(item(2).classes()).not.toContain('is-open')
+    expect(document.activeElement).toBe(item(2).find('button').element)
+  })
+
+  it('renders custom item markup through the item slot', async () => {
+    wrapper = await createWrapper({}, {
+      slots: {
+        item: `<template #item="{ item, active }"><b class="custom">{{ item.name }}{{ active ? ' (here)' : '' }}</b></template>`
+      }
+    })
+
+    expect(item(1).find('.custom').text()).toBe('Home')
+    expect(item(3).find('.custom').text()).toBe('Sale (here)')
+  })
+
+  it('shows an error when the menu cannot be loaded', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 404 })
+    wrapper = await createWrapper()
+
+    expect(wrapper.find('.nova-menu-error').text()).toBe("Menu 'main' not found")
+    expect(wrapper.emitted('error')).toHaveLength(1)
+  })
+})
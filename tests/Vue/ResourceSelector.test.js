@@ -107,6 +107,22 @@ describe('ResourceSelector.vue', () => {
       expect(options[1].text()).toBe('Product')
       expect(options[2].text()).toBe('Category')
     })
+
+    it('reports a misconfigured resource type linked by the item', async () => {
+      mockRequest.get.mockResolvedValue({
+        data: {
+          success: true,
+          data: { Product: 'Product' },
+          invalid: { Webpage: "Model class 'Skylark\\Content\\Models\\Webpage' does not exist for resource type 'Webpage'" }
+        }
+      })
+
+      wrapper = createWrapper({ value: { resource_type: 'Webpage', resource_id: 4 } })
+      await vi.runAllTimersAsync()
+
+      expect(wrapper.findAll('option').map(option => option.text())).toEqual(['Select Resource Type', 'Product'])
+      expect(wrapper.find('.resource-type-problem').text()).toContain("Model class 'Skylark\\Content\\Models\\Webpage' does not exist")
+    })
   })
 
   describe('Value Initialization', () => {
@@ -589,4 +605,117 @@ describe('ResourceSelector.vue', () => {
       })
     })
   })
-})
\ No newline at end of file
+
+  describe('Pagination and Keyboard Navigation', () => {
+    const page = (ids, nextOffset = null) => ({
+      data: {
+        success: true,
+        data: ids.map(id => ({ id, name: `Product ${id}`, slug: `product-${id}` })),
+        meta: { offset: 0, limit: 2, next_offset: nextOffset }
+      }
+    })
+
+    const openSelector = async (props = {}) => {
+      mockRequest.get.mockImplementation((url) => {
+        if (url.includes('/resource-types')) {
+          return Promise.resolve({ data: { success: true, data: { Product: 'Products' } } })
+        }
+        if (url.includes('offset=2')) {
+          return Promise.resolve(page([3]))
+        }
+        return Promise.resolve(page([1, 2], 2))
+      })
+
+      const selector = createWrapper({ value: { resource_type: 'Product' }, ...props })
+      await vi.runAllTimersAsync()
+
+      await selector.find('input[role="combobox"]').trigger('focus')
+      await vi.runAllTimersAsync()
+
+      return selector
+    }
+
+    it('shows the first page on focus without typing', async () => {
+      wrapper = await openSelector()
+
+      expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/resources/Product/search?')
+      expect(wrapper.findAll('[role="option"]').map(option => option.text())).toEqual(['Product 1', 'Product 2'])
+      expect(wrapper.find('input').attributes('aria-expanded')).toBe('true')
+    })
+
+    it('appends the next page when the list is scrolled to the end', async () => {
+      wrapper = await openSelector()
+
+      const list = wrapper.find('[role="listbox"]')
+      Object.defineProperty(list.element, 'scrollHeight', { value: 400 })
+      Object.defineProperty(list.element, 'clientHeight', { value: 240 })
+      list.element.scrollTop = 160
+      await list.trigger('scroll')
+      await vi.runAllTimersAsync()
+
+      expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/resources/Product/search?offset=2')
+      expect(wrapper.findAll('[role="option"]')).toHaveLength(3)
+      expect(wrapper.vm.nextOffset).toBeNull()
+    })
+
+    it('moves through options with the arrow keys and selects with Enter', async () => {
+      wrapper = await openSelector()
+      const input = wrapper.find('input[role="combobox"]')
+
+      await input.trigger('keydown', { key: 'ArrowDown' })
+      expect(input.attributes('aria-activedescendant')).toBe(wrapper.findAll('[role="option"]')[0].attributes('id'))
+
+      await input.trigger('keydown', { key: 'ArrowDown' })
+      await input.trigger('keydown', { key: 'ArrowUp' })
+      await input.trigger('keydown', { key: 'ArrowDown' })
+      await vi.runAllTimersAsync()
+      expect(wrapper.findAll('[role="option"]')[1].attributes('aria-selected')).toBe('true')
+
+      await input.trigger('keydown', { key: 'Enter' })
+
+      expect(wrapper.emitted('change').at(-1)[0]).toMatchObject({ resource_type: 'Product', resource_id: 2, resource_name: 'Product 2' })
+      expect(wrapper.find('[role="listbox"]').exists()).toBe(false)
+    })
+
+    it('closes the list with Escape', async () => {
+      wrapper = await openSelector()
+      const input = wrapper.find('input[role="combobox"]')
+
+      await input.trigger('keydown', { key: 'Escape' })
+
+      expect(input.attributes('aria-expanded')).toBe('false')
+      expect(wrapper.find('[role="listbox"]').exists()).toBe(false)
+    })
+
+    it('offers resources already linked in the menu first', async () => {
+      wrapper = await openSelector({
+        recentResources: [
+          { resource_type: 'Product', resource_id: 9, resource_name: 'Red Sneakers', resource_slug: 'red-sneakers' },
+          { resource_type: 'Category', resource_id: 4, resource_name: 'Shoes', resource_slug: 'shoes' }
+        ]
+      })
+
+      expect(wrapper.text()).toContain('Recently used')
+      expect(wrapper.text()).toContain('All Products')
+      expect(wrapper.findAll('[role="option"]').map(option => option.text())).toEqual(['Red Sneakers', 'Product 1', 'Product 2'])
+
+      await wrapper.find('input').trigger('keydown', { key: 'ArrowDown' })
+      await wrapper.find('input').trigger('keydown', { key: 'Enter' })
+
+      expect(wrapper.emitted('change').at(-1)[0]).toEqual({
+        resource_type: 'Product',
+        resource_id: 9,
+        resource_name: 'Red Sneakers',
+        resource_slug: 'red-sneakers'
+      })
+    })
+    it('shows the secondary label of each result', async () => {
+      wrapper = await openSelector()
+
+      wrapper.vm.resources = [{ id: 1, name: 'Sneakers', slug: 'sneakers', secondary_label: 'SKU-123' }]
+      await wrapper.vm.$nextTick()
+
+      expect(wrapper.find('[role="option"] .resource-secondary-label').text()).toBe('SKU-123')
+    })
+  })
+})
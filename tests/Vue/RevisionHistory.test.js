@@ -0,0 +1,146 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import RevisionHistory from '../../resources/js/components/RevisionHistory.vue'
+
+describe('RevisionHistory.vue', () => {
+  let wrapper
+  let mockRequest
+
+  const revisions = [
+    { id: 3, action: 'update_item', user_name: 'Jane', created_at: '2025-02-03T10:00:00Z' },
+    { id: 2, action: 'rebuild', user_name: 'Jane', created_at: '2025-02-02T10:00:00Z' },
+    { id: 1, action: 'store_item', user_name: null, created_at: '2025-02-01T10:00:00Z' }
+  ]
+
+  const structures = {
+    1: [{ id: 10, name: 'Home', children: [] }],
+    2: [
+      { id: 10, name: 'Home', children: [] },
+      { id: 11, name: 'Shop', children: [] }
+    ],
+    3: [
+      { id: 11, name: 'Store', children: [] },
+      { id: 10, name: 'Home', children: [] }
+    ]
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      get: vi.fn((url) => {
+        const match = url.match(/revisions\/(\d+)$/)
+
+        if (match) {
+          return Promise.resolve({
+            data: { success: true, data: { id: Number(match[1]), structure: structures[match[1]] } }
+          })
+        }
+
+        return Promise.resolve({ data: { success: true, data: revisions } })
+      }),
+      post: vi.fn().mockResolvedValue({ data: { success: true, data: [] } })
+    }
+
+    Nova.request.mockReturnValue(mockRequest)
+  })
+
+  afterEach(() => {
+    wrapper?.unmount()
+  })
+
+  const createWrapper = () => mount(RevisionHistory, { props: { menuId: 1 } })
+
+  it('lists revisions with their action and author', async () => {
+    wrapper = createWrapper()
+    await flushPromises()
+
+    expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/revisions')
+
+    const rows = wrapper.findAll('li')
+    expect(rows).toHaveLength(3)
+    expect(rows[0].text()).toContain('Item edited')
+    expect(rows[0].text()).toContain('Current')
+    expect(rows[2].text()).toContain('Unknown user')
+  })
+
+  it('shows what a single revision changed compared with the previous one', async () => {
+    wrapper = createWrapper()
+    await flushPromises()
+
+    wrapper.vm.toggleSelection(revisions[1])
+    await flushPromises()
+
+    expect(wrapper.vm.diff.added).toEqual([{ key: 11, name: 'Shop' }])
+    expect(wrapper.text()).toContain('Added Shop')
+  })
+
+  it('compares any two selected revisions, oldest first', async () => {
+    wrapper = createWrapper()
+    await flushPromises()
+
+    wrapper.vm.toggleSelection(revisions[0])
+    wrapper.vm.toggleSelection(revisions[2])
+    await flushPromises()
+
+    expect(wrapper.vm.comparison.from.id).toBe(1)
+    expect(wrapper.vm.comparison.to.id).toBe(3)
+    expect(wrapper.vm.diff.added.map(change => change.name)).toEqual(['Store'])
+  })
+
+  it('keeps at most two selections', async () => {
+    wrapper = createWrapper()
+    await flushPromises()
+
+    revisions.forEach(revision => wrapper.vm.toggleSelection(revision))
+
+    expect(wrapper.vm.selected).toEqual([2, 1])
+  })
+
+  it('only fetches each revision structure once', async () => {
+    wrapper = createWrapper()
+    await flushPromises()
+
+    wrapper.vm.toggleSelection(revisions[1])
+    await flushPromises()
+    wrapper.vm.toggleSelection(revisions[1])
+    wrapper.vm.toggleSelection(revisions[1])
+    await flushPromises()
+
+    const fetches = mockRequest.get.mock.calls.filter(([url]) => url.endsWith('/revisions/2'))
+    expect(fetches).toHaveLength(1)
+  })
+
+  it('restores a revision after confirmation and emits restored', async () => {
+    wrapper = createWrapper()
+    await flushPromises()
+
+    await wrapper.vm.restore(revisions[1])
+
+    expect(global.confirm).toHaveBeenCalled()
+    expect(mockRequest.post).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/revisions/2/restore')
+    expect(Nova.$toasted.success).toHaveBeenCalledWith('Menu restored successfully')
+    expect(wrapper.emitted('restored')).toHaveLength(1)
+  })
+
+  it('does not restore when the confirmation is cancelled', async () => {
+    global.confirm.mockReturnValueOnce(false)
+    wrapper = createWrapper()
+    await flushPromises()
+
+    await wrapper.vm.restore(revisions[1])
+
+    expect(mockRequest.post).not.toHaveBeenCalled()
+  })
+
+  it('reports a failed restore', async () => {
+    mockRequest.post.mockRejectedValueOnce(new Error('Server error'))
+    wrapper = createWrapper()
+    await flushPromises()
+
+    await wrapper.vm.restore(revisions[1])
+
+    expect(Nova.$toasted.error).toHaveBeenCalledWith('Failed to restore revision: Server error')
+    expect(wrapper.emitted('restored')).toBeUndefined()
+  })
+})
@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import SplitMenuPane from '../../resources/js/components/SplitMenuPane.vue'
+
+const MockNested = {
+  name: 'Nested',
+  props: ['items', 'currentDepth', 'maxDepth', 'menuId', 'draft'],
+  template: '<ul class="mock-nested">{{ items.length }} items</ul>',
+  emits: ['structure-changed', 'item-saved', 'item-deleted', 'copy-item']
+}
+
+describe('SplitMenuPane.vue', () => {
+  let wrapper
+  let mockRequest
+
+  const menus = [
+    { id: 1, name: 'Main Menu', max_depth: 3 },
+    { id: 2, name: 'Footer', max_depth: 2 }
+  ]
+
+  const footerItems = [
+    { id: 20, name: 'Legal', children: [] },
+    { id: 21, name: 'Careers', children: [] }
+  ]
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      get: vi.fn((url) => {
+        if (url.endsWith('/menus')) {
+          return Promise.resolve({ data: { success: true, data: menus } })
+        }
+
+        const items = JSON.parse(JSON.stringify(footerItems))
+
+        return Promise.resolve({
+          data: { success: true, data: url.endsWith('/draft') ? { has_draft: false, items } : items }
+        })
+      }),
+      put: vi.fn().mockResolvedValue({ data: { success: true, data: {} } })
+    }
+
+    Nova.request.mockReturnValue(mockRequest)
+  })
+
+  afterEach(() => {
+    wrapper?.unmount()
+  })
+
+  const createWrapper = async (props = {}) => {
+    const pane = mount(SplitMenuPane, {
+      props: { excludeMenuId: 1, ...props },
+      global: {
+        stubs: {
+          Nested: MockNested
+        }
+      }
+    })
+
+    await flushPromises()
+    pane.vm.menuId = 2
+    await pane.vm.loadItems()
+    await flushPromises()
+
+    return pane
+  }
+
+  it('offers every menu except the one being edited', async () => {
+    wrapper = mount(SplitMenuPane, {
+      props: { excludeMenuId: '1' },
+      global: { stubs: { Nested: MockNested } }
+    })
+    await flushPromises()
+
+    expect(wrapper.vm.menus.map(menu => menu.name)).toEqual(['Footer'])
+    expect(wrapper.text()).toContain('Choose a menu to open it here.')
+  })
+
+  it('loads the live tree of the chosen menu', async () => {
+    wrapper = await createWrapper()
+
+    expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus/2/items')
+
+    const nested = wrapper.findComponent(MockNested)
+    expect(nested.props('items')).toHaveLength(2)
+    expect(nested.props('maxDepth')).toBe(2)
+    expect(wrapper.vm.hasUnsavedChanges()).toBe(false)
+  })
+
+  it('loads the draft tree in draft mode', async () => {
+    wrapper = await createWrapper({ draft: true })
+
+    expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus/2/draft')
+  })
+
+  it('rebuilds the menu after its tree was rearranged', async () => {
+    wrapper = await createWrapper()
+
+    wrapper.vm.items.reverse()
+    expect(wrapper.vm.hasUnsavedChanges()).toBe(true)
+
+    await wrapper.vm.save()
+
+    expect(mockRequest.put).toHaveBeenCalledWith(
+      '/nova-vendor/menus/menus/2/items/rebuild',
+      { menu_structure: [expect.objectContaining({ id: 21 }), expect.objectContaining({ id: 20 })] }
+    )
+  })
+
+  it('saves the rearranged tree as a draft in draft mode', async () => {
+    wrapper = await createWrapper({ draft: true })
+
+    wrapper.vm.items.reverse()
+    await wrapper.vm.save()
+
+    expect(mockRequest.put).toHaveBeenCalledWith(
+      '/nova-vendor/menus/menus/2/draft',
+      { menu_structure: [expect.objectContaining({ id: 21 }), expect.objectContaining({ id: 20 })] }
+    )
+    expect(wrapper.vm.hasUnsavedChanges()).toBe(false)
+  })
+
+  it('forwards tree changes to the editor', async () => {
+    wrapper = await createWrapper()
+
+    wrapper.findComponent(MockNested).vm.$emit('structure-changed')
+
+    expect(wrapper.emitted('structure-changed')).toBeTruthy()
+  })
+})
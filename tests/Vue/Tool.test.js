@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { mount } from '@vue/test-utils'
+import { mount, flushPromises } from '@vue/test-utils'
 import Tool from '../../resources/js/pages/Tool.vue'
 
 // Mock Nova components
@@ -452,4 +452,205 @@ describe('Tool.vue', () => {
       })
     })
   })
-})
\ No newline at end of file
+
+  describe('Duplicate Menu', () => {
+    beforeEach(() => {
+      mockRequest.get.mockResolvedValue({
+        data: { data: [{ id: 1, name: 'Main Menu', slug: 'main-menu', max_depth: 3 }], success: true }
+      })
+    })
+
+    it('suggests a name and slug for the copy', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      wrapper.vm.openDuplicateModal(wrapper.vm.menus[0])
+
+      expect(wrapper.vm.showDuplicateModal).toBe(true)
+      expect(wrapper.vm.duplicate).toEqual({ name: 'Main Menu (Copy)', slug: 'main-menu-copy' })
+    })
+
+    it('duplicates the menu and reloads the list', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      wrapper.vm.openDuplicateModal(wrapper.vm.menus[0])
+      mockRequest.post.mockResolvedValueOnce({ data: { success: true, data: { id: 2 } } })
+      mockRequest.get.mockClear()
+
+      await wrapper.vm.duplicateMenu()
+
+      expect(mockRequest.post).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/duplicate', {
+        name: 'Main Menu (Copy)',
+        slug: 'main-menu-copy'
+      })
+      expect(Nova.$toasted.success).toHaveBeenCalledWith('Menu "Main Menu (Copy)" created from "Main Menu"')
+      expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus')
+      expect(wrapper.vm.showDuplicateModal).toBe(false)
+    })
+
+    it('keeps the modal open with validation errors', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      wrapper.vm.openDuplicateModal(wrapper.vm.menus[0])
+      mockRequest.post.mockRejectedValueOnce({
+        response: { status: 422, data: { errors: { slug: ['The slug has already been taken.'] } } }
+      })
+
+      await wrapper.vm.duplicateMenu()
+
+      expect(wrapper.vm.duplicateErrors.slug).toEqual(['The slug has already been taken.'])
+      expect(wrapper.vm.showDuplicateModal).toBe(true)
+    })
+  })
+
+  describe('Export Menu', () => {
+    beforeEach(() => {
+      mockRequest.get.mockResolvedValue({
+        data: { data: [], success: true }
+      })
+      URL.createObjectURL = vi.fn(() => 'blob:menu')
+      URL.revokeObjectURL = vi.fn()
+    })
+
+    it('downloads the menu in the chosen format', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      wrapper.vm.openExportModal({ id: 1, name: 'Main Menu', slug: 'main-menu' })
+      wrapper.vm.exportFormat = 'yaml'
+      mockRequest.get.mockResolvedValueOnce({ data: 'menu: {}' })
+
+      const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+      await wrapper.vm.downloadExport()
+
+      expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus/1/export', {
+        params: { format: 'yaml' },
+        responseType: 'blob'
+      })
+      expect(click).toHaveBeenCalled()
+      expect(wrapper.vm.showExportModal).toBe(false)
+
+      click.mockRestore()
+    })
+
+    it('shows an error when the export fails', async () => {
+      wrapper = createWrapper()
+      await flushPromises()
+
+      wrapper.vm.openExportModal({ id: 1, name: 'Main Menu', slug: 'main-menu' })
+      mockRequest.get.mockRejectedValueOnce(new Error('Server error'))
+
+      await wrapper.vm.downloadExport()
+
+      expect(Nova.$toasted.error).toHaveBeenCalledWith('Failed to export menu. Please try again.')
+      expect(wrapper.vm.showExportModal).toBe(true)
+    })
+  })
+
+  describe('Import Menu', () => {
+    const preview = (overrides = {}) => ({
+      menu: { name: 'Main Menu', slug: 'main-menu', max_depth: 3, is_active: true },
+      items: [
+        {
+          name: 'Shop',
+          custom_url: '/shop',
+          children: [{ name: 'Sale', resource_type: 'Category', resource_slug: 'sale', children: [] }]
+        }
+      ],
+      items_count: 2,
+      existing_menu_id: null,
+      warnings: [],
+      ...overrides
+    })
+
+    const selectFile = (name = 'main-menu.yaml', content = 'menu: {}') => {
+      const file = { name, text: vi.fn().mockResolvedValue(content) }
+      return wrapper.vm.onImportFileSelected({ target: { files: [file] } })
+    }
+
+    beforeEach(() => {
+      mockRequest.get.mockResolvedValue({
+        data: { data: [], success: true }
+      })
+    })
+
+    it('previews the selected file before importing', async () => {
+      mockRequest.post.mockResolvedValueOnce({ data: { success: true, data: preview() } })
+
+      wrapper = createWrapper()
+      await flushPromises()
+      wrapper.vm.openImportModal()
+      await selectFile()
+
+      expect(mockRequest.post).toHaveBeenCalledWith('/nova-vendor/menus/menus/import/preview', {
+        content: 'menu: {}',
+        format: 'yaml',
+        name: null,
+        slug: null,
+        replace: false
+      })
+      expect(wrapper.vm.importOptions.slug).toBe('main-menu')
+      expect(wrapper.vm.importPreviewRows).toEqual([
+        { key: '0', depth: 0, name: 'Shop', link: '/shop' },
+        { key: '0.0', depth: 1, name: 'Sale', link: 'Category: sale' }
+      ])
+      expect(wrapper.vm.canImport).toBe(true)
+    })
+
+    it('requires replace to be confirmed when the slug already exists', async () => {
+      mockRequest.post.mockResolvedValueOnce({ data: { success: true, data: preview({ existing_menu_id: 4 }) } })
+
+      wrapper = createWrapper()
+      await flushPromises()
+      wrapper.vm.openImportModal()
+      await selectFile()
+
+      expect(wrapper.vm.canImport).toBe(false)
+
+      wrapper.vm.importOptions.replace = true
+      expect(wrapper.vm.canImport).toBe(true)
+    })
+
+    it('imports the menu and reloads the list', async () => {
+      mockRequest.post
+        .mockResolvedValueOnce({ data: { success: true, data: preview() } })
+        .mockResolvedValueOnce({
+          data: { success: true, data: { menu: { id: 5, name: 'Main Menu' }, warnings: [], replaced: false } }
+        })
+
+      wrapper = createWrapper()
+      await flushPromises()
+      wrapper.vm.openImportModal()
+      await selectFile('main-menu.json', '{}')
+      mockRequest.get.mockClear()
+
+      await wrapper.vm.importMenu()
+
+      expect(mockRequest.post).toHaveBeenLastCalledWith('/nova-vendor/menus/menus/import', expect.objectContaining({
+        content: '{}',
+        format: 'json',
+        slug: 'main-menu'
+      }))
+      expect(Nova.$toasted.success).toHaveBeenCalledWith('Menu "Main Menu" imported successfully')
+      expect(wrapper.vm.showImportModal).toBe(false)
+      expect(mockRequest.get).toHaveBeenCalledWith('/nova-vendor/menus/menus')
+    })
+
+    it('shows the server error for an invalid file', async () => {
+      mockRequest.post.mockRejectedValueOnce({
+        response: { status: 400, data: { success: false, message: 'Invalid YAML: Malformed inline YAML string' } }
+      })
+
+      wrapper = createWrapper()
+      await flushPromises()
+      wrapper.vm.openImportModal()
+      await selectFile()
+
+      expect(wrapper.vm.importPreview).toBeNull()
+      expect(wrapper.vm.importError).toBe('Invalid YAML: Malformed inline YAML string')
+      expect(wrapper.vm.canImport).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi } from 'vitest'
+import { activeTrail, fetchMenu, linkAttributes, normalizeUrl } from '../../resources/frontend/menu.js'
+
+describe('frontend menu helpers', () => {
+  const items = [
+    { id: 1, name: 'Home', url: '/', children: [] },
+    {
+      id: 2,
+      name: 'Blog',
+      url: '/blog/',
+      children: [
+        { id: 3, name: 'News', url: '/blog/news', children: [] },
+        { id: 4, name: 'Archive', url: 'https://archive.example.com/blog', children: [] }
+      ]
+    },
+    { id: 5, name: 'Mail', url: 'mailto:shop@example.com', children: [] }
+  ]
+
+  it('normalizes URLs to paths on this host', () => {
+    expect(normalizeUrl('https://shop.test/blog/?page=2#top', 'https://shop.test/')).toBe('/blog')
+    expect(normalizeUrl('https://other.test/blog', 'https://shop.test/')).toBe('https://other.test/blog')
+    expect(normalizeUrl('#', 'https://shop.test/')).toBeNull()
+    expect(normalizeUrl('mailto:shop@example.com', 'https://shop.test/')).toBeNull()
+  })
+
+  it('finds the exact item and its ancestors', () => {
+    expect(activeTrail(items, 'http://localhost/blog/news?ref=nav')).toEqual([2, 3])
+    expect(activeTrail(items, 'http://localhost/')).toEqual([1])
+    expect(activeTrail(items, '/blog')).toEqual([2])
+  })
+
+  it('falls back to the longest matching path prefix', () => {
+    expect(activeTrail(items, 'http://localhost/blog/news/launch')).toEqual([2, 3])
+    expect(activeTrail(items, 'http://localhost/blog/hello')).toEqual([2])
+    expect(activeTrail(items, 'http://localhost/contact')).toEqual([])
+  })
+
+  it('opens new windows without an opener', () => {
+    expect(linkAttributes({ url: '/a', target: '_blank' })).toEqual({ href: '/a', target: '_blank', rel: 'noopener noreferrer' })
+    expect(linkAttributes({ url: null })).toEqual({ href: '#', target: '_self' })
+  })
+
+  it('links unsafe URLs to #', () => {
+    expect(linkAttributes({ url: 'javascript:alert(1)' }).href).toBe('#')
+    expect(linkAttributes({ url: ' java\tscript:alert(1)' }).href).toBe('#')
+    expect(linkAttributes({ url: 'JAVASCRIPT:alert(1)' }).href).toBe('#')
+    expect(linkAttributes({ url: 'data:text/html,hi' }).href).toBe('#')
+    expect(linkAttributes({ url: 'mailto:shop@example.com' }).href).toBe('mailto:shop@example.com')
+    expect(linkAttributes({ url: 'tel:+441234567' }).href).toBe('tel:+441234567')
+    expect(linkAttributes({ url: 'https://shop.test/a' }).href).toBe('https://shop.test/a')
+    expect(linkAttributes({ url: '/a?b=c:d' }).href).toBe('/a?b=c:d')
+    expect(linkAttributes({ url: '#top' }).href).toBe('#top')
+  })
+
+  it('fetches a menu from the public API', async () => {
+    const fetch = vi.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve({ slug: 'main', items }) })
+
+    const menu = await fetchMenu('main', { endpoint: 'https://shop.test/api/menus/', fetch })
+
+    expect(menu.items).toBe(items)
+    expect(fetch.mock.calls[0][0]).toBe('https://shop.test/api/menus/main')
+  })
+
+  it('rejects missing menus', async () => {
+    const fetch = vi.fn().mockResolvedValue({ ok: false, status: 404 })
+
+    await expect(fetchMenu('nope', { fetch })).rejects.toThrow("Menu 'nope' not found")
+  })
+})
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest'
+import { cleanItems, cloneTree, diffTrees, hasChanges, linkedResources, removeNode, replaceNode, mapIds, treeHeight, depthInTree } from '../../resources/js/utils/menuTree'
+
+describe('menuTree helpers', () => {
+  const tree = [
+    { id: 1, name: 'Home', children: [] },
+    { id: 2, name: 'Shop', children: [{ id: 3, name: 'Sale', children: [] }, { id: null, name: 'Draft' }] }
+  ]
+
+  it('clones persisted and draft items only', () => {
+    const clone = cloneTree([{ id: null, draft_key: 'draft-1', name: 'New' }, { name: 'Unsaved' }])
+
+    expect(clone).toEqual([{ id: null, draft_key: 'draft-1', name: 'New', children: [] }])
+  })
+
+  it('clones deeply', () => {
+    const clone = cloneTree(tree)
+
+    expect(clone[1].children).toHaveLength(1)
+    expect(clone[1].children[0]).not.toBe(tree[1].children[0])
+  })
+
+  it('removes a subtree', () => {
+    expect(removeNode(tree, 2).map(item => item.id)).toEqual([1])
+    expect(removeNode(tree, 3)[1].children.map(item => item.id)).toEqual([null])
+  })
+
+  it('replaces fields while keeping children', () => {
+    const updated = replaceNode(tree, { id: 2, name: 'Store', children: [] })
+
+    expect(updated[1].name).toBe('Store')
+    expect(updated[1].children).toHaveLength(2)
+  })
+
+  it('cleans editor items down to database fields', () => {
+    const [cleaned] = cleanItems([
+      {
+        id: null,
+        draft_key: 'draft-1',
+        name: 'New',
+        expanded: true,
+        link_type: 'url',
+        children: [{ id: 4, name: 'Child', custom_url: '', target: '_blank', is_active: false }]
+      }
+    ])
+
+    expect(cleaned).not.toHaveProperty('id')
+    expect(cleaned).not.toHaveProperty('expanded')
+    expect(cleaned.draft_key).toBe('draft-1')
+    expect(cleaned.children[0]).toMatchObject({ id: 4, custom_url: null, target: '_blank', is_active: false })
+  })
+
+  it('measures the height of a subtree', () => {
+    expect(treeHeight(tree[0])).toBe(1)
+    expect(treeHeight(tree[1])).toBe(2)
+    expect(treeHeight({ name: 'Leaf' })).toBe(1)
+  })
+
+  it('finds the level of an item by ID or draft key', () => {
+    const drafted = [{ id: 1, name: 'Home', children: [{ id: null, draft_key: 'draft-1', name: 'New' }] }]
+
+    expect(depthInTree(tree, 2)).toBe(1)
+    expect(depthInTree(tree, 3)).toBe(2)
+    expect(depthInTree(drafted, 'draft-1')).toBe(2)
+    expect(depthInTree(tree, 99)).toBe(null)
+  })
+
+  it('maps IDs throughout the tree', () => {
+    const mapped = mapIds(tree, id => id * 10)
+
+    expect(mapped[1].children[0].id).toBe(30)
+    expect(mapped[1].children[1].id).toBe(null)
+  })
+
+  it('lists distinct linked resources, most recently created first', () => {
+    const linked = linkedResources([
+      { id: 1, resource_type: 'Product', resource_id: 5, resource_name: 'Boots', children: [] },
+      {
+        id: 2,
+        name: 'Shop',
+        children: [
+          { id: 3, resource_type: 'Product', resource_id: 7, linked_resource: { name: 'Sneakers', slug: 'sneakers' } },
+          { id: 4, resource_type: 'Product', resource_id: 5, resource_name: 'Boots' },
+          { id: null, draft_key: 'draft-1', resource_type: 'Category', resource_id: 2, resource_name: 'Shoes' },
+          { id: 5, resource_type: 'Product', resource_id: 8, linked_resource: { name: null, is_missing: true } }
+        ]
+      }
+    ])
+
+    expect(linked).toEqual([
+      { resource_type: 'Category', resource_id: 2, resource_name: 'Shoes', resource_slug: null },
+      { resource_type: 'Product', resource_id: 5, resource_name: 'Boots', resource_slug: null },
+      { resource_type: 'Product', resource_id: 7, resource_name: 'Sneakers', resource_slug: 'sneakers' }
+    ])
+  })
+
+  describe('diffTrees', () => {
+    const live = [
+      { id: 1, name: 'Home', children: [] },
+      { id: 2, name: 'Shop', children: [{ id: 3, name: 'Sale', children: [] }] },
+      { id: 4, name: 'About', children: [] }
+    ]
+
+    it('reports no changes for identical trees', () => {
+      expect(hasChanges(diffTrees(live, cloneTree(live)))).toBe(false)
+    })
+
+    it('detects added and removed items', () => {
+      const draft = [
+        ...removeNode(live, 4),
+        { draft_key: 'draft-1', name: 'Blog', children: [] }
+      ]
+
+      const diff = diffTrees(live, draft)
+
+      expect(diff.added).toEqual([{ key: 'draft-1', name: 'Blog' }])
+      expect(diff.removed).toEqual([{ key: 4, name: 'About' }])
+      expect(diff.moved).toEqual([])
+    })
+
+    it('detects items moved to a new parent or reordered', () => {
+      const draft = [
+        { id: 4, name: 'About', children: [] },
+        { id: 1, name: 'Home', children: [{ id: 3, name: 'Sale', children: [] }] },
+        { id: 2, name: 'Shop', children: [] }
+      ]
+
+      const moved = diffTrees(live, draft).moved.map(change => change.key)
+
+      expect(moved).toContain(3)
+      expect(moved).toContain(4)
+    })
+
+    it('detects renames and field edits', () => {
+      const draft = replaceNode(live, { id: 1, name: 'Start', custom_url: '/start' })
+
+      const diff = diffTrees(live, draft)
+
+      expect(diff.renamed).toEqual([{ key: 1, from: 'Home', to: 'Start' }])
+      expect(diff.edited).toEqual([{ key: 1, name: 'Start', fields: ['custom_url'] }])
+    })
+  })
+})
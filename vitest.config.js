@@ -3,6 +3,10 @@ import vue from '@vitejs/plugin-vue'
 
 export default defineConfig({
   plugins: [vue()],
+  // The React <NovaMenu> uses the automatic JSX runtime
+  esbuild: {
+    jsx: 'automatic'
+  },
   test: {
     environment: 'jsdom',
     globals: true,